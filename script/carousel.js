@@ -0,0 +1,276 @@
+/*
+	================================================
+	CAROUSEL.JS — CARROUSELS D'IMAGES ACCESSIBLES
+	================================================
+	Remplace l'ancienne fonction moveCarousel() et ses onclick.
+	Chaque bloc .carousel de la page est détecté automatiquement :
+
+	<div class="carousel" data-autoplay="5000">        ← data-autoplay facultatif (ms)
+		<h3>Carrousel - Black Friday</h3>              ← sert de nom accessible
+		<div class="carousel-container">
+			<button class="carousel-btn prev">❮</button>
+			<div class="carousel-images" id="black-friday">
+				<img class="carousel-image" src="…" alt="…">
+				…
+			</div>
+			<button class="carousel-btn next">❯</button>
+		</div>
+	</div>
+
+	1. Boutons précédent/suivant et points pour aller à une diapositive
+	2. Flèches ← → (et Début/Fin) quand le focus est dans le carrousel
+	3. Balayage au doigt
+	4. Annonce "Diapositive 3 sur 9" pour les lecteurs d'écran (aria-live)
+	5. Lecture automatique facultative, en pause au survol et au focus,
+	   jamais lancée si l'utilisateur préfère moins d'animations (système
+	   ou panneau d'accessibilité : arrêt et reprise en direct)
+	6. Lien direct vers une diapositive : #black-friday-slide-3 (l'adresse
+	   suit la diapositive affichée après chaque action)
+	================================================
+*/
+
+(function () {
+	// Texte traduit (script/i18n.js, français par défaut défini dans script/theme.js)
+	const t = (key, fallback, values) => window.PortfolioI18n.t(key, fallback, values);
+
+	const SWIPE_THRESHOLD = 40; // px
+	const DEFAULT_DELAY = 5000; // ms entre deux diapositives en lecture automatique
+
+	let carousels = [];
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', setupCarousels);
+	} else {
+		setupCarousels();
+	}
+	window.addEventListener('hashchange', openFromHash);
+
+	// Changement de page sans rechargement (script/navigation.js) : lecture auto arrêtée, nouveaux carrousels
+	document.addEventListener('page:unload', () => {
+		carousels.forEach((carousel) => carousel.destroy());
+		carousels = [];
+	});
+	document.addEventListener('page:load', setupCarousels);
+	document.addEventListener('preferences:change', (e) => {
+		carousels.forEach((carousel) => carousel.setReduceMotion(e.detail.reduceMotion));
+	});
+
+	// ====== INITIALISATION ======
+	function setupCarousels() {
+		const reduceMotion = window.PortfolioTheme
+			? window.PortfolioTheme.reduceMotion()
+			: window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+		carousels = Array.from(document.querySelectorAll('.carousel'))
+			.map((root, index) => createCarousel(root, index, reduceMotion))
+			.filter(Boolean);
+		openFromHash();
+	}
+
+	// Lien direct : #<id>-slide-<n>
+	function openFromHash() {
+		carousels.forEach((carousel) => carousel.goToHash(window.location.hash));
+	}
+
+	// ====== COMPOSANT ======
+	function createCarousel(root, index, reduceMotion) {
+		const track = root.querySelector('.carousel-images');
+		const slides = track ? Array.from(track.querySelectorAll('.carousel-image')) : [];
+		if (!slides.length) return null;
+
+		if (!track.id) track.id = `carousel-${index + 1}`;
+		const heading = root.querySelector('h3');
+		const name = heading ? heading.textContent.trim() : `Carrousel ${index + 1}`;
+		const prevBtn = root.querySelector('.carousel-btn.prev');
+		const nextBtn = root.querySelector('.carousel-btn.next');
+		let current = Math.max(0, slides.findIndex((slide) => slide.classList.contains('active')));
+
+		// Rôles ARIA du motif "carrousel" (WAI-ARIA Authoring Practices)
+		root.setAttribute('role', 'region');
+		if (heading) {
+			if (!heading.id) heading.id = `${track.id}-title`;
+			root.setAttribute('aria-labelledby', heading.id);
+		} else {
+			root.setAttribute('aria-label', name);
+		}
+
+		track.setAttribute('tabindex', '0');
+		slides.forEach((slide) => {
+			slide.setAttribute('role', 'group');
+			slide.setAttribute('draggable', 'false');
+		});
+
+		if (prevBtn) {
+			prevBtn.type = 'button';
+			prevBtn.removeAttribute('onclick');
+			prevBtn.setAttribute('aria-controls', track.id);
+			prevBtn.addEventListener('click', () => goTo(current - 1, true));
+		}
+		if (nextBtn) {
+			nextBtn.type = 'button';
+			nextBtn.removeAttribute('onclick');
+			nextBtn.setAttribute('aria-controls', track.id);
+			nextBtn.addEventListener('click', () => goTo(current + 1, true));
+		}
+
+		// Points de navigation + compteur + annonce
+		const dots = slides.map((slide, i) => {
+			const dot = document.createElement('button');
+			dot.type = 'button';
+			dot.className = 'carousel-dot';
+			dot.setAttribute('aria-controls', track.id);
+			dot.addEventListener('click', () => goTo(i, true));
+			return dot;
+		});
+		const footer = document.createElement('div');
+		footer.className = 'carousel-footer';
+		const dotList = document.createElement('div');
+		dotList.className = 'carousel-dots';
+		dotList.append(...dots);
+		const live = document.createElement('p');
+		live.className = 'carousel-status';
+		live.setAttribute('aria-live', 'polite');
+		live.setAttribute('aria-atomic', 'true');
+		footer.append(dotList, live);
+		root.appendChild(footer);
+
+		// Libellés dans la langue du site (réécrits à chaque changement de langue)
+		function applyLabels() {
+			root.setAttribute('aria-roledescription', t('carousel.role', 'carrousel'));
+			track.setAttribute('aria-label', t('carousel.keys', "{name} : utilisez les flèches pour changer d'image", { name }));
+			slides.forEach((slide, i) => {
+				slide.setAttribute('aria-roledescription', t('carousel.slideRole', 'diapositive'));
+				slide.setAttribute('aria-label', t('carousel.slideLabel', '{n} sur {total}', { n: i + 1, total: slides.length }));
+			});
+			if (prevBtn) prevBtn.setAttribute('aria-label', t('carousel.prev', 'Image précédente'));
+			if (nextBtn) nextBtn.setAttribute('aria-label', t('carousel.next', 'Image suivante'));
+			dots.forEach((dot, i) => dot.setAttribute('aria-label', t('carousel.goTo', "Aller à l'image {n}", { n: i + 1 })));
+			live.textContent = t('carousel.status', 'Diapositive {n} sur {total}', { n: current + 1, total: slides.length });
+		}
+
+		// ====== NAVIGATION ======
+		function goTo(target, announce) {
+			current = (target + slides.length) % slides.length;
+			slides.forEach((slide, i) => {
+				const active = i === current;
+				slide.classList.toggle('active', active);
+				slide.setAttribute('aria-hidden', String(!active));
+			});
+			dots.forEach((dot, i) => {
+				if (i === current) dot.setAttribute('aria-current', 'true');
+				else dot.removeAttribute('aria-current');
+			});
+			// L'annonce n'est faite qu'après une action (pas au chargement ni en lecture auto)
+			live.setAttribute('aria-live', announce ? 'polite' : 'off');
+			live.textContent = t('carousel.status', 'Diapositive {n} sur {total}', { n: current + 1, total: slides.length });
+			// Après une action, l'adresse pointe sur la diapositive affichée (lien partageable)
+			if (announce) history.replaceState(history.state, '', `#${track.id}-slide-${current + 1}`);
+		}
+
+		root.addEventListener('keydown', (e) => {
+			const keys = { ArrowLeft: current - 1, ArrowRight: current + 1, Home: 0, End: slides.length - 1 };
+			if (!(e.key in keys)) return;
+			e.preventDefault();
+			goTo(keys[e.key], true);
+		});
+
+		// Balayage horizontal (souris exclue pour ne pas gêner la sélection)
+		let swipeStart = null;
+		track.addEventListener('pointerdown', (e) => {
+			if (e.pointerType !== 'mouse') swipeStart = { x: e.clientX, y: e.clientY };
+		});
+		track.addEventListener('pointerup', (e) => {
+			if (!swipeStart) return;
+			const dx = e.clientX - swipeStart.x;
+			const dy = e.clientY - swipeStart.y;
+			swipeStart = null;
+			if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) goTo(current + (dx < 0 ? 1 : -1), true);
+		});
+		track.addEventListener('pointercancel', () => { swipeStart = null; });
+
+		// ====== LECTURE AUTOMATIQUE ======
+		let stopAutoplay = null;
+		const autoplay = (enabled) => {
+			if (enabled && !stopAutoplay && root.hasAttribute('data-autoplay') && slides.length > 1) {
+				stopAutoplay = setupAutoplay(root, Number(root.getAttribute('data-autoplay')) || DEFAULT_DELAY, () => goTo(current + 1, false));
+			} else if (!enabled && stopAutoplay) {
+				stopAutoplay();
+				stopAutoplay = null;
+			}
+		};
+		autoplay(!reduceMotion);
+
+		const relabel = () => {
+			live.setAttribute('aria-live', 'off');
+			applyLabels();
+		};
+		applyLabels();
+		document.addEventListener('i18n:change', relabel);
+		goTo(current, false);
+
+		return {
+			destroy() {
+				document.removeEventListener('i18n:change', relabel);
+				autoplay(false);
+			},
+			setReduceMotion(value) {
+				autoplay(!value);
+			},
+			goToHash(hash) {
+				const match = hash.match(/^#(.+)-slide-(\d+)$/);
+				if (!match || decodeURIComponent(match[1]) !== track.id) return;
+				goTo(Number(match[2]) - 1, false);
+				root.scrollIntoView({ block: 'center' });
+			},
+		};
+	}
+
+	// Avance toutes les `delay` ms ; pause au survol, au focus et via un bouton.
+	// Renvoie la fonction d'arrêt définitif (le bouton disparaît)
+	function setupAutoplay(root, delay, advance) {
+		let timer = null;
+		let hovered = false;
+		let focused = false;
+		let paused = false;
+		let stopped = false;
+
+		const toggle = document.createElement('button');
+		toggle.type = 'button';
+		toggle.className = 'carousel-play';
+		root.querySelector('.carousel-footer').prepend(toggle);
+
+		function sync() {
+			if (stopped) return;
+			const running = !paused && !hovered && !focused;
+			if (running && !timer) timer = setInterval(advance, delay);
+			if (!running && timer) {
+				clearInterval(timer);
+				timer = null;
+			}
+			toggle.textContent = paused ? '▶' : '❚❚';
+			toggle.setAttribute('aria-label', paused
+				? t('carousel.play', 'Lancer le défilement automatique')
+				: t('carousel.pause', 'Mettre en pause le défilement automatique'));
+		}
+
+		root.addEventListener('mouseenter', () => { hovered = true; sync(); });
+		root.addEventListener('mouseleave', () => { hovered = false; sync(); });
+		root.addEventListener('focusin', () => { focused = true; sync(); });
+		root.addEventListener('focusout', (e) => {
+			focused = root.contains(e.relatedTarget);
+			sync();
+		});
+		toggle.addEventListener('click', () => {
+			paused = !paused;
+			sync();
+		});
+		document.addEventListener('i18n:change', sync);
+		sync();
+
+		return () => {
+			stopped = true;
+			clearInterval(timer);
+			toggle.remove();
+			document.removeEventListener('i18n:change', sync);
+		};
+	}
+})();
@@ -0,0 +1,248 @@
+/*
+	================================================
+	CONTACT-FORM.JS — FORMULAIRE DE CONTACT
+	================================================
+	Ajoute un formulaire dans chaque conteneur [data-contact-form] (section
+	#contact). Sans JavaScript, les liens mailto: de la section restent
+	le seul moyen de contact.
+
+	1. Champs : nom, e-mail, objet (stage/alternance, commande, autre), message
+	2. Validation avant envoi, messages d'erreur reliés aux champs (aria-describedby)
+	3. Champ piège invisible ("website") : rempli = robot, rien n'est envoyé
+	4. Envoi en JSON (POST) vers l'adresse data-endpoint, sinon ENDPOINT ;
+	   en local (localhost) vers tools/contact-server.js
+	5. Serveur injoignable ou en erreur : la messagerie du visiteur s'ouvre
+	   avec un mailto: pré-rempli (objet + message)
+	================================================
+*/
+
+(function () {
+	// Texte traduit (script/i18n.js, français par défaut défini dans script/theme.js)
+	const t = (key, fallback, values) => window.PortfolioI18n.t(key, fallback, values);
+
+	const CONTACT_EMAIL = 'bordeaux.lisabruno@gmail.com';
+	const ENDPOINT = '/api/contact';
+	const DEV_ENDPOINT = 'http://localhost:8787/api/contact';
+	const TIMEOUT = 8000; // ms avant de basculer sur le mailto:
+
+	const SUBJECTS = [
+		{ id: 'stage', key: 'contactForm.subjectInternship', label: 'Stage ou alternance' },
+		{ id: 'commande', key: 'contactForm.subjectCommission', label: 'Commande / projet' },
+		{ id: 'autre', key: 'contactForm.subjectOther', label: 'Autre' },
+	];
+	const FIELDS = ['name', 'email', 'subject', 'message'];
+	const LIMITS = { name: [2, 100], message: [10, 5000] };
+	const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+	let formCount = 0;
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', setupContactForms);
+	} else {
+		setupContactForms();
+	}
+	// Nouveau contenu après un changement de page (script/navigation.js)
+	document.addEventListener('page:load', setupContactForms);
+
+	// ====== INITIALISATION ======
+	function setupContactForms() {
+		document.querySelectorAll('[data-contact-form]').forEach((slot) => {
+			const endpoint = slot.getAttribute('data-endpoint') || (isLocal() ? DEV_ENDPOINT : ENDPOINT);
+			slot.replaceChildren(buildForm(endpoint));
+		});
+	}
+
+	function isLocal() {
+		return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+	}
+
+	// ====== FORMULAIRE ======
+	function buildForm(endpoint) {
+		formCount += 1;
+		const id = (name) => `contact-${formCount}-${name}`;
+
+		const form = document.createElement('form');
+		form.className = 'contact-form';
+		form.noValidate = true; // messages d'erreur gérés ici, dans la langue du site
+		form.setAttribute('aria-labelledby', id('title'));
+		form.innerHTML = `
+			<h3 id="${id('title')}" data-i18n="contactForm.title">Écrivez-moi directement</h3>
+			<div class="contact-form-row">
+				<div class="contact-field">
+					<label for="${id('name')}" data-i18n="contactForm.name">Nom</label>
+					<input id="${id('name')}" name="name" type="text" autocomplete="name" required maxlength="${LIMITS.name[1]}" aria-describedby="${id('name-error')}">
+					<p class="contact-error" id="${id('name-error')}"></p>
+				</div>
+				<div class="contact-field">
+					<label for="${id('email')}" data-i18n="contactForm.email">E-mail</label>
+					<input id="${id('email')}" name="email" type="email" autocomplete="email" required aria-describedby="${id('email-error')}">
+					<p class="contact-error" id="${id('email-error')}"></p>
+				</div>
+			</div>
+			<div class="contact-field">
+				<label for="${id('subject')}" data-i18n="contactForm.subject">Objet</label>
+				<select id="${id('subject')}" name="subject" required aria-describedby="${id('subject-error')}">
+					<option value="" data-i18n="contactForm.subjectChoose">Choisir un objet…</option>
+					${SUBJECTS.map((s) => `<option value="${s.id}" data-i18n="${s.key}">${s.label}</option>`).join('')}
+				</select>
+				<p class="contact-error" id="${id('subject-error')}"></p>
+			</div>
+			<div class="contact-field">
+				<label for="${id('message')}" data-i18n="contactForm.message">Message</label>
+				<textarea id="${id('message')}" name="message" rows="6" required maxlength="${LIMITS.message[1]}" aria-describedby="${id('message-error')}"></textarea>
+				<p class="contact-error" id="${id('message-error')}"></p>
+			</div>
+			<div class="contact-trap" aria-hidden="true">
+				<label for="${id('website')}">Site web</label>
+				<input id="${id('website')}" name="website" type="text" tabindex="-1" autocomplete="off">
+			</div>
+			<button type="submit" class="btn primary contact-submit" data-i18n="contactForm.send">Envoyer</button>
+			<p class="contact-status" role="status" aria-live="polite"></p>
+		`;
+
+		const submit = form.querySelector('.contact-submit');
+		const status = form.querySelector('.contact-status');
+
+		// L'erreur d'un champ disparaît dès qu'il redevient valide
+		form.addEventListener('input', (e) => {
+			if (e.target.getAttribute('aria-invalid') === 'true') showError(form, e.target.name, validateField(e.target.name, e.target.value));
+		});
+
+		form.addEventListener('submit', (e) => {
+			e.preventDefault();
+			const data = readForm(form);
+			status.textContent = '';
+			status.className = 'contact-status';
+
+			// Robot : on fait comme si tout s'était bien passé
+			if (data.website) {
+				form.reset();
+				setStatus(status, 'success', t('contactForm.sent', 'Merci ! Votre message a bien été envoyé.'));
+				return;
+			}
+
+			const errors = validate(data);
+			FIELDS.forEach((name) => showError(form, name, errors[name]));
+			const firstInvalid = form.querySelector('[aria-invalid="true"]');
+			if (firstInvalid) {
+				firstInvalid.focus();
+				return;
+			}
+
+			submit.disabled = true;
+			setStatus(status, 'pending', t('contactForm.sending', 'Envoi en cours…'));
+			send(endpoint, data)
+				.then(() => {
+					form.reset();
+					setStatus(status, 'success', t('contactForm.sent', 'Merci ! Votre message a bien été envoyé.'));
+				})
+				.catch((err) => {
+					if (err.fields) {
+						// Refus du serveur (champ invalide) : affiché comme une erreur locale
+						FIELDS.filter((name) => err.fields[name]).forEach((name) => showError(form, name, err.fields[name]));
+						setStatus(status, 'error', t('contactForm.rejected', 'Certains champs sont à corriger.'));
+						return;
+					}
+					openMailto(status, data);
+				})
+				.finally(() => { submit.disabled = false; });
+		});
+
+		return form;
+	}
+
+	// ====== VALIDATION ======
+	function readForm(form) {
+		const values = {};
+		FIELDS.concat('website').forEach((name) => {
+			values[name] = form.elements[name].value.trim();
+		});
+		return values;
+	}
+
+	function validate(data) {
+		const errors = {};
+		FIELDS.forEach((name) => {
+			const error = validateField(name, data[name]);
+			if (error) errors[name] = error;
+		});
+		return errors;
+	}
+
+	function validateField(name, raw) {
+		const value = String(raw || '').trim();
+		if (!value) return t('contactForm.required', 'Ce champ est obligatoire.');
+		if (name === 'email' && !EMAIL_PATTERN.test(value)) {
+			return t('contactForm.invalidEmail', 'Adresse e-mail invalide (exemple : nom@domaine.fr).');
+		}
+		if (name === 'subject' && !SUBJECTS.some((s) => s.id === value)) {
+			return t('contactForm.invalidSubject', 'Choisissez un objet dans la liste.');
+		}
+		if (LIMITS[name] && value.length < LIMITS[name][0]) {
+			return t('contactForm.tooShort', '{min} caractères minimum.', { min: LIMITS[name][0] });
+		}
+		return '';
+	}
+
+	function showError(form, name, message) {
+		const field = form.elements[name];
+		const error = form.querySelector(`#${field.getAttribute('aria-describedby')}`);
+		error.textContent = message || '';
+		if (message) field.setAttribute('aria-invalid', 'true');
+		else field.removeAttribute('aria-invalid');
+	}
+
+	function setStatus(status, state, message) {
+		status.className = `contact-status is-${state}`;
+		status.textContent = message;
+	}
+
+	// ====== ENVOI ======
+	// Résout si le serveur accepte ; rejette avec err.fields si un champ est refusé
+	function send(endpoint, data) {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), TIMEOUT);
+		const payload = { ...data };
+		delete payload.website;
+
+		return fetch(endpoint, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+			body: JSON.stringify(payload),
+			signal: controller.signal,
+		})
+			.then((res) => {
+				if (res.ok) return null;
+				if (res.status === 400 || res.status === 422) {
+					return res.json().then((body) => {
+						const err = new Error('Champs refusés');
+						err.fields = (body && body.errors) || {};
+						throw err;
+					});
+				}
+				throw new Error(`HTTP ${res.status}`);
+			})
+			.finally(() => clearTimeout(timer));
+	}
+
+	// ====== REPLI MAILTO ======
+	// Ouvre la messagerie avec le message pré-rempli ; le lien reste affiché si rien ne s'ouvre
+	function openMailto(status, data) {
+		const subject = SUBJECTS.find((s) => s.id === data.subject);
+		const href = `mailto:${CONTACT_EMAIL}?${new URLSearchParams({
+			subject: `[Portfolio] ${subject ? subject.label : ''} – ${data.name}`,
+			body: `${data.message}\n\n${data.name}\n${data.email}`,
+		}).toString().replace(/\+/g, '%20')}`;
+
+		status.className = 'contact-status is-error';
+		const link = document.createElement('a');
+		link.href = href;
+		link.textContent = t('contactForm.mailtoLink', 'ouvrir le message dans votre messagerie');
+		status.replaceChildren(
+			t('contactForm.unreachable', "Le serveur d'envoi est injoignable : "),
+			link,
+			'.'
+		);
+		window.location.href = href;
+	}
+})();
@@ -0,0 +1,276 @@
+/*
+	================================================
+	FILTERS.JS — FILTRES ET TRI DE LA LISTE DES PROJETS
+	================================================
+	Barre de filtres de Projets/projets.html (conteneur [data-project-filters]) :
+
+	1. Puces à sélection multiple pour les compétences et les logiciels
+	2. Sélecteur de catégorie
+	3. Tri par date ou par durée
+	4. État conservé dans l'URL (?tool=After%20Effects&sort=recent…)
+	   pour pouvoir envoyer un lien déjà filtré
+
+	Dans un même groupe les puces se cumulent (OU), entre groupes elles
+	se combinent (ET). Les données viennent du manifeste data/projects.json
+	via window.PortfolioProjects (script/projects.js).
+	================================================
+*/
+
+(function () {
+	// Texte traduit (script/i18n.js, français par défaut défini dans script/theme.js)
+	const t = (key, fallback, values) => window.PortfolioI18n.t(key, fallback, values);
+	// Création d'éléments partagée (script/projects.js, chargé avant)
+	const el = (tag, attrs, children) => window.PortfolioProjects.el(tag, attrs, children);
+
+	const PARAMS = { skill: 'skill', tool: 'tool', category: 'category', sort: 'sort' };
+
+	// key : clé de traduction dans data/i18n/en.json (script/i18n.js)
+	const SORTS = [
+		{ id: '', key: 'filters.sortDefault', label: 'Ordre par défaut' },
+		{ id: 'recent', key: 'filters.sortRecent', label: 'Plus récents' },
+		{ id: 'oldest', key: 'filters.sortOldest', label: 'Plus anciens' },
+		{ id: 'longest', key: 'filters.sortLongest', label: 'Durée : plus longs' },
+		{ id: 'shortest', key: 'filters.sortShortest', label: 'Durée : plus courts' },
+	];
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', initFilters);
+	} else {
+		initFilters();
+	}
+	// Nouveau contenu après un changement de page (script/navigation.js)
+	document.addEventListener('page:load', initFilters);
+
+	// ====== INITIALISATION ======
+	// La liste est déjà dans la page (tools/build-projects.js) : il ne manque que le manifeste
+	function initFilters() {
+		const bar = document.querySelector('[data-project-filters]');
+		const listing = document.querySelector('[data-projects="listing"]');
+		const api = window.PortfolioProjects;
+		if (!bar || !listing || !api) return;
+
+		api.load()
+			.then((manifest) => setupProjectFilters(bar, listing, manifest))
+			.catch((err) => {
+				console.warn('Filtres des projets indisponibles :', err);
+			});
+	}
+
+	function setupProjectFilters(bar, listing, manifest) {
+		const api = window.PortfolioProjects;
+		const state = readState(manifest);
+
+		// Clés de tri précalculées par projet
+		const sortKeys = {};
+		manifest.projects.forEach((project) => {
+			const range = api.parseDateRange(project.date);
+			sortKeys[project.id] = {
+				date: range && range.start ? api.monthIndex(range.start) : null,
+				duration: api.parseDuration(project.duration),
+			};
+		});
+
+		const skills = uniqueSorted(manifest.projects.flatMap((p) => p.skills));
+		const tools = uniqueSorted(manifest.projects.flatMap((p) => p.tools));
+
+		const count = el('p', { className: 'filters-count', 'aria-live': 'polite' });
+
+		const categorySelect = el('select', { id: 'filter-category', className: 'filters-select' });
+		categorySelect.appendChild(el('option', { value: '', 'data-i18n': 'filters.allCategories' }, ['Toutes les catégories']));
+		const perCategory = {};
+		manifest.projects.forEach((p) => { perCategory[p.category] = (perCategory[p.category] || 0) + 1; });
+		const categoryOptions = manifest.categories.map((c) => el('option', { value: c.id }, [categoryLabel(c, perCategory[c.id] || 0)]));
+		categorySelect.append(...categoryOptions);
+		categorySelect.value = state.category;
+
+		const sortSelect = el('select', { id: 'filter-sort', className: 'filters-select' });
+		SORTS.forEach((s) => sortSelect.appendChild(el('option', { value: s.id, 'data-i18n': s.key }, [s.label])));
+		sortSelect.value = state.sort;
+
+		const resetBtn = el('button', { type: 'button', className: 'filters-reset', 'data-i18n': 'filters.reset' }, ['Réinitialiser']);
+
+		bar.replaceChildren(
+			el('div', { className: 'filters-row' }, [
+				el('label', { className: 'filters-field', for: 'filter-category' }, [el('span', { 'data-i18n': 'filters.category' }, ['Catégorie']), categorySelect]),
+				el('label', { className: 'filters-field', for: 'filter-sort' }, [el('span', { 'data-i18n': 'filters.sort' }, ['Trier']), sortSelect]),
+				resetBtn,
+			]),
+			buildChipGroup('Compétences', 'filters.skills', 'skill', skills, state.skills),
+			buildChipGroup('Logiciels', 'filters.tools', 'tool', tools, state.tools),
+			count
+		);
+
+		// Mise à jour à chaque interaction
+		bar.addEventListener('click', (e) => {
+			const chip = e.target.closest('.filter-chip');
+			if (!chip) return;
+			const list = chip.dataset.group === 'skill' ? state.skills : state.tools;
+			const value = chip.dataset.value;
+			const index = list.indexOf(value);
+			if (index >= 0) list.splice(index, 1);
+			else list.push(value);
+			chip.setAttribute('aria-pressed', String(index < 0));
+			update(false);
+		});
+
+		categorySelect.addEventListener('change', () => {
+			state.category = categorySelect.value;
+			update(false);
+		});
+
+		sortSelect.addEventListener('change', () => {
+			state.sort = sortSelect.value;
+			update(false);
+		});
+
+		resetBtn.addEventListener('click', () => {
+			state.skills.length = 0;
+			state.tools.length = 0;
+			state.category = '';
+			state.sort = '';
+			categorySelect.value = '';
+			sortSelect.value = '';
+			bar.querySelectorAll('.filter-chip').forEach((chip) => chip.setAttribute('aria-pressed', 'false'));
+			update(false);
+		});
+
+		// Ordre d'origine, pour revenir au tri par défaut
+		const originalOrder = new Map();
+		listing.querySelectorAll('.project-item').forEach((item, index) => originalOrder.set(item, index));
+
+		let shown = 0;
+		function update(initial) {
+			if (!initial) writeState(state);
+			shown = applyFilters(listing, manifest, state, sortKeys, originalOrder, initial);
+			renderCount();
+		}
+
+		function renderCount() {
+			count.textContent = shown === 1 ? t('filters.countOne', '1 projet', {}) : t('filters.count', '{n} projets', { n: shown });
+		}
+
+		function relabel() {
+			renderCount();
+			manifest.categories.forEach((c, index) => {
+				categoryOptions[index].textContent = categoryLabel(c, perCategory[c.id] || 0);
+			});
+		}
+
+		document.addEventListener('i18n:change', relabel);
+		// La barre disparaît au changement de page (script/navigation.js)
+		document.addEventListener('page:unload', () => document.removeEventListener('i18n:change', relabel), { once: true });
+		update(true);
+	}
+
+	// ====== FILTRAGE ET TRI ======
+	// Masque les projets non retenus, trie chaque catégorie et renvoie le nombre affiché
+	function applyFilters(listing, manifest, state, sortKeys, originalOrder, initial) {
+		const byId = {};
+		manifest.projects.forEach((p) => { byId[p.id] = p; });
+
+		const revealed = [];
+		let shown = 0;
+
+		listing.querySelectorAll('.category-section').forEach((section) => {
+			const list = section.querySelector('.projects-list');
+			const items = Array.from(list.querySelectorAll('.project-item'));
+			let visibleInSection = 0;
+
+			items.forEach((item) => {
+				const project = byId[item.getAttribute('data-project')];
+				const match = project && matches(project, state);
+				if (match && item.hidden && !initial) revealed.push(item);
+				item.hidden = !match;
+				if (match) visibleInSection += 1;
+			});
+
+			items.sort((a, b) => compare(a, b, state.sort, sortKeys, originalOrder)).forEach((item) => list.appendChild(item));
+			section.hidden = visibleInSection === 0;
+			shown += visibleInSection;
+		});
+
+		// Les projets réaffichés rejouent l'animation de révélation (script/portfolio/features/scroll-reveal.js)
+		if (revealed.length) {
+			revealed.forEach((item) => item.classList.remove('is-visible'));
+			document.dispatchEvent(new CustomEvent('projects:shown', { detail: { root: listing, items: revealed } }));
+		}
+		return shown;
+	}
+
+	function matches(project, state) {
+		if (state.category && project.category !== state.category) return false;
+		if (state.skills.length && !state.skills.some((s) => project.skills.includes(s))) return false;
+		if (state.tools.length && !state.tools.some((tool) => project.tools.includes(tool))) return false;
+		return true;
+	}
+
+	// Les projets sans date/durée connue restent toujours en fin de liste
+	function compare(a, b, sort, sortKeys, originalOrder) {
+		const fallback = originalOrder.get(a) - originalOrder.get(b);
+		if (!sort) return fallback;
+		const field = sort === 'recent' || sort === 'oldest' ? 'date' : 'duration';
+		const desc = sort === 'recent' || sort === 'longest';
+		const ka = sortKeys[a.getAttribute('data-project')][field];
+		const kb = sortKeys[b.getAttribute('data-project')][field];
+		if (ka === null && kb === null) return fallback;
+		if (ka === null) return 1;
+		if (kb === null) return -1;
+		return (desc ? kb - ka : ka - kb) || fallback;
+	}
+
+	// ====== ÉTAT DANS L'URL ======
+	// Lit ?skill=…&tool=…&category=…&sort=… en ignorant les valeurs inconnues
+	function readState(manifest) {
+		const params = new URLSearchParams(window.location.search);
+		const skills = manifest.projects.flatMap((p) => p.skills);
+		const tools = manifest.projects.flatMap((p) => p.tools);
+		const category = params.get(PARAMS.category) || '';
+		const sort = params.get(PARAMS.sort) || '';
+		return {
+			skills: params.getAll(PARAMS.skill).filter((s) => skills.includes(s)),
+			tools: params.getAll(PARAMS.tool).filter((tool) => tools.includes(tool)),
+			category: manifest.categories.some((c) => c.id === category) ? category : '',
+			sort: SORTS.some((s) => s.id === sort) ? sort : '',
+		};
+	}
+
+	// Remplace l'URL courante sans créer d'entrée d'historique à chaque clic
+	function writeState(state) {
+		const params = new URLSearchParams(window.location.search);
+		Object.values(PARAMS).forEach((key) => params.delete(key));
+		state.skills.forEach((s) => params.append(PARAMS.skill, s));
+		state.tools.forEach((tool) => params.append(PARAMS.tool, tool));
+		if (state.category) params.set(PARAMS.category, state.category);
+		if (state.sort) params.set(PARAMS.sort, state.sort);
+		const query = params.toString();
+		history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+	}
+
+	// ====== OUTILS ======
+	// Texte d'une option de catégorie dans la langue active (blocs "en" du manifeste), avec son
+	// nombre de projets. Une <option> n'affiche que du texte : tout tient dans une seule chaîne
+	function categoryLabel(category, total) {
+		const lang = window.PortfolioI18n.lang ? window.PortfolioI18n.lang() : 'fr';
+		const title = category[lang] && category[lang].title ? category[lang].title : category.title;
+		return `${category.icon} ${title} (${total})`;
+	}
+
+	function buildChipGroup(title, key, group, values, selected) {
+		return el('fieldset', { className: 'filters-group' }, [
+			el('legend', { 'data-i18n': key }, [title]),
+			el('div', { className: 'filters-chips' }, values.map((value) =>
+				el('button', {
+					type: 'button',
+					className: 'filter-chip',
+					'data-group': group,
+					'data-value': value,
+					'aria-pressed': String(selected.includes(value)),
+				}, [value])
+			)),
+		]);
+	}
+
+	function uniqueSorted(values) {
+		return Array.from(new Set(values)).sort((a, b) => a.localeCompare(b, 'fr'));
+	}
+})();
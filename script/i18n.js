@@ -0,0 +1,229 @@
+/*
+	================================================
+	I18N.JS — BASCULE FRANÇAIS / ANGLAIS
+	================================================
+	Le français reste la langue source, écrite directement dans le HTML.
+	Les traductions anglaises sont dans data/i18n/en.json (clé → texte)
+	et, pour les projets, dans les blocs "en" de data/projects.json.
+
+	Éléments traduits :
+	  data-i18n="nav.home"                      → texte de l'élément
+	  data-i18n-attr="aria-label:contact.socials" → attribut(s), séparés par ";"
+	  data-i18n-project="idfc.title"            → champ "en" d'un projet du manifeste
+	  data-i18n-category="photo.title"          → champ "en" d'une catégorie
+
+	1. Bouton FR/EN ajouté dans la .topbar, à côté de #theme-toggle
+	2. Choix mémorisé dans localStorage ("site-lang", comme "site-theme")
+	   et reflété dans <html lang> ; ?lang=en dans l'adresse est prioritaire
+	   (c'est l'URL annoncée par les liens hreflang)
+	3. Les éléments ajoutés plus tard (rendu des projets, palettes…) sont
+	   traduits automatiquement (MutationObserver)
+	4. API pour les autres scripts : window.PortfolioI18n.t(clé, texteFr, valeurs)
+	   et l'événement "i18n:change" sur document
+	================================================
+*/
+
+(function () {
+	const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+	const ROOT_URL = new URL('../', SCRIPT_URL);
+	const LANG_KEY = 'site-lang';
+	const LANGS = ['fr', 'en'];
+	const SOURCE_LANG = 'fr';
+
+	// Textes français d'origine, pour revenir en arrière sans recharger
+	const originals = new WeakMap();
+	const dictionaries = { fr: Promise.resolve({}) };
+	let dictionary = {};
+	let manifest = null;
+	let lang = readInitialLang();
+	let toggle = null;
+
+	document.documentElement.lang = lang;
+
+	// ====== API PARTAGÉE ======
+	// Insertion des {valeurs} : celle de script/theme.js, chargé avant sur toutes les pages
+	const { fill } = window.PortfolioI18n;
+
+	// t('filters.count', '{n} projets', { n: 3 }) → texte dans la langue active
+	function t(key, fallback, values) {
+		return fill(lang !== SOURCE_LANG && key in dictionary ? dictionary[key] : fallback, values);
+	}
+
+	window.PortfolioI18n = {
+		t,
+		fill,
+		lang: () => lang,
+		setLang,
+	};
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', setupI18n);
+	} else {
+		setupI18n();
+	}
+
+	// ====== INITIALISATION ======
+	function setupI18n() {
+		setupLangToggle();
+		observeNewContent();
+		setLang(lang, { initial: true });
+	}
+
+	function readInitialLang() {
+		const fromUrl = new URLSearchParams(window.location.search).get('lang');
+		try {
+			if (LANGS.includes(fromUrl)) {
+				localStorage.setItem(LANG_KEY, fromUrl);
+				return fromUrl;
+			}
+			const saved = localStorage.getItem(LANG_KEY);
+			if (LANGS.includes(saved)) return saved;
+		} catch (_) {}
+		return SOURCE_LANG;
+	}
+
+	function loadDictionary(code) {
+		if (!dictionaries[code]) {
+			dictionaries[code] = fetch(new URL(`data/i18n/${code}.json`, ROOT_URL))
+				.then((res) => {
+					if (!res.ok) throw new Error(`HTTP ${res.status}`);
+					return res.json();
+				})
+				.catch((err) => {
+					console.warn('Traductions indisponibles :', err);
+					delete dictionaries[code];
+					return {};
+				});
+		}
+		return dictionaries[code];
+	}
+
+	// Les titres et descriptions des projets viennent du manifeste (script/projects.js)
+	function loadManifest() {
+		if (manifest || !window.PortfolioProjects) return Promise.resolve(manifest);
+		return window.PortfolioProjects.load()
+			.then((data) => { manifest = data; return data; })
+			.catch(() => null);
+	}
+
+	// ====== CHANGEMENT DE LANGUE ======
+	function setLang(code, options = {}) {
+		if (!LANGS.includes(code)) return Promise.resolve();
+		lang = code;
+		document.documentElement.lang = code;
+		if (!options.initial) {
+			try {
+				localStorage.setItem(LANG_KEY, code);
+			} catch (_) {}
+			syncUrl();
+		}
+		updateToggle();
+
+		return Promise.all([loadDictionary(code), code === SOURCE_LANG ? manifest : loadManifest()])
+			.then(([dict]) => {
+				if (lang !== code) return; // un autre clic a pris le relais
+				dictionary = dict;
+				translate(document);
+				updateToggle();
+				document.dispatchEvent(new CustomEvent('i18n:change', { detail: { lang: code } }));
+			});
+	}
+
+	// Retire ?lang= de l'adresse une fois le choix mémorisé
+	function syncUrl() {
+		const params = new URLSearchParams(window.location.search);
+		if (!params.has('lang')) return;
+		params.delete('lang');
+		const query = params.toString();
+		history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+	}
+
+	// ====== TRADUCTION DU DOM ======
+	function translate(root) {
+		const select = (selector) => {
+			const nodes = Array.from(root.querySelectorAll(selector));
+			if (root.matches && root.matches(selector)) nodes.unshift(root);
+			return nodes;
+		};
+
+		select('[data-i18n]').forEach((node) => {
+			setText(node, t(node.getAttribute('data-i18n'), original(node, 'text')));
+		});
+
+		select('[data-i18n-attr]').forEach((node) => {
+			node.getAttribute('data-i18n-attr').split(';').forEach((pair) => {
+				const [attr, key] = pair.split(':').map((part) => part.trim());
+				if (!attr || !key) return;
+				node.setAttribute(attr, t(key, original(node, attr)));
+			});
+		});
+
+		select('[data-i18n-project]').forEach((node) => {
+			const [id, field] = node.getAttribute('data-i18n-project').split('.');
+			const project = manifest && manifest.projects.find((p) => p.id === id);
+			setText(node, localized(project, field, original(node, 'text')));
+		});
+
+		select('[data-i18n-category]').forEach((node) => {
+			const [id, field] = node.getAttribute('data-i18n-category').split('.');
+			const category = manifest && manifest.categories.find((c) => c.id === id);
+			setText(node, localized(category, field, original(node, 'text')));
+		});
+	}
+
+	// Mémorise la valeur française la première fois qu'on touche à l'élément
+	function original(node, slot) {
+		let saved = originals.get(node);
+		if (!saved) {
+			saved = {};
+			originals.set(node, saved);
+		}
+		if (!(slot in saved)) saved[slot] = slot === 'text' ? node.textContent : node.getAttribute(slot) || '';
+		return saved[slot];
+	}
+
+	function localized(entry, field, fallback) {
+		if (lang === SOURCE_LANG || !entry || !entry[lang] || !entry[lang][field]) return fallback;
+		return entry[lang][field];
+	}
+
+	function setText(node, text) {
+		if (node.textContent !== text) node.textContent = text;
+	}
+
+	// Contenu ajouté après coup (chronologie, filtres, palette de recherche…) : traduit à l'insertion
+	function observeNewContent() {
+		new MutationObserver((mutations) => {
+			mutations.forEach((mutation) => {
+				mutation.addedNodes.forEach((node) => {
+					if (node.nodeType === 1) translate(node);
+				});
+			});
+		}).observe(document.body, { childList: true, subtree: true });
+	}
+
+	// ====== BOUTON FR / EN ======
+	function setupLangToggle() {
+		const themeToggle = document.getElementById('theme-toggle');
+		const slot = themeToggle ? themeToggle.parentElement : document.querySelector('.topbar');
+		if (!slot) return;
+
+		toggle = document.createElement('button');
+		toggle.type = 'button';
+		toggle.className = 'lang-toggle';
+		if (themeToggle) themeToggle.after(toggle);
+		else slot.appendChild(toggle);
+
+		toggle.addEventListener('click', () => setLang(lang === 'fr' ? 'en' : 'fr'));
+		updateToggle();
+	}
+
+	// Le bouton affiche la langue proposée, étiquetée dans cette langue
+	function updateToggle() {
+		if (!toggle) return;
+		const next = lang === 'fr' ? 'en' : 'fr';
+		toggle.textContent = next.toUpperCase();
+		toggle.setAttribute('lang', next);
+		toggle.setAttribute('aria-label', next === 'en' ? 'Switch to English' : 'Passer en français');
+	}
+})();
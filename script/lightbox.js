@@ -0,0 +1,317 @@
+/*
+	================================================
+	LIGHTBOX.JS — VISIONNEUSE PLEIN ÉCRAN DES GALERIES
+	================================================
+	Ouvre en grand n'importe quelle image d'une galerie :
+
+	1. Images des .photo-gallery et images marquées data-lightbox
+	   (une même valeur de data-lightbox regroupe plusieurs images)
+	2. Flèches ← → pour naviguer, Échap pour fermer
+	3. Balayage et pincement (zoom) sur écran tactile, double-clic pour zoomer
+	4. Compteur "3 / 20" et légende reprise du texte alternatif (alt)
+	5. Adresse partageable : chaque photo a son ancre (#photo-3)
+
+	Le focus reste dans la visionneuse tant qu'elle est ouverte et revient
+	sur la vignette à la fermeture. Les transitions sont coupées si
+	l'utilisateur préfère moins d'animations (comme script/portfolio/).
+	================================================
+*/
+
+(function () {
+	// Texte traduit (script/i18n.js, français par défaut défini dans script/theme.js)
+	const t = (key, fallback, values) => window.PortfolioI18n.t(key, fallback, values);
+
+	const HASH_PREFIX = '#photo-';
+	const SWIPE_THRESHOLD = 50; // px de déplacement horizontal pour changer de photo
+	const MAX_SCALE = 4;
+
+	let images = [];   // toutes les images, dans l'ordre du document (numéro de l'ancre)
+	let groups = new Map(); // image → liste des images de sa galerie
+	let dialog = null;
+	let stage = null;
+	let view = null;
+	let caption = null;
+	let counter = null;
+	let prevBtn = null;
+	let nextBtn = null;
+	let current = null;
+	let opener = null;
+	let zoom = { scale: 1, x: 0, y: 0 };
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', setupLightbox);
+	} else {
+		setupLightbox();
+	}
+	document.addEventListener('i18n:change', labelThumbnails);
+	window.addEventListener('hashchange', openFromHash);
+
+	// Changement de page sans rechargement (script/navigation.js) : nouvelles galeries
+	document.addEventListener('page:unload', () => {
+		if (dialog && dialog.open) dialog.close();
+	});
+	document.addEventListener('page:load', setupLightbox);
+
+	// ====== INITIALISATION ======
+	// Repère les galeries, rend les vignettes activables au clavier et lit l'ancre
+	function setupLightbox() {
+		images = [];
+		groups = new Map();
+		collectImages();
+		if (!images.length) return;
+
+		images.forEach((img) => {
+			img.setAttribute('tabindex', '0');
+			img.setAttribute('role', 'button');
+			img.addEventListener('click', () => openAt(img, img));
+			img.addEventListener('keydown', (e) => {
+				if (e.key === 'Enter' || e.key === ' ') {
+					e.preventDefault();
+					openAt(img, img);
+				}
+			});
+		});
+
+		labelThumbnails();
+		openFromHash();
+	}
+
+	function labelThumbnails() {
+		images.forEach((img) => {
+			img.setAttribute('aria-label', t('lightbox.open', 'Agrandir : {alt}', { alt: img.alt || 'image' }));
+		});
+	}
+
+	// Une .photo-gallery forme un groupe ; sinon les images de même data-lightbox
+	function collectImages() {
+		const byKey = new Map();
+		document.querySelectorAll('.photo-gallery img, img[data-lightbox]').forEach((img) => {
+			const key = img.closest('.photo-gallery') || img.getAttribute('data-lightbox') || img;
+			if (!byKey.has(key)) byKey.set(key, []);
+			byKey.get(key).push(img);
+			groups.set(img, byKey.get(key));
+			images.push(img);
+		});
+	}
+
+	// #photo-3 → 3e image de la page
+	function openFromHash() {
+		const hash = window.location.hash;
+		if (!hash.startsWith(HASH_PREFIX)) {
+			if (dialog && dialog.open) dialog.close();
+			return;
+		}
+		const img = images[Number(hash.slice(HASH_PREFIX.length)) - 1];
+		if (img && img !== current) openAt(img, img);
+	}
+
+	// ====== VISIONNEUSE ======
+	function buildLightbox() {
+		dialog = document.createElement('dialog');
+		dialog.className = 'lightbox';
+		dialog.setAttribute('aria-label', 'Visionneuse de photos');
+		dialog.setAttribute('data-i18n-attr', 'aria-label:lightbox.dialog');
+		dialog.innerHTML = `
+			<div class="lightbox-stage">
+				<img class="lightbox-image" alt="" draggable="false">
+			</div>
+			<p class="lightbox-caption"><span class="lightbox-text"></span> <span class="lightbox-counter" aria-live="polite"></span></p>
+			<button type="button" class="lightbox-btn lightbox-prev" aria-label="Photo précédente" data-i18n-attr="aria-label:lightbox.prev">❮</button>
+			<button type="button" class="lightbox-btn lightbox-next" aria-label="Photo suivante" data-i18n-attr="aria-label:lightbox.next">❯</button>
+			<button type="button" class="lightbox-btn lightbox-close" aria-label="Fermer la visionneuse" data-i18n-attr="aria-label:lightbox.close">✕</button>
+		`;
+		document.body.appendChild(dialog);
+
+		stage = dialog.querySelector('.lightbox-stage');
+		view = dialog.querySelector('.lightbox-image');
+		caption = dialog.querySelector('.lightbox-text');
+		counter = dialog.querySelector('.lightbox-counter');
+		prevBtn = dialog.querySelector('.lightbox-prev');
+		nextBtn = dialog.querySelector('.lightbox-next');
+
+		prevBtn.addEventListener('click', () => step(-1));
+		nextBtn.addEventListener('click', () => step(1));
+		dialog.querySelector('.lightbox-close').addEventListener('click', () => dialog.close());
+		dialog.addEventListener('keydown', onKeydown);
+		dialog.addEventListener('close', onClose);
+
+		// Clic en dehors de la photo → fermeture
+		stage.addEventListener('click', (e) => {
+			if (e.target === stage && zoom.scale === 1) dialog.close();
+		});
+		view.addEventListener('dblclick', (e) => toggleZoom(e.clientX, e.clientY));
+
+		setupTouch();
+	}
+
+	function openAt(img, from) {
+		if (!dialog) buildLightbox();
+		// Relu à chaque ouverture : le réglage a pu changer dans le panneau d'accessibilité
+		dialog.classList.toggle('is-animated', !reduceMotion());
+		if (!dialog.open) {
+			opener = from;
+			dialog.showModal();
+		}
+		show(img);
+		dialog.querySelector('.lightbox-close').focus();
+	}
+
+	function show(img) {
+		current = img;
+		const group = groups.get(img);
+		const index = group.indexOf(img);
+
+		resetZoom();
+		view.src = sourceOf(img);
+		view.alt = img.alt || '';
+		caption.textContent = img.alt || '';
+		counter.textContent = `${index + 1} / ${group.length}`;
+		prevBtn.hidden = group.length < 2;
+		nextBtn.hidden = group.length < 2;
+
+		// Précharge les voisines pour un défilement sans attente
+		[group[index - 1], group[index + 1]].forEach((neighbour) => {
+			if (neighbour) new Image().src = sourceOf(neighbour);
+		});
+
+		const hash = `${HASH_PREFIX}${images.indexOf(img) + 1}`;
+		if (window.location.hash !== hash) history.replaceState(history.state, '', hash);
+	}
+
+	// Image pas encore chargée (aperçu flouté de setupNativeLazyLoad) : la vraie image
+	function sourceOf(img) {
+		return img.getAttribute('data-src') || img.currentSrc || img.src;
+	}
+
+	function step(delta) {
+		const group = groups.get(current);
+		if (group.length < 2) return;
+		show(group[(group.indexOf(current) + delta + group.length) % group.length]);
+	}
+
+	// Retire l'ancre et rend le focus à la vignette d'origine
+	function onClose() {
+		const url = `${window.location.pathname}${window.location.search}`;
+		if (window.location.hash.startsWith(HASH_PREFIX)) history.replaceState(history.state, '', url);
+		current = null;
+		view.removeAttribute('src');
+		if (opener && document.contains(opener)) opener.focus();
+		opener = null;
+	}
+
+	// ====== CLAVIER ======
+	// Échap est géré nativement par <dialog> (événement "close")
+	function onKeydown(e) {
+		if (e.key === 'ArrowLeft') {
+			e.preventDefault();
+			step(-1);
+		} else if (e.key === 'ArrowRight') {
+			e.preventDefault();
+			step(1);
+		} else if (e.key === 'Tab') {
+			trapFocus(e);
+		}
+	}
+
+	// Garde le focus sur les boutons de la visionneuse
+	function trapFocus(e) {
+		const focusable = Array.from(dialog.querySelectorAll('button')).filter((btn) => !btn.hidden);
+		const first = focusable[0];
+		const last = focusable[focusable.length - 1];
+		if (e.shiftKey && document.activeElement === first) {
+			e.preventDefault();
+			last.focus();
+		} else if (!e.shiftKey && document.activeElement === last) {
+			e.preventDefault();
+			first.focus();
+		} else if (!dialog.contains(document.activeElement)) {
+			e.preventDefault();
+			first.focus();
+		}
+	}
+
+	// ====== ZOOM ET GESTES TACTILES ======
+	function applyZoom() {
+		view.style.transform = zoom.scale === 1 ? '' : `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
+		stage.classList.toggle('is-zoomed', zoom.scale > 1);
+	}
+
+	function resetZoom() {
+		zoom = { scale: 1, x: 0, y: 0 };
+		if (view) applyZoom();
+	}
+
+	// Zoom ×2 centré sur le point touché, ou retour à la taille normale
+	function toggleZoom(clientX, clientY) {
+		if (zoom.scale > 1) {
+			resetZoom();
+			return;
+		}
+		const rect = view.getBoundingClientRect();
+		const scale = 2;
+		zoom = {
+			scale,
+			x: (rect.left + rect.width / 2 - clientX) * (scale - 1),
+			y: (rect.top + rect.height / 2 - clientY) * (scale - 1),
+		};
+		applyZoom();
+	}
+
+	// Un doigt : balayage (ou déplacement si zoomé) ; deux doigts : pincement
+	function setupTouch() {
+		const pointers = new Map();
+		let start = null;
+
+		stage.addEventListener('pointerdown', (e) => {
+			if (e.pointerType === 'mouse') return;
+			stage.setPointerCapture(e.pointerId);
+			pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+			start = {
+				points: Array.from(pointers.values()),
+				zoom: { ...zoom },
+			};
+		});
+
+		stage.addEventListener('pointermove', (e) => {
+			if (!pointers.has(e.pointerId)) return;
+			pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+			const points = Array.from(pointers.values());
+
+			if (points.length === 2 && start.points.length === 2) {
+				const ratio = distance(points) / distance(start.points);
+				zoom.scale = Math.min(MAX_SCALE, Math.max(1, start.zoom.scale * ratio));
+				if (zoom.scale === 1) zoom.x = zoom.y = 0;
+				applyZoom();
+			} else if (points.length === 1 && start.zoom.scale > 1) {
+				zoom.x = start.zoom.x + points[0].x - start.points[0].x;
+				zoom.y = start.zoom.y + points[0].y - start.points[0].y;
+				applyZoom();
+			}
+		});
+
+		const end = (e) => {
+			if (!pointers.has(e.pointerId)) return;
+			const origin = start.points[0];
+			const swipe = pointers.size === 1 && start.points.length === 1 && start.zoom.scale === 1 && zoom.scale === 1;
+			pointers.delete(e.pointerId);
+			if (swipe && e.type === 'pointerup') {
+				const dx = e.clientX - origin.x;
+				const dy = e.clientY - origin.y;
+				if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) step(dx < 0 ? 1 : -1);
+			}
+			// Le doigt restant devient le nouveau point de départ
+			start = { points: Array.from(pointers.values()), zoom: { ...zoom } };
+		};
+		stage.addEventListener('pointerup', end);
+		stage.addEventListener('pointercancel', end);
+	}
+
+	function distance(points) {
+		return Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) || 1;
+	}
+
+	function reduceMotion() {
+		if (window.PortfolioTheme) return window.PortfolioTheme.reduceMotion();
+		return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+	}
+})();
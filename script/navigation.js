@@ -0,0 +1,321 @@
+/*
+	================================================
+	NAVIGATION.JS — TRANSITIONS ENTRE PAGES SANS RECHARGEMENT
+	================================================
+	Les liens internes (accueil, projets, articles, CV…) ne rechargent plus
+	toute la page : la topbar reste en place, seul le contenu change.
+
+	1. Préchargement de la page visée au survol, au focus ou au toucher
+	   d'un lien (rien en mode économie de données)
+	2. Au clic, le <main> et le <footer> de la page visée remplacent ceux
+	   de la page actuelle, dans une View Transition si le navigateur la
+	   connaît (échange direct sinon, ou si l'utilisateur préfère moins
+	   d'animations)
+	3. Historique (retour/avance avec la position de défilement), <title>,
+	   balises meta/canonical/hreflang, classes et data-features du <body>,
+	   chemins relatifs des liens de la topbar
+	4. Feuilles de styles et scripts absents de la page actuelle ajoutés
+	   depuis le <head> de la page visée, avant l'échange ; feuilles
+	   devenues inutiles retirées après
+	5. Événements sur document pour reprendre le nouveau contenu :
+	     "page:unload"  juste avant l'échange (minuteurs, dialogues…)
+	     "page:load"    juste après, detail.url = nouvelle adresse
+	   script/portfolio/main.js relance init() ; filters.js, carousel.js,
+	   lightbox.js, videos.js, contact-form.js et optimized.js refont leur
+	   mise en place sur le nouveau contenu. Un script ajouté au passage
+	   démarre d'abord sur la page encore affichée (il n'y trouve rien à
+	   faire), puis reçoit "page:load" comme les autres
+
+	Tout échec (réseau, réponse non HTML) retombe sur une navigation
+	classique. Un lien s'exclut avec data-no-transition ; les liens avec
+	target, download ou vers un fichier non HTML ne sont jamais pris.
+	API : window.PortfolioNavigation.navigate(url) et .prefetch(url)
+	================================================
+*/
+
+(function () {
+	const PREFETCH_DELAY = 65; // ms de survol avant de précharger (ignore les survols de passage)
+	const MAX_PAGES = 20; // pages gardées en mémoire (les plus anciennes partent d'abord)
+	const SCROLL_SAVE_DELAY = 150; // ms sans défilement avant de mémoriser la position
+
+	// Balises du <head> propres à chaque page
+	const HEAD_SELECTOR = [
+		'meta[name="description"]',
+		'meta[name="robots"]',
+		'meta[property^="og:"]',
+		'meta[name^="twitter:"]',
+		'link[rel="canonical"]',
+		'link[rel="alternate"]',
+		'script[type="application/ld+json"]',
+	].join(', ');
+	// Attributs du <body> posés par le front matter (tools/build-site.js)
+	const BODY_ATTRIBUTES = ['data-features', 'data-reduce-motion'];
+	// Zones remplacées en entier ; la topbar reste (boutons thème, langue, recherche)
+	const SWAPPED = ['main', 'footer.footer'];
+
+	const pages = new Map(); // adresse sans ancre → Promise<{ url, html }>
+	let currentPage = pageKey(window.location.href);
+	// Classes du front matter (bodyClass) ; celles du thème (script/theme.js) restent
+	let pageClasses = Array.from(document.body.classList).filter((name) => !name.startsWith('theme-'));
+	let navigationId = 0;
+	let hoverTimer = null;
+	let scrollTimer = null;
+
+	window.PortfolioNavigation = {
+		navigate: (href) => navigate(new URL(href, window.location.href), { push: true }),
+		prefetch: (href) => fetchPage(new URL(href, window.location.href)),
+	};
+
+	document.addEventListener('click', onClick);
+	document.addEventListener('mouseover', (e) => {
+		const url = targetOf(closestLink(e.target));
+		if (!url) return;
+		clearTimeout(hoverTimer);
+		hoverTimer = setTimeout(() => prefetch(url), PREFETCH_DELAY);
+	});
+	document.addEventListener('mouseout', (e) => {
+		if (closestLink(e.target)) clearTimeout(hoverTimer);
+	});
+	document.addEventListener('touchstart', (e) => prefetch(targetOf(closestLink(e.target))), { passive: true });
+	document.addEventListener('focusin', (e) => prefetch(targetOf(closestLink(e.target))));
+	window.addEventListener('popstate', onPopState);
+	window.addEventListener('scroll', () => {
+		clearTimeout(scrollTimer);
+		scrollTimer = setTimeout(saveScroll, SCROLL_SAVE_DELAY);
+	}, { passive: true });
+	// Rechargement ou cache du navigateur (bfcache) : restauration native
+	window.addEventListener('pagehide', () => {
+		saveScroll();
+		history.scrollRestoration = 'auto';
+	});
+
+	// ====== LIENS PRIS EN CHARGE ======
+	function closestLink(node) {
+		return node && node.closest ? node.closest('a[href]') : null;
+	}
+
+	// URL de la page visée, ou null si le lien garde son comportement normal
+	function targetOf(link, event) {
+		if (!link || link.hasAttribute('download') || link.hasAttribute('data-no-transition')) return null;
+		if (link.target && link.target !== '_self') return null;
+		if (event && (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey)) return null;
+
+		const url = new URL(link.getAttribute('href'), window.location.href);
+		if (url.origin !== window.location.origin || !/(\.html|\/)$/.test(url.pathname)) return null;
+		// Ancre dans la page affichée : défilement classique (smooth-scroll.js)
+		if (url.hash && pageKey(url.href) === currentPage) return null;
+		return url;
+	}
+
+	function pageKey(href) {
+		const url = new URL(href, window.location.href);
+		url.hash = '';
+		return url.href;
+	}
+
+	// ====== PRÉCHARGEMENT ======
+	function prefetch(url) {
+		const connection = navigator.connection;
+		if (!url || (connection && connection.saveData)) return;
+		fetchPage(url).catch(() => {});
+	}
+
+	// Une page n'est téléchargée qu'une fois ; un échec n'est pas gardé
+	function fetchPage(url) {
+		const key = pageKey(url.href);
+		if (!pages.has(key)) {
+			if (pages.size >= MAX_PAGES) pages.delete(pages.keys().next().value);
+			const request = fetch(key, { credentials: 'same-origin' }).then((res) => {
+				const type = res.headers.get('Content-Type') || '';
+				if (!res.ok || !type.includes('text/html')) throw new Error(`HTTP ${res.status} ${type}`);
+				return res.text().then((html) => ({ url: res.url || key, html }));
+			});
+			request.catch(() => pages.delete(key));
+			pages.set(key, request);
+		}
+		return pages.get(key);
+	}
+
+	// ====== NAVIGATION ======
+	function onClick(e) {
+		if (e.defaultPrevented) return;
+		const url = targetOf(closestLink(e.target), e);
+		if (!url) return;
+		e.preventDefault();
+		navigate(url, { push: true });
+	}
+
+	function onPopState(e) {
+		// Simple changement d'ancre dans la même page
+		if (pageKey(window.location.href) === currentPage) return;
+		const scroll = e.state && typeof e.state.scroll === 'number' ? e.state.scroll : null;
+		navigate(new URL(window.location.href), { push: false, scroll });
+	}
+
+	function navigate(url, options) {
+		const id = ++navigationId;
+		document.documentElement.classList.add('is-navigating');
+
+		return fetchPage(url)
+			.then(({ url: finalUrl, html }) => {
+				const doc = new DOMParser().parseFromString(html, 'text/html');
+				if (!doc.querySelector('main')) throw new Error('page sans <main>');
+				const target = new URL(finalUrl);
+				target.hash = url.hash;
+				return loadAssets(doc, target).then(() => {
+					if (id === navigationId) render(doc, target, options);
+				});
+			})
+			.catch((err) => {
+				if (id !== navigationId) return; // un autre clic a pris le relais
+				console.warn('Navigation classique :', err);
+				if (options.push) window.location.assign(url.href);
+				else window.location.reload();
+			})
+			.finally(() => {
+				if (id === navigationId) document.documentElement.classList.remove('is-navigating');
+			});
+	}
+
+	// Position de défilement gardée dans l'entrée d'historique, pour le retour
+	function saveScroll() {
+		history.replaceState({ ...history.state, scroll: window.scrollY }, '');
+	}
+
+	// ====== ÉCHANGE DU CONTENU ======
+	function render(doc, url, options) {
+		clearTimeout(scrollTimer);
+		if (options.push) saveScroll();
+		history.scrollRestoration = 'manual';
+
+		const update = () => {
+			document.dispatchEvent(new CustomEvent('page:unload', { detail: { url: currentPage } }));
+			// L'adresse change avant l'insertion : les liens relatifs de la page visée se résolvent juste,
+			// ceux qui restent en place sont d'abord figés en adresses absolues
+			pinUrls();
+			if (options.push) history.pushState({ scroll: 0 }, '', url.href);
+			currentPage = pageKey(url.href);
+
+			updateHead(doc, url);
+			updateBody(doc);
+			syncLinks(doc, '.topbar');
+			SWAPPED.forEach((selector) => {
+				const current = document.querySelector(selector);
+				const next = doc.querySelector(selector);
+				if (current && next) current.replaceWith(document.adoptNode(next));
+			});
+
+			restoreScroll(url, options.scroll);
+			document.dispatchEvent(new CustomEvent('page:load', { detail: { url: url.href } }));
+			focusContent(url);
+		};
+
+		if (document.startViewTransition && !reduceMotion()) document.startViewTransition(update);
+		else update();
+	}
+
+	// Même ordre que init() dans script/portfolio/index.js : panneau, page, système
+	function reduceMotion() {
+		const choice = window.PortfolioTheme ? window.PortfolioTheme.preference('motion') : null;
+		if (choice) return choice === 'reduce';
+		return document.body.dataset.reduceMotion === 'true'
+			|| window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+	}
+
+	// <title>, meta et liens alternatifs ; feuilles de styles dont la page visée n'a pas besoin
+	function updateHead(doc, url) {
+		document.title = doc.title;
+		document.head.querySelectorAll(HEAD_SELECTOR).forEach((node) => node.remove());
+		doc.head.querySelectorAll(HEAD_SELECTOR).forEach((node) => document.head.appendChild(document.adoptNode(node)));
+
+		const wanted = new Set(stylesheetsOf(doc, url));
+		document.head.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+			if (!wanted.has(link.href)) link.remove();
+		});
+	}
+
+	// Styles, scripts et liens du <head>, scripts du <body> (script/theme.js)
+	function pinUrls() {
+		document.querySelectorAll('head [href], head [src], body > script[src]').forEach((node) => {
+			const name = node.hasAttribute('src') ? 'src' : 'href';
+			node.setAttribute(name, node[name]);
+		});
+	}
+
+	function updateBody(doc) {
+		const body = document.body;
+		pageClasses.forEach((name) => body.classList.remove(name));
+		pageClasses = Array.from(doc.body.classList);
+		pageClasses.forEach((name) => body.classList.add(name));
+		BODY_ATTRIBUTES.forEach((name) => {
+			if (doc.body.hasAttribute(name)) body.setAttribute(name, doc.body.getAttribute(name));
+			else body.removeAttribute(name);
+		});
+	}
+
+	// Même partial sur toutes les pages : les liens gardent leur ordre, seuls les chemins relatifs changent
+	function syncLinks(doc, selector) {
+		const next = Array.from(doc.querySelectorAll(`${selector} a[href]`));
+		document.querySelectorAll(`${selector} a[href]`).forEach((link, index) => {
+			if (next[index]) link.setAttribute('href', next[index].getAttribute('href'));
+		});
+	}
+
+	// Retour/avance : position mémorisée ; sinon l'ancre visée ou le haut de la page
+	function restoreScroll(url, scroll) {
+		if (typeof scroll === 'number') {
+			window.scrollTo(0, scroll);
+			return;
+		}
+		const target = url.hash ? document.getElementById(decodeURIComponent(url.hash.slice(1))) : null;
+		if (target) target.scrollIntoView();
+		else window.scrollTo(0, 0);
+	}
+
+	// Lecteurs d'écran et clavier repartent du début du nouveau contenu
+	function focusContent(url) {
+		const main = document.querySelector('main');
+		if (!main || url.hash) return;
+		main.setAttribute('tabindex', '-1');
+		main.focus({ preventScroll: true });
+	}
+
+	// ====== STYLES ET SCRIPTS DE LA PAGE VISÉE ======
+	function stylesheetsOf(doc, base) {
+		return Array.from(doc.head.querySelectorAll('link[rel="stylesheet"]'))
+			.map((link) => new URL(link.getAttribute('href'), base).href);
+	}
+
+	// Feuilles manquantes chargées avant l'échange (pas de contenu sans style),
+	// puis scripts manquants dans l'ordre du <head>, l'un après l'autre comme defer
+	function loadAssets(doc, base) {
+		const loaded = new Set(Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map((link) => link.href));
+		const styles = stylesheetsOf(doc, base)
+			.filter((href) => !loaded.has(href))
+			.map((href) => append('link', { rel: 'stylesheet', href }));
+
+		const present = new Set(Array.from(document.scripts).map((script) => script.src).filter(Boolean));
+		const scripts = Array.from(doc.head.querySelectorAll('script[src]'))
+			.map((script) => ({ src: new URL(script.getAttribute('src'), base).href, type: script.getAttribute('type') }))
+			.filter((script) => !present.has(script.src));
+
+		return scripts.reduce(
+			(chain, script) => chain.then(() => append('script', { src: script.src, type: script.type })),
+			Promise.all(styles)
+		);
+	}
+
+	// Ajoute l'élément au <head> ; la promesse est tenue au chargement, même en erreur
+	function append(tag, attrs) {
+		return new Promise((done) => {
+			const node = document.createElement(tag);
+			Object.entries(attrs).forEach(([name, value]) => {
+				if (value) node.setAttribute(name, value);
+			});
+			if (tag === 'script') node.async = false;
+			node.addEventListener('load', done);
+			node.addEventListener('error', done);
+			document.head.appendChild(node);
+		});
+	}
+})();
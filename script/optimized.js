@@ -1,8 +1,12 @@
 /*
  * OPTIMISATIONS SUPPLÉMENTAIRES - PERFORMANCE
  * Améliore les performances et l'expérience utilisateur
+ * Enregistre aussi le service worker (consultation hors ligne)
  */
 
+// Racine du site déduite de l'URL de ce script (…/script/optimized.js → …/)
+const SITE_ROOT = new URL('../', document.currentScript ? document.currentScript.src : window.location.href);
+
 // Debounce utility pour limiter les appels fréquents
 function debounce(func, wait) {
 	let timeout;
@@ -44,21 +48,44 @@ const optimizeScroll = () => {
 };
 
 // Lazy loading natif pour les images
-const setupNativeLazyLoad = () => {
-	if ('IntersectionObserver' in window) {
-		const images = document.querySelectorAll('img[data-src]');
-		const imageObserver = new IntersectionObserver((entries, observer) => {
-			entries.forEach(entry => {
-				if (entry.isIntersecting) {
-					const img = entry.target;
-					img.src = img.dataset.src;
-					img.removeAttribute('data-src');
-					observer.unobserve(img);
-				}
-			});
+// Les <img> réécrites par tools/build-images.js affichent un aperçu flouté (src)
+// et portent la vraie image dans data-src / data-srcset, <source> du <picture> compris
+const loadLazyImage = (img) => {
+	const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+	if (picture) {
+		picture.querySelectorAll('source[data-srcset]').forEach(source => {
+			source.srcset = source.dataset.srcset;
+			source.removeAttribute('data-srcset');
 		});
-		images.forEach(img => imageObserver.observe(img));
 	}
+	if (img.classList.contains('is-placeholder')) {
+		const reveal = () => img.classList.remove('is-placeholder');
+		img.addEventListener('load', reveal, { once: true });
+		img.addEventListener('error', reveal, { once: true });
+	}
+	if (img.dataset.srcset) {
+		img.srcset = img.dataset.srcset;
+		img.removeAttribute('data-srcset');
+	}
+	img.src = img.dataset.src;
+	img.removeAttribute('data-src');
+};
+
+const setupNativeLazyLoad = () => {
+	const images = document.querySelectorAll('img[data-src]');
+	if (!('IntersectionObserver' in window)) {
+		images.forEach(loadLazyImage);
+		return;
+	}
+	const imageObserver = new IntersectionObserver((entries, observer) => {
+		entries.forEach(entry => {
+			if (entry.isIntersecting) {
+				loadLazyImage(entry.target);
+				observer.unobserve(entry.target);
+			}
+		});
+	}, { rootMargin: '200px 0px' });
+	images.forEach(img => imageObserver.observe(img));
 };
 
 // Optimisation des ressources avec Resource Hints
@@ -66,13 +93,13 @@ const setupResourceHints = () => {
 	// Preload des ressources critiques
 	const criticalResources = [
 		{ href: 'styles/Style.css', rel: 'preload', as: 'style' },
-		{ href: 'script/Responsive.js', rel: 'preload', as: 'script' },
+		{ href: 'script/portfolio/main.js', rel: 'modulepreload' },
 	];
 	
 	criticalResources.forEach(resource => {
 		const link = document.createElement('link');
 		link.rel = resource.rel;
-		link.href = resource.href;
+		link.href = new URL(resource.href, SITE_ROOT).href;
 		if (resource.as) link.as = resource.as;
 		document.head.appendChild(link);
 	});
@@ -88,7 +115,7 @@ const deferNonCritical = (callback) => {
 };
 
 // Optimisation du changement de thème
-// Désactivée ici pour éviter un double toggle (déjà géré dans Responsive.js)
+// Désactivée ici pour éviter un double toggle (déjà géré par script/portfolio/features/theme-toggle.js)
 const optimizeThemeToggle = () => {
 	return;
 };
@@ -108,10 +135,69 @@ if (document.readyState === 'loading') {
 	deferNonCritical(() => setupResourceHints());
 }
 
-// Signaler au service worker de mettre en cache les ressources
-if ('serviceWorker' in navigator) {
+// Nouvelles images après un changement de page (script/navigation.js)
+document.addEventListener('page:load', setupNativeLazyLoad);
+
+// ====== SERVICE WORKER (CONSULTATION HORS LIGNE) ======
+
+// Vrai quand cet onglet a demandé SKIP_WAITING (bouton "Mettre à jour")
+let updateRequested = false;
+
+// Enregistre service-worker.js (racine) et propose les nouvelles versions
+const setupServiceWorker = () => {
+	if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
 	window.addEventListener('load', () => {
-		// Optionnel : enregistrer un service worker
-		// navigator.serviceWorker.register('service-worker.js').catch(() => {});
+		// Sans contrôleur à l'enregistrement, le premier clients.claim() ne doit pas recharger la page
+		const hadController = Boolean(navigator.serviceWorker.controller);
+		navigator.serviceWorker.register(new URL('service-worker.js', SITE_ROOT).href)
+			.then((registration) => {
+				// Une version attend déjà (onglet ouvert pendant la mise en ligne)
+				if (registration.waiting && navigator.serviceWorker.controller) {
+					showUpdateToast(registration.waiting);
+				}
+				registration.addEventListener('updatefound', () => {
+					const worker = registration.installing;
+					if (!worker) return;
+					worker.addEventListener('statechange', () => {
+						// Première installation : pas de toast, le cache se remplit en silence
+						if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+							showUpdateToast(worker);
+						}
+					});
+				});
+			})
+			.catch(() => {});
+
+		// La nouvelle version demandée ici a pris la main → rechargement pour l'utiliser
+		// (pas quand un autre onglet l'a activée : le visiteur est peut-être en train d'écrire)
+		let reloading = false;
+		navigator.serviceWorker.addEventListener('controllerchange', () => {
+			if (reloading || !hadController || !updateRequested) return;
+			reloading = true;
+			window.location.reload();
+		});
 	});
-}
+};
+
+// Toast "Nouvelle version disponible" avec bouton de mise à jour
+const showUpdateToast = (worker) => {
+	if (document.querySelector('.update-toast')) return;
+
+	const toast = document.createElement('div');
+	toast.className = 'update-toast';
+	toast.setAttribute('role', 'status');
+	// data-i18n : traduit par script/i18n.js dès l'ajout à la page
+	toast.innerHTML = '<span data-i18n="update.available">Nouvelle version disponible</span>'
+		+ '<button type="button" class="update-toast-reload" data-i18n="update.reload">Mettre à jour</button>'
+		+ '<button type="button" class="update-toast-close" aria-label="Plus tard" data-i18n-attr="aria-label:update.later">✕</button>';
+	document.body.appendChild(toast);
+
+	toast.querySelector('.update-toast-reload').addEventListener('click', () => {
+		updateRequested = true;
+		worker.postMessage({ type: 'SKIP_WAITING' });
+	});
+	toast.querySelector('.update-toast-close').addEventListener('click', () => toast.remove());
+};
+
+setupServiceWorker();
@@ -0,0 +1,98 @@
+/*
+	================================================
+	CLEANUP.JS — LIBÉRATION DES RESSOURCES D'UNE FONCTIONNALITÉ
+	================================================
+	Chaque fonctionnalité reçoit son propre cleanup et y enregistre tout
+	ce qu'elle pose : écouteurs, observers, requestAnimationFrame, minuteurs.
+	release() défait tout d'un coup (appelé par destroy()) ; après coup,
+	frame() / timeout() / interval() ne programment plus rien, ce qui
+	arrête aussi les boucles requestAnimationFrame.
+	================================================
+*/
+
+export function createCleanup(win) {
+	const tasks = [];
+	const frames = new Set();
+	const timers = new Set();
+	const intervals = new Set();
+	let released = false;
+
+	return {
+		get released() {
+			return released;
+		},
+
+		// addEventListener mémorisé pour être retiré au release()
+		on(target, type, listener, options) {
+			if (!target || released) return;
+			target.addEventListener(type, listener, options);
+			tasks.push(() => target.removeEventListener(type, listener, options));
+		},
+
+		// IntersectionObserver, MutationObserver… : déconnecté au release()
+		observe(observer) {
+			tasks.push(() => observer.disconnect());
+			return observer;
+		},
+
+		frame(callback) {
+			if (released) return 0;
+			const id = win.requestAnimationFrame((time) => {
+				frames.delete(id);
+				callback(time);
+			});
+			frames.add(id);
+			return id;
+		},
+
+		cancelFrame(id) {
+			win.cancelAnimationFrame(id);
+			frames.delete(id);
+		},
+
+		timeout(callback, delay) {
+			if (released) return 0;
+			const id = win.setTimeout(() => {
+				timers.delete(id);
+				callback();
+			}, delay);
+			timers.add(id);
+			return id;
+		},
+
+		clearTimeout(id) {
+			win.clearTimeout(id);
+			timers.delete(id);
+		},
+
+		interval(callback, delay) {
+			if (released) return 0;
+			const id = win.setInterval(callback, delay);
+			intervals.add(id);
+			return id;
+		},
+
+		clearInterval(id) {
+			win.clearInterval(id);
+			intervals.delete(id);
+		},
+
+		// Remise en état du DOM (classes, styles en ligne, éléments ajoutés)
+		add(task) {
+			tasks.push(task);
+		},
+
+		release() {
+			if (released) return;
+			released = true;
+			frames.forEach((id) => win.cancelAnimationFrame(id));
+			timers.forEach((id) => win.clearTimeout(id));
+			intervals.forEach((id) => win.clearInterval(id));
+			frames.clear();
+			timers.clear();
+			intervals.clear();
+			// Ordre inverse : on défait d'abord ce qui a été posé en dernier
+			tasks.splice(0).reverse().forEach((task) => task());
+		},
+	};
+}
@@ -0,0 +1,34 @@
+/*
+	================================================
+	ACTIVE-NAV.JS — SURLIGNAGE DU LIEN DE NAVIGATION ACTIF
+	================================================
+	Met en avant le lien de navigation correspondant à la section visible
+	(scroll-spy.js, comme le sommaire des articles).
+	================================================
+*/
+
+import { createScrollSpy } from '../scroll-spy.js';
+
+const SECTIONS = ['hero', 'projects', 'about', 'contact'];
+
+export default {
+	name: 'active-nav',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		const navLinks = SECTIONS
+			.map((id) => ({ section: doc.getElementById(id), link: doc.querySelector(`a[href="#${id}"]`) }))
+			.filter((s) => s.section && s.link);
+		if (!navLinks.length) return;
+
+		createScrollSpy({
+			window: win,
+			cleanup,
+			targets: navLinks.map((s) => s.section),
+			onChange: (index) => {
+				navLinks.forEach((s, i) => s.link.classList.toggle('active', i === index));
+			},
+		});
+		cleanup.add(() => navLinks.forEach((s) => s.link.classList.remove('active')));
+	},
+};
@@ -0,0 +1,159 @@
+/*
+	================================================
+	ANALYTICS.JS — MESURE D'AUDIENCE SANS COOKIE
+	================================================
+	Compte ce que les visiteurs regardent, sans rien qui permette de les
+	reconnaître : ni cookie, ni identifiant, ni stockage local. Événements :
+
+	  pageview   page vue (+ site d'origine du visiteur, sans l'adresse complète)
+	  click      clic sur un projet (.project-card, .project-link, .project-link-button)
+	  scroll     article lu à 25, 50, 75 puis 100 % (.article-content)
+	  video      lecture d'une vidéo (événement "video:play" de script/videos.js)
+
+	Les pages sont notées par leur chemin, sans paramètres ni ancre. Les
+	événements partent groupés (navigator.sendBeacon) vers l'adresse de
+	<meta name="analytics-endpoint" content="…"> (src/partials/head.html,
+	vide = désactivé : réglage livré), sinon ENDPOINT ; en local vers
+	tools/analytics-server.js.
+
+	Rien n'est envoyé si le navigateur demande à ne pas être suivi
+	(Do Not Track ou Global Privacy Control).
+	================================================
+*/
+
+const ENDPOINT = '/api/collect';
+const DEV_ENDPOINT = 'http://localhost:8788/api/collect';
+const FLUSH_DELAY = 5000; // ms : regroupe les événements proches
+const MAX_QUEUE = 20;
+const DEPTHS = [25, 50, 75, 100];
+const PROJECT_LINKS = '.project-card, .project-link, .project-link-button';
+
+// Racine du site, déduite de l'emplacement de ce module (script/portfolio/features/)
+const ROOT_URL = new URL('../../../', import.meta.url);
+
+// Dernière page comptée : un init() relancé sur la même page (préférence
+// d'animation modifiée) ne compte pas une seconde vue
+let lastView = null;
+let referrerSent = false;
+
+// ====== VIE PRIVÉE ======
+export function trackingAllowed(win) {
+	const nav = win.navigator || {};
+	const dnt = nav.doNotTrack || win.doNotTrack || nav.msDoNotTrack;
+	if (dnt === '1' || dnt === 'yes') return false;
+	return nav.globalPrivacyControl !== true;
+}
+
+// "https://site/Projets/Photo/article-tatouage.html?lang=en#top" → "Projets/Photo/article-tatouage.html"
+export function pagePath(url) {
+	const { pathname } = new URL(url, ROOT_URL);
+	const path = pathname.startsWith(ROOT_URL.pathname) ? pathname.slice(ROOT_URL.pathname.length) : pathname.replace(/^\//, '');
+	try {
+		return decodeURI(path) || 'index.html';
+	} catch (err) {
+		return path || 'index.html';
+	}
+}
+
+// Seul le nom du site d'origine est gardé, et seulement s'il est extérieur
+function externalReferrer(doc, win) {
+	if (!doc.referrer) return '';
+	try {
+		const { hostname, origin } = new URL(doc.referrer);
+		return origin === win.location.origin ? '' : hostname;
+	} catch (err) {
+		return '';
+	}
+}
+
+function resolveEndpoint(doc, win) {
+	const meta = doc.querySelector('meta[name="analytics-endpoint"]');
+	if (meta) return meta.getAttribute('content').trim();
+	const local = ['localhost', '127.0.0.1', '[::1]'].includes(win.location.hostname);
+	return local ? DEV_ENDPOINT : ENDPOINT;
+}
+
+// text/plain : pas de requête préalable CORS ; le collecteur lit quand même du JSON
+function send(win, endpoint, events) {
+	const body = JSON.stringify({ events });
+	const nav = win.navigator;
+	if (nav.sendBeacon && nav.sendBeacon(endpoint, new win.Blob([body], { type: 'text/plain' }))) return;
+	if (win.fetch) {
+		win.fetch(endpoint, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'text/plain' } }).catch(() => {});
+	}
+}
+
+export default {
+	name: 'analytics',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		if (!trackingAllowed(win)) return;
+		const endpoint = resolveEndpoint(doc, win);
+		if (!endpoint) return;
+
+		const page = pagePath(win.location.href);
+		const queue = [];
+		let timer = 0;
+
+		const flush = () => {
+			cleanup.clearTimeout(timer);
+			timer = 0;
+			if (queue.length) send(win, endpoint, queue.splice(0));
+		};
+		const record = (event) => {
+			queue.push({ page, ...event });
+			if (queue.length >= MAX_QUEUE) flush();
+			else if (!timer) timer = cleanup.timeout(flush, FLUSH_DELAY);
+		};
+
+		// 1. Page vue
+		const view = `${win.location.pathname}${win.location.search}`;
+		if (view !== lastView) {
+			lastView = view;
+			const referrer = referrerSent ? '' : externalReferrer(doc, win);
+			referrerSent = true;
+			record({ type: 'pageview', referrer, lang: doc.documentElement.lang || '' });
+		}
+
+		// 2. Clics vers un projet (délégués : un seul écouteur pour toutes les cartes et listes)
+		cleanup.on(doc, 'click', (e) => {
+			const link = e.target.closest && e.target.closest(PROJECT_LINKS);
+			const anchor = link && link.closest('a[href]');
+			if (!anchor) return;
+			const card = link.closest('[data-project]');
+			record({ type: 'click', target: pagePath(anchor.href), project: card ? card.getAttribute('data-project') : '' });
+		});
+
+		// 3. Profondeur de lecture des articles
+		const content = doc.querySelector('.article-content');
+		if (content) {
+			let reached = 0;
+			let pending = 0;
+			const measure = () => {
+				pending = 0;
+				const rect = content.getBoundingClientRect();
+				if (!rect.height) return;
+				const seen = ((win.innerHeight - rect.top) / rect.height) * 100;
+				DEPTHS.filter((depth) => depth > reached && seen >= depth).forEach((depth) => {
+					reached = depth;
+					record({ type: 'scroll', depth });
+				});
+			};
+			cleanup.on(win, 'scroll', () => {
+				if (!pending) pending = cleanup.frame(measure);
+			}, { passive: true });
+			measure();
+		}
+
+		// 4. Vidéos lancées depuis leur vignette
+		cleanup.on(doc, 'video:play', (e) => record({ type: 'video', video: e.detail.id }));
+
+		// Envoi quand l'onglet passe en arrière-plan ou que la page change
+		cleanup.on(doc, 'visibilitychange', () => {
+			if (doc.visibilityState === 'hidden') flush();
+		});
+		cleanup.on(win, 'pagehide', flush);
+		cleanup.add(flush);
+	},
+};
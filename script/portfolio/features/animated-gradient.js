@@ -0,0 +1,36 @@
+/*
+	================================================
+	ANIMATED-GRADIENT.JS — GRADIENT ANIMÉ
+	================================================
+	Fait tourner subtilement la teinte du fond animé du héro
+	(--gradient-shift, lu par .hero-wrapper::before). Tourne dans
+	l'ordonnanceur : 15 images/s suffisent à une dérive aussi lente.
+	================================================
+*/
+
+const DEGREES_PER_SECOND = 4;
+
+export default {
+	name: 'animated-gradient',
+	enabled: true,
+	motion: true,
+	setup({ document: doc, scheduler, cleanup }) {
+		const wrapper = doc.querySelector('.hero-wrapper');
+		if (!wrapper) return;
+		let hue = 0;
+
+		const task = scheduler.add({
+			element: wrapper,
+			priority: 1,
+			fps: 15,
+			frame(time, delta) {
+				hue = (hue + (delta / 1000) * DEGREES_PER_SECOND) % 360;
+				wrapper.style.setProperty('--gradient-shift', `${hue.toFixed(1)}deg`);
+			},
+		});
+		cleanup.add(() => {
+			task.remove();
+			wrapper.style.removeProperty('--gradient-shift');
+		});
+	},
+};
@@ -0,0 +1,32 @@
+/*
+	================================================
+	CARD-PARALLAX.JS — PARALLAXE DES CARTES
+	================================================
+	Déplacement subtil des cartes en fonction de la position de scroll.
+	Désactivée par défaut.
+	================================================
+*/
+
+export default {
+	name: 'card-parallax',
+	enabled: false,
+	motion: true,
+	setup({ document: doc, window: win, cleanup }) {
+		const cards = doc.querySelectorAll('.card, .project-card, .pillar');
+		if (!cards.length) return;
+
+		cleanup.on(win, 'scroll', () => {
+			cards.forEach((card) => {
+				const rect = card.getBoundingClientRect();
+				const scrollPercent = rect.top / win.innerHeight;
+				if (scrollPercent > -0.5 && scrollPercent < 1) {
+					const translateY = (scrollPercent - 0.5) * 20;
+					card.style.transform = `translateY(${translateY}px)`;
+				}
+			});
+		}, { passive: true });
+		cleanup.add(() => cards.forEach((card) => {
+			card.style.transform = '';
+		}));
+	},
+};
@@ -0,0 +1,253 @@
+/*
+	================================================
+	CARD-TILT.JS — TILT DES CARTES (POINTEUR, FOCUS, GYROSCOPE)
+	================================================
+	Effet 3D (rotation) sur les cartes, toutes présentes dans le HTML
+	généré (tools/build-projects.js) ; après une navigation interne,
+	init() repasse sur le nouveau contenu :
+
+	1. Pointer Events : souris et stylet au survol ; doigt et stylet posés
+	   sur la carte (pointeur capturé jusqu'au relâchement). Un pointeur
+	   annulé (défilement de la page), perdu ou une fenêtre qui perd le
+	   focus remettent la carte à plat : plus de carte bloquée inclinée
+	   sur les appareils hybrides
+	2. Focus clavier : la carte se soulève légèrement, comme au survol
+	3. Gyroscope (facultatif) : sur écran tactile, un bouton sous la
+	   grille des domaines incline les cartes .domains .card selon la
+	   position du téléphone ; iOS demande l'autorisation au premier clic
+	================================================
+*/
+
+import { createTranslator } from '../i18n.js';
+
+const TILT_SELECTORS = ['.card', '.project-card', '.social-card'];
+const MAX_TILT = 6; // degrés max
+const PERSPECTIVE = 'perspective(700px)';
+const FOCUS_LIFT = `${PERSPECTIVE} translateY(-4px) scale(1.01)`;
+const ORIENTATION_RANGE = 30; // degrés d'inclinaison du téléphone pour le tilt maximal
+
+// Gyroscope activé (et autorisé sur iOS) : gardé d'une page à l'autre
+let orientationOn = false;
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+// Rotation pour une position relative (-1 à 1 sur chaque axe)
+function tiltTransform(dx, dy) {
+	const rx = (-dy * MAX_TILT).toFixed(2);
+	const ry = (dx * MAX_TILT).toFixed(2);
+	return `${PERSPECTIVE} rotateX(${rx}deg) rotateY(${ry}deg)`;
+}
+
+function focusVisible(el) {
+	try {
+		return el.matches(':focus-visible');
+	} catch (err) {
+		return true; // sélecteur inconnu : on soulève quand même
+	}
+}
+
+export default {
+	name: 'card-tilt',
+	enabled: true,
+	motion: true,
+	setup({ document: doc, window: win, cleanup }) {
+		const tilted = new Set();
+		const resets = new Set();
+
+		const prepare = (card) => {
+			card.style.transition = 'transform 120ms ease';
+			card.style.willChange = 'transform';
+		};
+		const flatten = (card) => {
+			card.style.transform = `${PERSPECTIVE} rotateX(0deg) rotateY(0deg)`;
+			card.style.willChange = 'auto'; // Nettoyer will-change
+		};
+
+		// ====== 1. POINTEUR ET 2. FOCUS ======
+		doc.querySelectorAll(TILT_SELECTORS.join(',')).forEach((card) => {
+			tilted.add(card);
+			let rect = null;
+			let rafId = null;
+			let pointerId = null;
+			let focused = false;
+
+			const begin = (e) => {
+				pointerId = e.pointerId;
+				rect = card.getBoundingClientRect();
+				prepare(card);
+			};
+
+			const end = () => {
+				if (rafId) cleanup.cancelFrame(rafId);
+				rafId = null;
+				pointerId = null;
+				rect = null;
+				if (focused) card.style.transform = FOCUS_LIFT;
+				else flatten(card);
+			};
+			resets.add(() => {
+				if (pointerId !== null) end();
+			});
+
+			const move = (e) => {
+				if (e.pointerId !== pointerId || !rect || rafId) return; // Throttle avec requestAnimationFrame
+				const { clientX, clientY } = e;
+				rafId = cleanup.frame(() => {
+					rafId = null;
+					if (!rect || !rect.width || !rect.height) return;
+					const dx = clamp((clientX - rect.left - rect.width / 2) / (rect.width / 2));
+					const dy = clamp((clientY - rect.top - rect.height / 2) / (rect.height / 2));
+					card.style.transform = tiltTransform(dx, dy);
+				});
+			};
+
+			// Souris et stylet au survol
+			cleanup.on(card, 'pointerenter', (e) => {
+				if (pointerId === null && e.pointerType !== 'touch') begin(e);
+			});
+
+			// Doigt ou stylet posé : la carte garde le pointeur jusqu'au relâchement.
+			// Capture sur le lien touché (ou la carte) : le clic part toujours vers ce lien
+			cleanup.on(card, 'pointerdown', (e) => {
+				if (e.pointerType === 'mouse') return;
+				begin(e);
+				const target = (e.target.closest && e.target.closest('a, button')) || card;
+				try {
+					target.setPointerCapture(e.pointerId);
+				} catch (err) {
+					// Pointeur déjà relâché : rien à capturer
+				}
+				move(e);
+			});
+
+			cleanup.on(card, 'pointermove', move);
+
+			cleanup.on(card, 'pointerleave', (e) => {
+				if (e.pointerId === pointerId && e.pointerType === 'mouse') end();
+			});
+			cleanup.on(card, 'pointerup', (e) => {
+				if (e.pointerId === pointerId && e.pointerType !== 'mouse') end();
+			});
+			['pointercancel', 'lostpointercapture'].forEach((type) => {
+				cleanup.on(card, type, (e) => {
+					if (e.pointerId === pointerId) end();
+				});
+			});
+
+			// Focus clavier : léger soulèvement
+			cleanup.on(card, 'focusin', (e) => {
+				if (!focusVisible(e.target)) return;
+				focused = true;
+				if (pointerId !== null) return;
+				prepare(card);
+				card.style.transform = FOCUS_LIFT;
+			});
+			cleanup.on(card, 'focusout', (e) => {
+				if (card.contains(e.relatedTarget)) return;
+				focused = false;
+				if (pointerId === null) flatten(card);
+			});
+		});
+
+		cleanup.add(() => tilted.forEach((card) => {
+			card.style.transform = '';
+			card.style.transition = '';
+			card.style.willChange = '';
+		}));
+
+		// Fenêtre quittée en plein geste : aucune carte ne reste inclinée
+		cleanup.on(win, 'blur', () => resets.forEach((reset) => reset()));
+
+		// ====== 3. GYROSCOPE ======
+		const grid = doc.querySelector('.domains-grid');
+		const coarse = win.matchMedia && win.matchMedia('(pointer: coarse)').matches;
+		if (grid && coarse && win.DeviceOrientationEvent) {
+			setupOrientation(grid);
+		}
+
+		function setupOrientation(container) {
+			const cards = Array.from(container.querySelectorAll('.card'));
+			if (!cards.length) return;
+			const Orientation = win.DeviceOrientationEvent;
+			let baseline = null;
+			let latest = null;
+			let rafId = null;
+			let listening = false;
+
+			const button = doc.createElement('button');
+			button.type = 'button';
+			button.className = 'btn ghost tilt-motion-toggle';
+			container.after(button);
+
+			// Texte traduit si script/i18n.js est chargé, en français sinon
+			const t = createTranslator(win);
+			const label = () => {
+				button.setAttribute('aria-pressed', String(orientationOn));
+				button.textContent = orientationOn
+					? t('tilt.motionOff', 'Arrêter l\'inclinaison des cartes')
+					: t('tilt.motionOn', 'Incliner les cartes avec le téléphone');
+			};
+
+			// Position de départ = façon dont le téléphone est tenu au premier événement
+			const onOrientation = (e) => {
+				if (e.beta === null || e.gamma === null) return;
+				if (!baseline) baseline = { beta: e.beta, gamma: e.gamma };
+				latest = e;
+				if (rafId) return;
+				rafId = cleanup.frame(() => {
+					rafId = null;
+					const dx = clamp((latest.gamma - baseline.gamma) / ORIENTATION_RANGE);
+					const dy = clamp((latest.beta - baseline.beta) / ORIENTATION_RANGE);
+					cards.forEach((card) => {
+						card.style.transform = tiltTransform(dx, dy);
+					});
+				});
+			};
+
+			const start = () => {
+				if (listening) return;
+				listening = true;
+				baseline = null;
+				cards.forEach(prepare);
+				win.addEventListener('deviceorientation', onOrientation);
+			};
+			const stop = () => {
+				if (!listening) return;
+				listening = false;
+				win.removeEventListener('deviceorientation', onOrientation);
+				if (rafId) cleanup.cancelFrame(rafId);
+				rafId = null;
+				cards.forEach(flatten);
+			};
+
+			cleanup.on(button, 'click', () => {
+				if (orientationOn) {
+					orientationOn = false;
+					stop();
+					label();
+					return;
+				}
+				// iOS 13+ : autorisation demandée pendant le clic
+				const permission = typeof Orientation.requestPermission === 'function'
+					? Orientation.requestPermission()
+					: Promise.resolve('granted');
+				permission.then((state) => {
+					if (state !== 'granted' || cleanup.released) return;
+					orientationOn = true;
+					start();
+					label();
+				}).catch(() => {
+					// Refus ou appel hors geste : le bouton reste proposé
+				});
+			});
+
+			cleanup.on(doc, 'i18n:change', label);
+			cleanup.add(() => {
+				stop();
+				button.remove();
+			});
+			label();
+			if (orientationOn) start();
+		}
+	},
+};
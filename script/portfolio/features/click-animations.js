@@ -0,0 +1,58 @@
+/*
+	================================================
+	CLICK-ANIMATIONS.JS — ANIMATIONS AU CLIC
+	================================================
+	Effets visuels au clic sur les éléments importants : pulsation et
+	ripple sur les liens de projets et réseaux, "wobble" sur les cartes
+	de domaine, brillance sur les cartes de projet. Les titres ne sont
+	pas cliquables : pas de curseur main ni d'effet sur h1 / h2.
+	================================================
+*/
+
+export default {
+	name: 'click-animations',
+	enabled: true,
+	motion: true,
+	setup({ document: doc, cleanup }) {
+		// Ajoute une classe le temps de l'animation
+		const flash = (el, classes, duration) => {
+			el.classList.add(...classes);
+			cleanup.timeout(() => el.classList.remove(...classes), duration);
+		};
+
+		doc.querySelectorAll('.project-link, .social-card').forEach((el) => {
+			cleanup.on(el, 'click', (e) => {
+				// Pulsation, puis effet ripple au point de clic
+				flash(el, ['clicked', 'glow-click'], 500);
+
+				// Apparence dans la feuille de styles (.click-ripple) : seule la
+				// position passe par des variables CSS, compatibles avec la CSP
+				const rect = el.getBoundingClientRect();
+				const ripple = doc.createElement('span');
+				ripple.className = 'click-ripple';
+				ripple.style.setProperty('--ripple-x', `${e.clientX - rect.left}px`);
+				ripple.style.setProperty('--ripple-y', `${e.clientY - rect.top}px`);
+				el.appendChild(ripple);
+
+				// Nettoie l'effet ripple après l'animation
+				cleanup.timeout(() => ripple.remove(), 600);
+			});
+		});
+
+		// Animation au clic sur les cartes de domaine
+		doc.querySelectorAll('.card').forEach((card) => {
+			cleanup.on(card, 'click', () => flash(card, ['wobble'], 300));
+		});
+
+		// Animation au clic sur les cartes de projet avec brillance
+		doc.querySelectorAll('.project-card').forEach((card) => {
+			cleanup.on(card, 'click', () => flash(card, ['shine'], 600));
+		});
+
+		cleanup.add(() => {
+			doc.querySelectorAll('.clicked, .glow-click, .wobble, .shine').forEach((el) => {
+				el.classList.remove('clicked', 'glow-click', 'wobble', 'shine');
+			});
+		});
+	},
+};
@@ -0,0 +1,52 @@
+/*
+	================================================
+	CONTINUOUS-ANIMATIONS.JS — ANIMATIONS CONTINUES DES ICÔNES
+	================================================
+	Icônes de projets, de piliers, de réseaux et de domaines animées en
+	boucle (animations CSS). Inscrites dans l'ordonnanceur : en pause
+	onglet masqué, retirées en dernier si la machine peine.
+	================================================
+*/
+
+// Sélecteur → animation CSS (keyframes de Style.css) et décalage entre deux icônes
+const ANIMATIONS = [
+	{ selector: '.project-icon', animation: 'float 3s ease-in-out', delay: 0.2 },
+	{ selector: '.pillar-icon', animation: 'pulse-glow 2s ease-in-out', delay: 0.3 },
+	{ selector: '.social-icon', animation: 'rotate-subtle 4s ease-in-out', delay: 0.5 },
+	{ selector: '.card-icon svg', animation: 'scale-pulse 3s ease-in-out', delay: 0.4 },
+];
+
+export default {
+	name: 'continuous-animations',
+	enabled: true,
+	motion: true,
+	setup({ document: doc, scheduler, cleanup }) {
+		const animated = [];
+		ANIMATIONS.forEach(({ selector, animation, delay }) => {
+			doc.querySelectorAll(selector).forEach((icon, index) => {
+				icon.style.animation = `${animation} ${index * delay}s infinite`;
+				animated.push(icon);
+			});
+		});
+		if (!animated.length) return;
+
+		const reset = () => animated.forEach((icon) => {
+			icon.style.animation = '';
+		});
+		const playState = (state) => animated.forEach((icon) => {
+			icon.style.animationPlayState = state;
+		});
+
+		const task = scheduler.add({
+			priority: 3,
+			pause: () => playState('paused'),
+			resume: () => playState(''),
+			stop: reset,
+		});
+		cleanup.add(() => {
+			task.remove();
+			reset();
+			playState('');
+		});
+	},
+};
@@ -0,0 +1,48 @@
+/*
+	================================================
+	COUNTERS.JS — ANIMATION DE COMPTEUR
+	================================================
+	Anime les nombres [data-count] de 0 jusqu'à leur valeur quand ils
+	apparaissent (statistiques). Désactivée par défaut.
+	================================================
+*/
+
+const DURATION = 2000;
+
+export default {
+	name: 'counters',
+	enabled: false,
+	motion: true,
+	setup({ document: doc, window: win, cleanup }) {
+		const counters = doc.querySelectorAll('[data-count]');
+		if (!counters.length || !('IntersectionObserver' in win)) return;
+
+		const observer = cleanup.observe(new win.IntersectionObserver((entries) => {
+			entries.forEach((entry) => {
+				if (!entry.isIntersecting) return;
+				const element = entry.target;
+				const target = parseInt(element.getAttribute('data-count'), 10);
+				const step = target / (DURATION / 16);
+				let current = 0;
+
+				const timer = cleanup.interval(() => {
+					current += step;
+					if (current >= target) {
+						element.textContent = target;
+						cleanup.clearInterval(timer);
+					} else {
+						element.textContent = Math.floor(current);
+					}
+				}, 16);
+
+				observer.unobserve(element);
+			});
+		}, { threshold: 0.5 }));
+
+		counters.forEach((counter) => observer.observe(counter));
+		// Interrompu en cours de route : valeur finale affichée
+		cleanup.add(() => counters.forEach((counter) => {
+			counter.textContent = counter.getAttribute('data-count');
+		}));
+	},
+};
@@ -0,0 +1,69 @@
+/*
+	================================================
+	FLOATING-CARDS.JS — EFFET FLOTTANT SUR LES CARTES
+	================================================
+	Lévitation subtile des cartes (animation CSS), suspendue au survol.
+	Inscrite dans l'ordonnanceur : en pause onglet masqué, retirée si la
+	machine peine.
+	================================================
+*/
+
+const floatAnimation = (index) => {
+	const delay = index * 0.15;
+	const duration = 3 + (index % 3) * 0.5;
+	return `float-card ${duration}s ease-in-out ${delay}s infinite`;
+};
+
+export default {
+	name: 'floating-cards',
+	enabled: true,
+	motion: true,
+	setup({ document: doc, scheduler, cleanup }) {
+		const cards = Array.from(doc.querySelectorAll('.card, .project-card, .social-card'));
+		if (!cards.length) return;
+		let stopped = false;
+
+		cards.forEach((card, index) => {
+			card.style.animation = floatAnimation(index);
+
+			// Au survol, la carte se pose légèrement surélevée
+			cleanup.on(card, 'mouseenter', () => {
+				if (stopped) return;
+				card.style.animation = 'none';
+				card.style.transform = 'translateY(-8px)';
+			});
+			cleanup.on(card, 'mouseleave', () => {
+				if (stopped) return;
+				card.style.transform = '';
+				card.style.animation = floatAnimation(index);
+			});
+		});
+
+		const reset = () => cards.forEach((card) => {
+			card.style.animation = '';
+			card.style.transform = '';
+			card.style.animationPlayState = '';
+		});
+		const playState = (state) => cards.forEach((card) => {
+			card.style.animationPlayState = state;
+		});
+
+		const task = scheduler.add({
+			priority: 2,
+			pause: () => playState('paused'),
+			resume: () => playState(''),
+			// Les cartes flottent aussi par la feuille de styles : "none" les immobilise
+			stop: () => {
+				stopped = true;
+				cards.forEach((card) => {
+					card.style.animation = 'none';
+					card.style.transform = '';
+				});
+			},
+		});
+		cleanup.add(() => {
+			task.remove();
+			reset();
+		});
+	},
+};
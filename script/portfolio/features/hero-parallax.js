@@ -0,0 +1,39 @@
+/*
+	================================================
+	HERO-PARALLAX.JS — PARALLAXE DU HÉRO
+	================================================
+	Mouvement subtil du fond du héro lors du scroll.
+	================================================
+*/
+
+export default {
+	name: 'hero-parallax',
+	enabled: true,
+	motion: true,
+	setup({ document: doc, window: win, cleanup }) {
+		const bg = doc.querySelector('.hero-bg');
+		if (!bg) return;
+		let rafId = null;
+		let lastScrollY = 0;
+
+		const onScroll = () => {
+			const currentScrollY = win.scrollY || 0;
+			// Seulement mettre à jour si le scroll a changé significativement
+			if (Math.abs(currentScrollY - lastScrollY) < 2) return;
+
+			if (rafId) return;
+			rafId = cleanup.frame(() => {
+				const y = currentScrollY;
+				// Déplacement subtil (et limité) pour éviter la barre horizontale
+				const translate = Math.min(16, y * 0.04);
+				bg.style.transform = `translate3d(0, ${translate}px, 0)`;
+				lastScrollY = y;
+				rafId = null;
+			});
+		};
+		cleanup.on(win, 'scroll', onScroll, { passive: true });
+		cleanup.add(() => {
+			bg.style.transform = '';
+		});
+	},
+};
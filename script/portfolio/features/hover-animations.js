@@ -0,0 +1,74 @@
+/*
+	================================================
+	HOVER-ANIMATIONS.JS — ANIMATIONS AU SURVOL
+	================================================
+	Glow léger sur les cartes, transition douce des liens et icône des
+	piliers ("Qui suis-je") qui pivote au survol.
+
+	Pointer Events : souris, stylet et doigt (l'effet dure le temps du
+	contact et s'arrête si le geste est annulé). Le focus clavier
+	produit le même effet que le survol.
+	================================================
+*/
+
+export default {
+	name: 'hover-animations',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, cleanup }) {
+		// Styles en ligne posés ici, remis à zéro par destroy()
+		const touched = { boxShadow: new Set(), transition: new Set(), transform: new Set() };
+
+		// Entrée / sortie au pointeur ou au clavier ; sortie aussi sur geste annulé
+		const hover = (el, enter, leave) => {
+			cleanup.on(el, 'pointerenter', enter);
+			cleanup.on(el, 'focusin', enter);
+			['pointerleave', 'pointercancel'].forEach((type) => cleanup.on(el, type, leave));
+			cleanup.on(el, 'focusout', (e) => {
+				if (!el.contains(e.relatedTarget)) leave();
+			});
+		};
+
+		// Effet de glow léger au survol sur les cartes
+		doc.querySelectorAll('.card, .project-card, .social-card').forEach((el) => {
+			touched.boxShadow.add(el);
+			hover(el, () => {
+				el.style.boxShadow = el.style.boxShadow.replace(
+					/rgba\([\d,\s.]+\)/g,
+					'rgba(122, 160, 255, 0.5)'
+				);
+			}, () => {
+				el.style.boxShadow = '';
+			});
+		});
+
+		// Animation douce sur les liens
+		doc.querySelectorAll('a').forEach((link) => {
+			if (link.classList.contains('btn') || link.classList.contains('project-link')) return;
+			const soften = () => {
+				touched.transition.add(link);
+				link.style.transition = 'all 0.3s ease';
+			};
+			cleanup.on(link, 'pointerenter', soften);
+			cleanup.on(link, 'focus', soften);
+		});
+
+		// Animation au survol des éléments "pillar"
+		doc.querySelectorAll('.pillar').forEach((pillar) => {
+			const icon = pillar.querySelector('.pillar-icon');
+			if (!icon) return;
+			touched.transform.add(icon);
+			hover(pillar, () => {
+				icon.style.transform = 'scale(1.2) rotate(10deg)';
+			}, () => {
+				icon.style.transform = '';
+			});
+		});
+
+		cleanup.add(() => Object.entries(touched).forEach(([property, elements]) => {
+			elements.forEach((el) => {
+				el.style[property] = '';
+			});
+		}));
+	},
+};
@@ -0,0 +1,19 @@
+/*
+	================================================
+	LAZY-MEDIA.JS — CHARGEMENT DIFFÉRÉ DES IFRAMES
+	================================================
+	Ajoute loading="lazy" aux iframes (vidéos intégrées) qui n'en ont pas.
+	Rien à défaire : l'attribut reste une fois posé.
+	================================================
+*/
+
+export default {
+	name: 'lazy-media',
+	enabled: true,
+	motion: false,
+	setup({ document: doc }) {
+		doc.querySelectorAll('iframe:not([loading])').forEach((el) => {
+			el.setAttribute('loading', 'lazy');
+		});
+	},
+};
@@ -0,0 +1,215 @@
+/*
+	================================================
+	PREFERENCES-PANEL.JS — PANNEAU D'ACCESSIBILITÉ
+	================================================
+	Bouton "Aa" dans la .topbar (après le bouton de contraste) qui ouvre
+	un panneau de réglages :
+
+	- animations : comme le système, réduites ou complètes
+	- taille du texte : 100, 115, 130 ou 150 %
+	- police adaptée à la dyslexie, liens soulignés, focus renforcé
+	- réinitialisation
+
+	Les choix sont enregistrés et appliqués par script/theme.js
+	(window.PortfolioTheme) ; le changement d'animations relance init(),
+	le panneau se rouvre alors sur le réglage en cours.
+	Échap ou un clic à l'extérieur referme le panneau.
+	================================================
+*/
+
+const PANEL_ID = 'prefs-panel';
+
+const CHOICES = [
+	{
+		name: 'motion',
+		legend: ['prefs.motion', 'Animations'],
+		options: [
+			['', 'prefs.motionSystem', 'Comme le système'],
+			['reduce', 'prefs.motionReduce', 'Réduites'],
+			['full', 'prefs.motionFull', 'Complètes'],
+		],
+	},
+	{
+		name: 'textSize',
+		legend: ['prefs.textSize', 'Taille du texte'],
+		options: [
+			['', null, '100 %'],
+			['115', null, '115 %'],
+			['130', null, '130 %'],
+			['150', null, '150 %'],
+		],
+	},
+];
+
+const TOGGLES = [
+	['font', 'dyslexic', 'prefs.font', 'Police adaptée à la dyslexie'],
+	['links', 'underline', 'prefs.links', 'Souligner les liens'],
+	['focus', 'strong', 'prefs.focus', 'Contour de focus renforcé'],
+];
+
+// Réglage en cours quand init() a été relancé : le panneau se rouvre dessus
+let reopen = null;
+
+function radioGroup(doc, choice) {
+	const fieldset = doc.createElement('fieldset');
+	fieldset.className = 'prefs-group';
+	const legend = doc.createElement('legend');
+	legend.setAttribute('data-i18n', choice.legend[0]);
+	legend.textContent = choice.legend[1];
+	fieldset.append(legend);
+
+	choice.options.forEach(([value, key, text]) => {
+		const label = doc.createElement('label');
+		label.className = 'prefs-option';
+		const input = doc.createElement('input');
+		input.type = 'radio';
+		input.name = `prefs-${choice.name}`;
+		input.value = value;
+		input.dataset.pref = choice.name;
+		const span = doc.createElement('span');
+		if (key) span.setAttribute('data-i18n', key);
+		span.textContent = text;
+		label.append(input, span);
+		fieldset.append(label);
+	});
+	return fieldset;
+}
+
+function toggleGroup(doc) {
+	const fieldset = doc.createElement('fieldset');
+	fieldset.className = 'prefs-group';
+	const legend = doc.createElement('legend');
+	legend.setAttribute('data-i18n', 'prefs.reading');
+	legend.textContent = 'Lecture';
+	fieldset.append(legend);
+
+	TOGGLES.forEach(([name, value, key, text]) => {
+		const label = doc.createElement('label');
+		label.className = 'prefs-option';
+		const input = doc.createElement('input');
+		input.type = 'checkbox';
+		input.value = value;
+		input.dataset.pref = name;
+		const span = doc.createElement('span');
+		span.setAttribute('data-i18n', key);
+		span.textContent = text;
+		label.append(input, span);
+		fieldset.append(label);
+	});
+	return fieldset;
+}
+
+export default {
+	name: 'preferences-panel',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		const theme = win.PortfolioTheme;
+		const topbar = doc.querySelector('.topbar');
+		const anchor = doc.querySelector('.contrast-toggle') || doc.getElementById('theme-toggle');
+		if (!theme || !topbar || !anchor) return;
+
+		// Bouton d'ouverture, juste après le contraste
+		const button = doc.createElement('button');
+		button.type = 'button';
+		button.className = 'prefs-toggle';
+		button.setAttribute('aria-expanded', 'false');
+		button.setAttribute('aria-controls', PANEL_ID);
+		button.setAttribute('aria-label', 'Préférences d\'accessibilité');
+		button.setAttribute('data-i18n-attr', 'aria-label:prefs.open');
+		button.innerHTML = '<span aria-hidden="true">Aa</span>';
+		anchor.after(button);
+
+		// Panneau hors de la barre (overflow: hidden), placé dessous à l'ouverture
+		const panel = doc.createElement('div');
+		panel.className = 'prefs-panel';
+		panel.id = PANEL_ID;
+		panel.hidden = true;
+		panel.setAttribute('role', 'group');
+		panel.setAttribute('aria-labelledby', `${PANEL_ID}-title`);
+
+		const title = doc.createElement('p');
+		title.className = 'prefs-title';
+		title.id = `${PANEL_ID}-title`;
+		title.setAttribute('data-i18n', 'prefs.title');
+		title.textContent = 'Préférences d\'accessibilité';
+
+		const reset = doc.createElement('button');
+		reset.type = 'button';
+		reset.className = 'btn ghost prefs-reset';
+		reset.setAttribute('data-i18n', 'prefs.reset');
+		reset.textContent = 'Réinitialiser';
+
+		panel.append(title, ...CHOICES.map((choice) => radioGroup(doc, choice)), toggleGroup(doc), reset);
+		doc.body.append(panel);
+		cleanup.add(() => {
+			button.remove();
+			panel.remove();
+		});
+
+		const inputs = Array.from(panel.querySelectorAll('input'));
+
+		// Reflète les choix enregistrés (autre onglet, réinitialisation…)
+		const sync = () => {
+			inputs.forEach((input) => {
+				input.checked = input.value === (theme.preference(input.dataset.pref) || '');
+			});
+		};
+
+		const open = () => {
+			panel.style.top = `${Math.round(topbar.getBoundingClientRect().bottom) + 8}px`;
+			panel.hidden = false;
+			button.setAttribute('aria-expanded', 'true');
+		};
+		const close = (focusButton) => {
+			if (panel.hidden) return;
+			panel.hidden = true;
+			button.setAttribute('aria-expanded', 'false');
+			if (focusButton) button.focus();
+		};
+
+		cleanup.on(button, 'click', () => {
+			if (panel.hidden) {
+				open();
+				(inputs.find((input) => input.checked) || inputs[0]).focus();
+			} else {
+				close(false);
+			}
+		});
+
+		cleanup.on(panel, 'change', (e) => {
+			const input = e.target;
+			const name = input.dataset.pref;
+			if (!name) return;
+			// Le réglage des animations relance init() : ce panneau est alors recréé
+			if (name === 'motion') reopen = name;
+			theme.setPreference(name, input.type === 'checkbox' && !input.checked ? null : input.value);
+			reopen = null;
+		});
+
+		cleanup.on(reset, 'click', () => {
+			reopen = 'reset';
+			theme.resetPreferences();
+			reopen = null;
+		});
+
+		cleanup.on(doc, 'keydown', (e) => {
+			if (e.key === 'Escape' && !panel.hidden) close(panel.contains(doc.activeElement));
+		});
+		// Un clic sur un nœud détaché (ancien panneau, avant init() relancé) ne compte pas
+		cleanup.on(doc, 'click', (e) => {
+			if (panel.hidden || !e.target.isConnected) return;
+			if (!panel.contains(e.target) && !button.contains(e.target)) close(false);
+		});
+
+		cleanup.on(doc, 'preferences:change', sync);
+		sync();
+
+		// Recréé par un init() relancé depuis ce panneau : même état, même focus
+		if (reopen) {
+			open();
+			const target = reopen === 'reset' ? reset : inputs.find((input) => input.dataset.pref === reopen && input.checked);
+			if (target) target.focus();
+		}
+	},
+};
@@ -0,0 +1,27 @@
+/*
+	================================================
+	PRINT-BUTTON.JS — "IMPRIMER"
+	================================================
+	Les boutons [data-print] (page CV) sont cachés dans le HTML : sans
+	JavaScript ils ne feraient rien (le PDF généré au build reste à
+	côté). On les affiche et ils ouvrent la boîte d'impression du
+	navigateur ; la mise en page imprimée est dans styles/cv.css
+	(@media print).
+	================================================
+*/
+
+export default {
+	name: 'print-button',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		const buttons = doc.querySelectorAll('[data-print]');
+		if (!buttons.length || typeof win.print !== 'function') return;
+
+		buttons.forEach((button) => {
+			button.hidden = false;
+			cleanup.on(button, 'click', () => win.print());
+		});
+		cleanup.add(() => buttons.forEach((button) => { button.hidden = true; }));
+	},
+};
@@ -0,0 +1,98 @@
+/*
+	================================================
+	RANDOM-HERO-BG.JS — GRADIENT ALÉATOIRE DU HÉRO
+	================================================
+	Change les couleurs du fond du héro (et de la topbar) de manière
+	aléatoire avec fondu progressif. Sans héro (articles, listings), rien
+	ne tourne : la topbar garde le fond de la feuille de styles. Tourne dans l'ordonnanceur
+	(scheduler.js) : 30 images/s au plus, en pause quand le héro est hors
+	écran, première arrêtée si la machine peine. destroy() rend les fonds
+	de la feuille de styles (--hero-bg-animated, --topbar-bg-animated).
+	================================================
+*/
+
+// Palette de couleurs disponibles [r, g, b, alpha] : des nombres, rien à décoder à chaque image
+const COLORS = [
+	[255, 127, 180, 0.55], // Rose
+	[168, 85, 247, 0.55], // Violet
+	[96, 165, 250, 0.55], // Bleu clair
+	[20, 184, 166, 0.55], // Bleu turquoise
+];
+const ANIMATION_DURATION = 6000; // 6 secondes par transition
+const SPOT_SIZES = [35, 38, 42]; // % : rayon de chaque tache de couleur
+
+// Un dégradé = 3 taches de couleur, chacune [x, y, r, g, b, alpha]
+const VALUES_PER_SPOT = 6;
+
+// Trois taches de couleur placées au hasard
+function generateRandomGradient() {
+	const spots = [
+		[Math.random() * 40 + 10, Math.random() * 40 + 10],
+		[Math.random() * 40 + 60, Math.random() * 40 + 20],
+		[Math.random() * 40 + 40, Math.random() * 40 + 60],
+	];
+	return Float32Array.from(spots.flatMap((position) => [
+		...position,
+		...COLORS[Math.floor(Math.random() * COLORS.length)],
+	]));
+}
+
+// Interpolation dans un tableau réutilisé : aucune allocation par image
+function interpolate(from, to, t, out) {
+	for (let i = 0; i < out.length; i += 1) out[i] = from[i] + (to[i] - from[i]) * t;
+	return out;
+}
+
+function gradientToString(values) {
+	return SPOT_SIZES.map((size, spot) => {
+		const [x, y, r, g, b, a] = values.subarray(spot * VALUES_PER_SPOT, (spot + 1) * VALUES_PER_SPOT);
+		return `radial-gradient(circle at ${x.toFixed(1)}% ${y.toFixed(1)}%, rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a.toFixed(2)}), transparent ${size}%)`;
+	}).join(', ');
+}
+
+export default {
+	name: 'random-hero-bg',
+	enabled: true,
+	motion: true,
+	setup({ document: doc, scheduler, cleanup }) {
+		const wrapper = doc.querySelector('.hero-wrapper');
+		const topbar = doc.querySelector('.topbar');
+
+		// Pas de héro sur cette page : on sort
+		if (!wrapper) return;
+
+		// Le topbar suit la même animation que le héro
+		const apply = (values) => {
+			const value = gradientToString(values);
+			wrapper.style.setProperty('--hero-bg-animated', value);
+			if (topbar) topbar.style.setProperty('--topbar-bg-animated', value);
+		};
+
+		let currentGradient = generateRandomGradient();
+		let targetGradient = generateRandomGradient();
+		const mixed = new Float32Array(currentGradient.length);
+		let animationProgress = 0;
+
+		apply(currentGradient);
+		const task = scheduler.add({
+			element: wrapper,
+			priority: 0,
+			fps: 30,
+			frame(time, delta) {
+				animationProgress += delta / ANIMATION_DURATION;
+				if (animationProgress >= 1) {
+					animationProgress -= 1; // Continue au prochain cycle
+					currentGradient = targetGradient;
+					targetGradient = generateRandomGradient();
+				}
+				apply(interpolate(currentGradient, targetGradient, animationProgress, mixed));
+			},
+		});
+
+		cleanup.add(() => {
+			task.remove();
+			wrapper.style.removeProperty('--hero-bg-animated');
+			if (topbar) topbar.style.removeProperty('--topbar-bg-animated');
+		});
+	},
+};
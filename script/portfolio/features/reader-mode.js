@@ -0,0 +1,490 @@
+/*
+	================================================
+	READER-MODE.JS — MODE LECTURE DES TEXTES
+	================================================
+	Bouton "Mode lecture" dans .article-meta des textes (romans de
+	Projets/Ecriture-Dessin, front matter "features: reader-mode") :
+	l'article passe seul au centre, sans sidebar ni projets similaires,
+	avec une barre de réglages collée sous la .topbar :
+
+	1. Mise en page : défilement continu ou pages (colonnes CSS, flèches
+	   du clavier, balayage du doigt, boutons sous le texte)
+	2. Police (avec ou sans empattement), taille et interligne
+	3. Thème sépia, par-dessus les thèmes clair et sombre (le contraste
+	   élevé reste prioritaire)
+	4. Position de lecture gardée pour chaque texte, reprise à la
+	   prochaine ouverture ; marque-pages, avec un extrait, pour y revenir
+
+	Les positions sont comptées en caractères du texte (0 à 1) : elles
+	restent justes quand la taille, la police ou la mise en page changent.
+	Réglages, positions et marque-pages restent dans le navigateur
+	(localStorage), rien n'est envoyé.
+	================================================
+*/
+
+import { createTranslator } from '../i18n.js';
+
+const SETTINGS_KEY = 'reader-settings';
+const POSITIONS_KEY = 'reader-positions';
+const BOOKMARKS_KEY = 'reader-bookmarks';
+
+const SIZES = ['sm', 'md', 'lg', 'xl'];
+const LEADINGS = ['tight', 'normal', 'loose'];
+const DEFAULTS = { on: false, layout: 'scroll', font: 'serif', size: 'md', leading: 'normal', theme: '' };
+
+const MAX_BOOKMARKS = 20; // par texte
+const EXCERPT_LENGTH = 70; // caractères
+const SAVE_DELAY = 300; // ms après le dernier défilement
+const SWIPE_DISTANCE = 50; // px pour tourner la page au doigt
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// ====== STOCKAGE ======
+function read(win, key, fallback) {
+	try {
+		return JSON.parse(win.localStorage.getItem(key)) || fallback;
+	} catch (err) {
+		return fallback; // navigation privée, valeur illisible
+	}
+}
+
+function write(win, key, value) {
+	try {
+		win.localStorage.setItem(key, JSON.stringify(value));
+	} catch (err) {
+		// Stockage plein ou interdit : le réglage ne vaut que pour cette visite
+	}
+}
+
+// Réglages enregistrés, valeurs inconnues remplacées par celles par défaut
+export function readSettings(win) {
+	const saved = read(win, SETTINGS_KEY, {});
+	return {
+		on: saved.on === true,
+		layout: saved.layout === 'pages' ? 'pages' : DEFAULTS.layout,
+		font: saved.font === 'sans' ? 'sans' : DEFAULTS.font,
+		size: SIZES.includes(saved.size) ? saved.size : DEFAULTS.size,
+		leading: LEADINGS.includes(saved.leading) ? saved.leading : DEFAULTS.leading,
+		theme: saved.theme === 'sepia' ? 'sepia' : DEFAULTS.theme,
+	};
+}
+
+// ====== POSITION DANS LE TEXTE ======
+// Blocs de .article-content qui contiennent du texte, avec leur place en caractères
+export function textMap(content) {
+	let total = 0;
+	const items = [];
+	Array.from(content.children).forEach((el) => {
+		const text = el.textContent.replace(/\s+/g, ' ').trim();
+		if (!text) return; // images, vidéos
+		items.push({ el, text, start: total });
+		total += text.length;
+	});
+	return { items, total };
+}
+
+// Extrait qui commence au mot en cours à cette position
+export function excerptAt(content, position) {
+	const { items, total } = textMap(content);
+	if (!total) return '';
+	const target = clamp(position, 0, 1) * total;
+	const item = items.find((i) => i.start + i.text.length > target) || items[items.length - 1];
+	const offset = clamp(Math.floor(target - item.start), 0, item.text.length);
+	const from = item.text.lastIndexOf(' ', offset) + 1;
+	const excerpt = item.text.slice(from, from + EXCERPT_LENGTH).trim();
+	return from + EXCERPT_LENGTH < item.text.length ? `${excerpt}…` : excerpt;
+}
+
+// Morceaux d'un bloc : un rectangle par colonne en mode pages
+function fragments(el) {
+	const rects = Array.from(el.getClientRects()).filter((rect) => rect.height > 0);
+	return rects.length ? rects : [el.getBoundingClientRect()];
+}
+
+export default {
+	name: 'reader-mode',
+	enabled: false,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		const page = doc.querySelector('.article-page');
+		const content = doc.querySelector('.article-content');
+		const meta = doc.querySelector('.article-meta');
+		if (!page || !content || !meta) return;
+
+		const textKey = decodeURI(win.location.pathname);
+		const settings = readSettings(win);
+
+		const t = createTranslator(win);
+
+		// ====== ÉLÉMENTS ======
+		const toggle = doc.createElement('button');
+		toggle.type = 'button';
+		toggle.className = 'btn ghost reader-toggle';
+		toggle.setAttribute('aria-pressed', 'false');
+		toggle.setAttribute('data-i18n', 'reader.open');
+		toggle.textContent = 'Mode lecture';
+		meta.appendChild(toggle);
+
+		const toolbar = doc.createElement('div');
+		toolbar.className = 'reader-toolbar';
+		toolbar.hidden = true;
+		toolbar.setAttribute('role', 'group');
+		toolbar.setAttribute('aria-label', 'Réglages de lecture');
+		toolbar.setAttribute('data-i18n-attr', 'aria-label:reader.settings');
+		toolbar.innerHTML = `
+			<button type="button" class="reader-btn" data-reader="layout" aria-pressed="false" data-i18n="reader.pages">Pages</button>
+			<button type="button" class="reader-btn" data-reader="font" aria-pressed="false" data-i18n="reader.sans">Sans empattement</button>
+			<span class="reader-stepper">
+				<span class="reader-label" data-i18n="reader.size">Taille</span>
+				<button type="button" class="reader-btn" data-reader="size" data-step="-1" aria-label="Réduire le texte" data-i18n-attr="aria-label:reader.smaller">−</button>
+				<button type="button" class="reader-btn" data-reader="size" data-step="1" aria-label="Agrandir le texte" data-i18n-attr="aria-label:reader.larger">+</button>
+			</span>
+			<span class="reader-stepper">
+				<span class="reader-label" data-i18n="reader.leading">Interligne</span>
+				<button type="button" class="reader-btn" data-reader="leading" data-step="-1" aria-label="Resserrer les lignes" data-i18n-attr="aria-label:reader.tighter">−</button>
+				<button type="button" class="reader-btn" data-reader="leading" data-step="1" aria-label="Espacer les lignes" data-i18n-attr="aria-label:reader.looser">+</button>
+			</span>
+			<button type="button" class="reader-btn" data-reader="theme" aria-pressed="false" data-i18n="reader.sepia">Sépia</button>
+			<button type="button" class="reader-btn" data-reader="bookmark" data-i18n="reader.bookmark">Marque-page</button>
+			<button type="button" class="reader-btn" data-reader="bookmarks" aria-expanded="false" aria-controls="reader-bookmarks"></button>
+			<button type="button" class="reader-btn reader-exit" data-reader="exit" data-i18n="reader.exit">Quitter la lecture</button>
+			<div class="reader-bookmarks" id="reader-bookmarks" hidden>
+				<p class="reader-bookmarks-empty" data-i18n="reader.noBookmarks">Aucun marque-page pour ce texte.</p>
+				<ol class="reader-bookmarks-list"></ol>
+			</div>`;
+		content.before(toolbar);
+
+		const pager = doc.createElement('nav');
+		pager.className = 'reader-pager';
+		pager.hidden = true;
+		pager.setAttribute('aria-label', 'Pages du texte');
+		pager.setAttribute('data-i18n-attr', 'aria-label:reader.pagerLabel');
+		pager.innerHTML = `
+			<button type="button" class="reader-btn" data-page="-1" aria-label="Page précédente" data-i18n-attr="aria-label:reader.previous">←</button>
+			<p class="reader-page-status" aria-live="polite"></p>
+			<button type="button" class="reader-btn" data-page="1" aria-label="Page suivante" data-i18n-attr="aria-label:reader.next">→</button>`;
+		content.after(pager);
+
+		const control = (name) => toolbar.querySelector(`[data-reader="${name}"]`);
+		const panel = toolbar.querySelector('.reader-bookmarks');
+		const list = panel.querySelector('.reader-bookmarks-list');
+		const status = pager.querySelector('.reader-page-status');
+
+		cleanup.add(() => {
+			toggle.remove();
+			toolbar.remove();
+			pager.remove();
+			page.classList.remove('is-reader');
+			['layout', 'font', 'size', 'leading', 'theme'].forEach((name) => page.removeAttribute(`data-reader-${name}`));
+		});
+
+		// ====== MISE EN PAGE ======
+		const paged = () => settings.on && settings.layout === 'pages';
+		let current = 0;
+
+		// Ligne de lecture : sous la topbar et la barre de réglages collée
+		const readingLine = () => {
+			const topbar = doc.querySelector('.topbar');
+			const top = topbar ? topbar.getBoundingClientRect().bottom : 0;
+			return top + (settings.on ? toolbar.offsetHeight : 0) + 16;
+		};
+
+		const stride = () => {
+			const gap = parseFloat(win.getComputedStyle(content).columnGap) || 0;
+			return Math.max(1, content.clientWidth + gap);
+		};
+		const pageCount = () => Math.max(1, Math.round((content.scrollWidth + stride() - content.clientWidth) / stride()));
+
+		const renderPager = () => {
+			const pages = pageCount();
+			status.textContent = t('reader.page', 'Page {page} / {pages}', { page: current + 1, pages });
+			pager.querySelector('[data-page="-1"]').disabled = current <= 0;
+			pager.querySelector('[data-page="1"]').disabled = current >= pages - 1;
+		};
+
+		const showPage = (index) => {
+			current = clamp(index, 0, pageCount() - 1);
+			content.scrollLeft = current * stride();
+			renderPager();
+		};
+
+		// Position en cours (0 à 1), mesurée sur le texte visible
+		const position = () => {
+			const { items, total } = textMap(content);
+			if (!total) return 0;
+			const box = content.getBoundingClientRect();
+			const line = readingLine();
+			for (const item of items) {
+				const rects = fragments(item.el);
+				const height = rects.reduce((sum, rect) => sum + rect.height, 0) || 1;
+				let before = 0;
+				for (const rect of rects) {
+					const visible = paged() ? rect.right > box.left + 1 && rect.left < box.right - 1 : rect.bottom > line;
+					if (visible) {
+						const inside = paged() ? 0 : clamp(line - rect.top, 0, rect.height);
+						return (item.start + ((before + inside) / height) * item.text.length) / total;
+					}
+					before += rect.height;
+				}
+			}
+			return 1;
+		};
+
+		// Amène une position (0 à 1) en haut de l'écran ou sur la page qui la contient
+		const goTo = (at) => {
+			const { items, total } = textMap(content);
+			if (!total || at <= 0) {
+				if (paged()) showPage(0);
+				else if (settings.on) win.scrollTo(0, 0);
+				return;
+			}
+			const target = clamp(at, 0, 1) * total;
+			const item = items.find((i) => i.start + i.text.length > target) || items[items.length - 1];
+			const rects = fragments(item.el);
+			const height = rects.reduce((sum, rect) => sum + rect.height, 0);
+			let offset = ((target - item.start) / item.text.length) * height;
+			const rect = rects.find((r, i) => {
+				if (offset <= r.height || i === rects.length - 1) return true;
+				offset -= r.height;
+				return false;
+			});
+			if (paged()) {
+				const box = content.getBoundingClientRect();
+				showPage(Math.floor((rect.left - box.left + content.scrollLeft + 1) / stride()));
+			} else {
+				win.scrollTo(0, Math.max(0, win.scrollY + rect.top + offset - readingLine()));
+			}
+		};
+
+		// ====== POSITIONS ET MARQUE-PAGES ======
+		let saveTimer = 0;
+		const savePosition = () => {
+			cleanup.clearTimeout(saveTimer);
+			saveTimer = 0;
+			if (!settings.on) return;
+			const positions = read(win, POSITIONS_KEY, {});
+			positions[textKey] = Number(position().toFixed(4));
+			write(win, POSITIONS_KEY, positions);
+		};
+		const scheduleSave = () => {
+			cleanup.clearTimeout(saveTimer);
+			saveTimer = cleanup.timeout(savePosition, SAVE_DELAY);
+		};
+
+		const bookmarks = () => read(win, BOOKMARKS_KEY, {})[textKey] || [];
+		const saveBookmarks = (entries) => {
+			const all = read(win, BOOKMARKS_KEY, {});
+			if (entries.length) all[textKey] = entries;
+			else delete all[textKey];
+			write(win, BOOKMARKS_KEY, all);
+		};
+
+		const renderBookmarks = () => {
+			const entries = bookmarks();
+			control('bookmarks').textContent = t('reader.bookmarks', 'Marque-pages ({n})', { n: entries.length });
+			panel.querySelector('.reader-bookmarks-empty').hidden = entries.length > 0;
+			list.innerHTML = '';
+			entries.forEach((entry, index) => {
+				const li = doc.createElement('li');
+				const jump = doc.createElement('button');
+				jump.type = 'button';
+				jump.className = 'reader-bookmark';
+				jump.dataset.at = String(entry.at);
+				jump.textContent = `${Math.round(entry.at * 100)} % — « ${entry.excerpt} »`;
+				const remove = doc.createElement('button');
+				remove.type = 'button';
+				remove.className = 'reader-btn reader-bookmark-remove';
+				remove.dataset.remove = String(index);
+				remove.setAttribute('aria-label', t('reader.removeBookmark', 'Supprimer le marque-page'));
+				remove.textContent = '×';
+				li.append(jump, remove);
+				list.appendChild(li);
+			});
+		};
+
+		const addBookmark = () => {
+			const at = Number(position().toFixed(4));
+			const entries = bookmarks().filter((entry) => Math.abs(entry.at - at) > 0.001);
+			entries.push({ at, excerpt: excerptAt(content, at) });
+			entries.sort((a, b) => a.at - b.at);
+			saveBookmarks(entries.slice(-MAX_BOOKMARKS));
+			renderBookmarks();
+		};
+
+		// ====== RÉGLAGES ======
+		const label = () => {
+			control('layout').setAttribute('aria-pressed', String(settings.layout === 'pages'));
+			control('font').setAttribute('aria-pressed', String(settings.font === 'sans'));
+			control('theme').setAttribute('aria-pressed', String(settings.theme === 'sepia'));
+			toolbar.querySelector('[data-reader="size"][data-step="-1"]').disabled = settings.size === SIZES[0];
+			toolbar.querySelector('[data-reader="size"][data-step="1"]').disabled = settings.size === SIZES[SIZES.length - 1];
+			toolbar.querySelector('[data-reader="leading"][data-step="-1"]').disabled = settings.leading === LEADINGS[0];
+			toolbar.querySelector('[data-reader="leading"][data-step="1"]').disabled = settings.leading === LEADINGS[LEADINGS.length - 1];
+		};
+
+		const apply = () => {
+			page.classList.toggle('is-reader', settings.on);
+			['layout', 'font', 'size', 'leading', 'theme'].forEach((name) => {
+				if (settings.on && settings[name]) page.setAttribute(`data-reader-${name}`, settings[name]);
+				else page.removeAttribute(`data-reader-${name}`);
+			});
+			toggle.setAttribute('aria-pressed', String(settings.on));
+			toggle.hidden = settings.on;
+			toolbar.hidden = !settings.on;
+			pager.hidden = !paged();
+			if (!paged()) content.scrollLeft = 0;
+			label();
+		};
+
+		// Change un réglage sans perdre sa place dans le texte
+		const update = (changes) => {
+			const at = position();
+			Object.assign(settings, changes);
+			write(win, SETTINGS_KEY, settings);
+			apply();
+			goTo(at);
+			savePosition();
+		};
+
+		const step = (values, value, delta) => values[clamp(values.indexOf(value) + delta, 0, values.length - 1)];
+
+		const open = () => {
+			settings.on = true;
+			write(win, SETTINGS_KEY, settings);
+			apply();
+			goTo(read(win, POSITIONS_KEY, {})[textKey] || 0);
+			control('exit').focus();
+		};
+		const close = () => {
+			savePosition();
+			const at = position();
+			settings.on = false;
+			write(win, SETTINGS_KEY, settings);
+			panel.hidden = true;
+			control('bookmarks').setAttribute('aria-expanded', 'false');
+			apply();
+			goTo(at);
+			toggle.focus();
+		};
+
+		cleanup.on(toggle, 'click', open);
+
+		cleanup.on(toolbar, 'click', (e) => {
+			const button = e.target.closest('button');
+			if (!button || button.disabled) return;
+			const delta = Number(button.dataset.step);
+			switch (button.dataset.reader) {
+				case 'layout':
+					update({ layout: settings.layout === 'pages' ? 'scroll' : 'pages' });
+					break;
+				case 'font':
+					update({ font: settings.font === 'sans' ? 'serif' : 'sans' });
+					break;
+				case 'size':
+					update({ size: step(SIZES, settings.size, delta) });
+					break;
+				case 'leading':
+					update({ leading: step(LEADINGS, settings.leading, delta) });
+					break;
+				case 'theme':
+					update({ theme: settings.theme === 'sepia' ? '' : 'sepia' });
+					break;
+				case 'bookmark':
+					addBookmark();
+					break;
+				case 'bookmarks':
+					panel.hidden = !panel.hidden;
+					button.setAttribute('aria-expanded', String(!panel.hidden));
+					break;
+				case 'exit':
+					close();
+					break;
+				default:
+					if (button.dataset.at) {
+						goTo(Number(button.dataset.at));
+						savePosition();
+					} else if (button.dataset.remove) {
+						const entries = bookmarks();
+						entries.splice(Number(button.dataset.remove), 1);
+						saveBookmarks(entries);
+						renderBookmarks();
+						control('bookmarks').focus();
+					}
+			}
+		});
+
+		// ====== PAGES : BOUTONS, CLAVIER, DOIGT ======
+		const turn = (delta) => {
+			showPage(current + delta);
+			savePosition();
+		};
+
+		cleanup.on(pager, 'click', (e) => {
+			const button = e.target.closest('[data-page]');
+			if (button && !button.disabled) turn(Number(button.dataset.page));
+		});
+
+		cleanup.on(doc, 'keydown', (e) => {
+			if (!paged() || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+			if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable], [role="dialog"]')) return;
+			const delta = { ArrowRight: 1, PageDown: 1, ArrowLeft: -1, PageUp: -1 }[e.key];
+			if (!delta) return;
+			e.preventDefault();
+			turn(delta);
+		});
+
+		let swipeStart = null;
+		cleanup.on(content, 'pointerdown', (e) => {
+			if (paged() && e.pointerType !== 'mouse') swipeStart = { x: e.clientX, y: e.clientY };
+		});
+		cleanup.on(content, 'pointerup', (e) => {
+			if (!swipeStart) return;
+			const dx = e.clientX - swipeStart.x;
+			const dy = e.clientY - swipeStart.y;
+			swipeStart = null;
+			if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) turn(dx < 0 ? 1 : -1);
+		});
+		cleanup.on(content, 'pointercancel', () => {
+			swipeStart = null;
+		});
+
+		// Tabulation vers un lien d'une autre page : le navigateur fait défiler les colonnes
+		cleanup.on(content, 'scroll', () => {
+			if (!paged()) return;
+			current = Math.round(content.scrollLeft / stride());
+			renderPager();
+		});
+
+		// ====== SUIVI ======
+		cleanup.on(win, 'scroll', () => {
+			if (settings.on && !paged()) scheduleSave();
+		}, { passive: true });
+
+		let resizeFrame = 0;
+		cleanup.on(win, 'resize', () => {
+			if (!settings.on || resizeFrame) return;
+			const at = position();
+			resizeFrame = cleanup.frame(() => {
+				resizeFrame = 0;
+				goTo(at);
+			});
+		}, { passive: true });
+
+		cleanup.on(win, 'pagehide', savePosition);
+		// Navigation interne : main.js détruit les fonctionnalités sur "page:unload" avant
+		// qu'un écouteur posé ici ne passe, et release() annule l'enregistrement en attente.
+		// Ajouté après la remise en état du DOM, donc exécuté avant elle (ordre inverse)
+		cleanup.add(savePosition);
+		cleanup.on(doc, 'i18n:change', () => {
+			renderBookmarks();
+			if (paged()) renderPager();
+		});
+
+		renderBookmarks();
+		apply();
+		// Mode lecture resté actif : reprise là où le texte a été quitté, une fois la page posée
+		if (settings.on) {
+			cleanup.frame(() => goTo(read(win, POSITIONS_KEY, {})[textKey] || 0));
+		}
+	},
+};
@@ -0,0 +1,61 @@
+/*
+	================================================
+	READING-PROGRESS.JS — BARRE DE PROGRESSION DE LECTURE
+	================================================
+	Fine barre sous la .topbar des articles : 0 % en haut de
+	.article-content, 100 % quand sa fin arrive en bas de l'écran.
+	Recalculée au plus une fois par image pendant le défilement.
+	================================================
+*/
+
+import { createTranslator } from '../i18n.js';
+
+export default {
+	name: 'reading-progress',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		const content = doc.querySelector('.article-content');
+		const topbar = doc.querySelector('.topbar');
+		if (!content || !topbar) return;
+
+		const t = createTranslator(win);
+
+		const bar = doc.createElement('div');
+		bar.className = 'reading-progress';
+		bar.setAttribute('role', 'progressbar');
+		bar.setAttribute('aria-valuemin', '0');
+		bar.setAttribute('aria-valuemax', '100');
+		bar.innerHTML = '<span class="reading-progress-fill"></span>';
+		const fill = bar.firstElementChild;
+		topbar.appendChild(bar);
+
+		const label = () => bar.setAttribute('aria-label', t('reading.progress', 'Progression de la lecture'));
+		label();
+
+		let rafId = 0;
+		let percent = -1;
+		const update = () => {
+			rafId = 0;
+			const rect = content.getBoundingClientRect();
+			const start = rect.top + win.scrollY - topbar.offsetHeight;
+			const distance = Math.max(1, rect.height - win.innerHeight + topbar.offsetHeight);
+			const progress = Math.min(1, Math.max(0, (win.scrollY - start) / distance));
+			fill.style.transform = `scaleX(${progress})`;
+			const rounded = Math.round(progress * 100);
+			if (rounded !== percent) {
+				percent = rounded;
+				bar.setAttribute('aria-valuenow', String(rounded));
+			}
+		};
+		const requestUpdate = () => {
+			if (!rafId) rafId = cleanup.frame(update);
+		};
+
+		cleanup.on(win, 'scroll', requestUpdate, { passive: true });
+		cleanup.on(win, 'resize', requestUpdate, { passive: true });
+		cleanup.on(doc, 'i18n:change', label);
+		update();
+		cleanup.add(() => bar.remove());
+	},
+};
@@ -0,0 +1,78 @@
+/*
+	================================================
+	READING-TIME.JS — TEMPS DE LECTURE OU DE VISIONNAGE
+	================================================
+	Ajoute à côté des <time> de .article-meta une estimation :
+	  - texte : WORDS_PER_MINUTE mots par minute
+	  - images (galeries, carrousels) : SECONDS_PER_IMAGE chacune
+	  - vidéos : leur durée si elles portent data-duration ("2:30" ou
+	    secondes), sinon leur nombre
+	"min de visionnage" quand les images et vidéos l'emportent sur le texte
+	(reportage photo, animations), "min de lecture" sinon.
+	================================================
+*/
+
+import { createTranslator } from '../i18n.js';
+
+const WORDS_PER_MINUTE = 230;
+const SECONDS_PER_IMAGE = 10;
+
+// Textes qui ne se lisent pas : liens de secours des vidéos, boutons des carrousels
+const IGNORED = '.article-video, .carousel-btn, .carousel-dots, script, style';
+
+// "2:30" → 150 ; "90" → 90 ; illisible → 0
+export function parseDuration(value) {
+	if (!value) return 0;
+	const parts = String(value).split(':').map(Number);
+	if (parts.some((n) => Number.isNaN(n))) return 0;
+	return parts.reduce((total, n) => total * 60 + n, 0);
+}
+
+export function estimate(content) {
+	const clone = content.cloneNode(true);
+	clone.querySelectorAll(IGNORED).forEach((el) => el.remove());
+	const words = (clone.textContent.match(/\S+/g) || []).length;
+
+	const images = content.querySelectorAll('img').length;
+	const videos = Array.from(content.querySelectorAll('.article-video, video'));
+	const videoSeconds = videos.reduce((total, video) => total + parseDuration(video.getAttribute('data-duration')), 0);
+	const untimedVideos = videos.filter((video) => !parseDuration(video.getAttribute('data-duration'))).length;
+
+	const readingSeconds = (words / WORDS_PER_MINUTE) * 60;
+	const viewingSeconds = images * SECONDS_PER_IMAGE + videoSeconds;
+	return {
+		minutes: Math.max(1, Math.round((readingSeconds + viewingSeconds) / 60)),
+		viewing: viewingSeconds > readingSeconds,
+		untimedVideos,
+	};
+}
+
+export default {
+	name: 'reading-time',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		const content = doc.querySelector('.article-content');
+		const meta = doc.querySelector('.article-meta');
+		if (!content || !meta) return;
+
+		const t = createTranslator(win);
+
+		const { minutes, viewing, untimedVideos } = estimate(content);
+		const badge = doc.createElement('span');
+		badge.className = 'reading-time';
+		meta.appendChild(badge);
+
+		const render = () => {
+			const parts = [viewing
+				? t('reading.viewing', '{n} min de visionnage', { n: minutes })
+				: t('reading.minutes', '{n} min de lecture', { n: minutes })];
+			if (untimedVideos === 1) parts.push(t('reading.videosOne', '1 vidéo'));
+			else if (untimedVideos > 1) parts.push(t('reading.videos', '{n} vidéos', { n: untimedVideos }));
+			badge.textContent = `⏱ ${parts.join(' · ')}`;
+		};
+		render();
+		cleanup.on(doc, 'i18n:change', render);
+		cleanup.add(() => badge.remove());
+	},
+};
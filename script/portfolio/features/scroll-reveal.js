@@ -0,0 +1,60 @@
+/*
+	================================================
+	SCROLL-REVEAL.JS — RÉVÉLATION AU SCROLL
+	================================================
+	Montre les blocs clés au fur et à mesure du scroll (IntersectionObserver).
+	Les projets réaffichés par les filtres (script/filters.js) sont
+	révélés à leur tour.
+	destroy() retire les marqueurs : tout redevient visible.
+	================================================
+*/
+
+const REVEAL_SELECTORS = [
+	'.hero-content',
+	'.domains .card',
+	'.projects .project-card',
+	'.project-item',
+	'.about .pillar',
+	'.social-card',
+	'.footer .footer-col',
+	'.article-main',
+	'.article-sidebar .sidebar-section',
+];
+
+export default {
+	name: 'scroll-reveal',
+	enabled: true,
+	motion: true,
+	setup({ document: doc, window: win, cleanup }) {
+		if (!('IntersectionObserver' in win)) return;
+		const marked = new Set();
+
+		const observer = cleanup.observe(new win.IntersectionObserver(
+			(entries) => {
+				entries.forEach((entry) => {
+					if (!entry.isIntersecting) return;
+					entry.target.classList.add('is-visible');
+					// Nettoyer will-change après l'animation pour libérer la mémoire GPU
+					cleanup.timeout(() => {
+						entry.target.style.willChange = 'auto';
+					}, 1000);
+					observer.unobserve(entry.target);
+				});
+			},
+			{ rootMargin: '0px 0px -10% 0px', threshold: 0.12 }
+		));
+
+		// root permet de ne traiter qu'un fragment (ex: projets réaffichés par les filtres)
+		const reveal = (root) => {
+			root.querySelectorAll(REVEAL_SELECTORS.join(',')).forEach((el) => {
+				el.classList.add('js-reveal'); // marqueur pour style optionnel
+				marked.add(el);
+				observer.observe(el);
+			});
+		};
+
+		reveal(doc);
+		cleanup.on(doc, 'projects:shown', (e) => reveal(e.detail.root));
+		cleanup.add(() => marked.forEach((el) => el.classList.remove('js-reveal', 'is-visible')));
+	},
+};
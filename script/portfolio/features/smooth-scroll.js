@@ -0,0 +1,32 @@
+/*
+	================================================
+	SMOOTH-SCROLL.JS — DÉFILEMENT FLUIDE VERS LES ANCRES
+	================================================
+	Scroll smooth vers les ancres (#about, #projects, titres du sommaire…)
+	avec compensation de la topbar fixe. Un seul écouteur sur document :
+	les liens ajoutés après coup (sommaire des articles) en profitent.
+	================================================
+*/
+
+export default {
+	name: 'smooth-scroll',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, reduceMotion, cleanup }) {
+		const header = doc.querySelector('.topbar');
+
+		cleanup.on(doc, 'click', (e) => {
+			const link = e.target.closest ? e.target.closest('a[href^="#"]') : null;
+			if (!link || e.defaultPrevented) return;
+			const href = link.getAttribute('href');
+			// Ignore si juste '#'
+			if (!href || href === '#') return;
+			const target = doc.getElementById(decodeURIComponent(href.slice(1)));
+			if (!target) return;
+			e.preventDefault();
+			const headerHeight = header ? header.offsetHeight : 0;
+			const y = target.getBoundingClientRect().top + win.scrollY - Math.max(headerHeight, 72);
+			win.scrollTo({ top: y, behavior: reduceMotion ? 'auto' : 'smooth' });
+		});
+	},
+};
@@ -0,0 +1,107 @@
+/*
+	================================================
+	TABLE-OF-CONTENTS.JS — SOMMAIRE DES ARTICLES
+	================================================
+	Construit un sommaire à partir des <h2>/<h3> de .article-content et
+	l'ajoute en bas de .article-sidebar (bloc collant, styles/articles.css).
+	Les titres sans id en reçoivent un tiré de leur texte ("Ma motivation"
+	→ #ma-motivation) ; le titre en cours de lecture est mis en avant
+	(scroll-spy.js, aria-current).
+	Rien n'est ajouté pour un article de moins de MIN_HEADINGS titres.
+	================================================
+*/
+
+import { createScrollSpy } from '../scroll-spy.js';
+
+const MIN_HEADINGS = 2;
+const TITLE_ID = 'toc-title';
+
+// "Voici l'écriture animée…" → "voici-l-ecriture-animee"
+export function slugify(text) {
+	const slug = text
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '') // accents
+		.toLowerCase()
+		.replace(/[^a-z0-9]+/g, '-')
+		.replace(/^-+|-+$/g, '')
+		.slice(0, 60)
+		.replace(/-+$/, '');
+	// Un id qui commence par un chiffre ne passe pas dans querySelector('#…')
+	return /^[a-z]/.test(slug) ? slug : `section-${slug || 'titre'}`;
+}
+
+export default {
+	name: 'table-of-contents',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		const content = doc.querySelector('.article-content');
+		const sidebar = doc.querySelector('.article-sidebar');
+		if (!content || !sidebar) return;
+		const headings = Array.from(content.querySelectorAll('h2, h3'));
+		if (headings.length < MIN_HEADINGS) return;
+
+		// Ids manquants, uniques dans la page
+		const created = [];
+		headings.forEach((heading) => {
+			if (heading.id) return;
+			const base = slugify(heading.textContent);
+			let id = base;
+			for (let n = 2; doc.getElementById(id); n += 1) id = `${base}-${n}`;
+			heading.id = id;
+			created.push(heading);
+		});
+
+		const nav = doc.createElement('nav');
+		nav.className = 'sidebar-section sidebar-toc';
+		nav.setAttribute('aria-labelledby', TITLE_ID);
+		nav.innerHTML = `<h3 id="${TITLE_ID}" data-i18n="toc.title">Sommaire</h3><ol class="toc-list"></ol>`;
+		const list = nav.querySelector('.toc-list');
+
+		const links = headings.map((heading) => {
+			const item = doc.createElement('li');
+			item.className = `toc-item toc-level-${heading.tagName.slice(1)}`;
+			const link = doc.createElement('a');
+			link.href = `#${heading.id}`;
+			link.textContent = heading.textContent.trim();
+			item.appendChild(link);
+			list.appendChild(item);
+			return link;
+		});
+		sidebar.appendChild(nav);
+
+		// Le lien courant reste visible dans un sommaire qui défile
+		const keepVisible = (link) => {
+			const top = link.offsetTop - list.offsetTop;
+			if (top < list.scrollTop || top + link.offsetHeight > list.scrollTop + list.clientHeight) {
+				list.scrollTop = top - list.clientHeight / 2;
+			}
+		};
+
+		createScrollSpy({
+			window: win,
+			cleanup,
+			targets: headings,
+			onChange: (index) => {
+				links.forEach((link, i) => {
+					link.classList.toggle('is-active', i === index);
+					if (i === index) link.setAttribute('aria-current', 'location');
+					else link.removeAttribute('aria-current');
+				});
+				if (links[index]) keepVisible(links[index]);
+			},
+		});
+
+		// Titres traduits ou modifiés après coup : le sommaire suit
+		cleanup.on(doc, 'i18n:change', () => {
+			headings.forEach((heading, i) => {
+				links[i].textContent = heading.textContent.trim();
+			});
+		});
+
+		cleanup.add(() => {
+			nav.remove();
+			created.forEach((heading) => heading.removeAttribute('id'));
+		});
+	},
+};
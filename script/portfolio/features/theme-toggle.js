@@ -0,0 +1,84 @@
+/*
+	================================================
+	THEME-TOGGLE.JS — BOUTONS MODE CLAIR/SOMBRE/AUTO ET CONTRASTE
+	================================================
+	Le thème est appliqué avant l'affichage par script/theme.js ;
+	ici on branche le loquet (clair → sombre → auto) et on ajoute le
+	bouton de contraste élevé juste après.
+	================================================
+*/
+
+import { createTranslator } from '../i18n.js';
+
+const FADE_CLASS = 'theme-fade';
+const NEXT_MODE = { light: 'dark', dark: 'auto', auto: 'light' };
+const LABELS = {
+	light: ['theme.toLight', 'Activer le mode clair'],
+	dark: ['theme.toDark', 'Activer le mode sombre'],
+	auto: ['theme.toAuto', 'Suivre le thème du système'],
+};
+
+export default {
+	name: 'theme-toggle',
+	enabled: true,
+	motion: false,
+	setup({ document: doc, window: win, cleanup }) {
+		const body = doc.body;
+		const toggleBtn = doc.getElementById('theme-toggle');
+		const theme = win.PortfolioTheme;
+		if (!toggleBtn || !theme) return; // Si pas de bouton, sortir
+
+		let fadeTimer;
+
+		// Bouton contraste élevé, juste après le loquet
+		const contrastBtn = doc.createElement('button');
+		contrastBtn.type = 'button';
+		contrastBtn.className = 'contrast-toggle';
+		contrastBtn.innerHTML = '<span aria-hidden="true">◐</span>';
+		toggleBtn.after(contrastBtn);
+		cleanup.add(() => {
+			contrastBtn.remove();
+			body.classList.remove(FADE_CLASS);
+		});
+
+		const playFade = () => {
+			cleanup.clearTimeout(fadeTimer);
+			body.classList.add(FADE_CLASS);
+			fadeTimer = cleanup.timeout(() => body.classList.remove(FADE_CLASS), 1100);
+		};
+
+		// Texte traduit si script/i18n.js est chargé, en français sinon
+		const t = createTranslator(win);
+
+		// Reflète l'état courant : position du loquet, aria-pressed ("mixed" en auto), libellés
+		const syncButtons = () => {
+			const mode = theme.mode();
+			const [key, label] = LABELS[NEXT_MODE[mode]];
+			toggleBtn.classList.toggle('is-on', mode === 'dark');
+			toggleBtn.classList.toggle('is-auto', mode === 'auto');
+			toggleBtn.setAttribute('aria-pressed', mode === 'auto' ? 'mixed' : String(mode === 'dark'));
+			toggleBtn.setAttribute('aria-label', t(key, label));
+
+			const contrast = theme.isHighContrast();
+			contrastBtn.setAttribute('aria-pressed', String(contrast));
+			contrastBtn.setAttribute('aria-label', contrast
+				? t('contrast.off', 'Désactiver le contraste élevé')
+				: t('contrast.on', 'Activer le contraste élevé'));
+		};
+
+		cleanup.on(toggleBtn, 'click', () => {
+			playFade();
+			theme.setMode(NEXT_MODE[theme.mode()]);
+		});
+
+		cleanup.on(contrastBtn, 'click', () => {
+			playFade();
+			theme.setContrast(!theme.isHighContrast());
+		});
+
+		// Changement ici, dans un autre onglet ou côté système
+		cleanup.on(doc, 'theme:change', syncButtons);
+		cleanup.on(doc, 'i18n:change', syncButtons);
+		syncButtons();
+	},
+};
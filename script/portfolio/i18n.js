@@ -0,0 +1,18 @@
+/*
+	================================================
+	I18N.JS — TEXTES TRADUITS POUR LES FONCTIONNALITÉS
+	================================================
+	Les traductions viennent de window.PortfolioI18n : version française
+	posée par script/theme.js (chargé avant tout le reste, sur toutes les
+	pages), remplacée par script/i18n.js. L'insertion des {valeurs} n'est
+	écrite qu'une fois, dans script/theme.js.
+
+	createTranslator(window) → t(clé, texteFr, valeurs)
+	  t('reader.minutes', '{n} min', { n: 3 }) → texte dans la langue active
+	  La langue est lue à chaque appel : rien à refaire après "i18n:change".
+	================================================
+*/
+
+export function createTranslator(win) {
+	return (key, fallback, values) => win.PortfolioI18n.t(key, fallback, values);
+}
@@ -0,0 +1,201 @@
+/*
+	================================================
+	PORTFOLIO — FONCTIONNALITÉS INTERACTIVES (MODULES ES)
+	================================================
+	Remplace Responsive.js. Chaque fonctionnalité est un module de
+	features/ qui exporte { name, enabled, motion, setup } :
+
+	  enabled   active par défaut sur toutes les pages
+	  motion    animation : coupée si reduceMotion (prefers-reduced-motion)
+	  setup(context)
+	            branche la fonctionnalité ; tout ce qu'elle pose passe par
+	            context.cleanup (écouteurs, observers, rAF, minuteurs) ;
+	            les animations continues passent par context.scheduler
+	            (scheduler.js : pause hors écran, budget d'images)
+
+	init({ features, reduceMotion, document }) démarre les fonctionnalités
+	et renvoie { features, reduceMotion, scheduler, destroy() } ; chaque entrée de
+	features a son propre destroy().
+
+	Choix des fonctionnalités, du plus faible au plus fort :
+	  1. enabled de chaque module
+	  2. attribut de la page : <body data-features="floating-cards -card-tilt">
+	     (un nom l'active, "-nom" la coupe ; front matter "features:")
+	  3. option features de init() : tableau (exactement ces fonctionnalités)
+	     ou objet { 'card-tilt': false }
+	Animations, du plus faible au plus fort : prefers-reduced-motion,
+	<body data-reduce-motion="true|false">, choix du visiteur dans le
+	panneau d'accessibilité (window.PortfolioTheme, script/theme.js),
+	option reduceMotion de init(). Sans reduceMotion explicite, un
+	changement de préférence (système ou panneau) relance init() : les
+	animations s'arrêtent ou reprennent en direct.
+
+	Aucun accès à window au chargement : les modules s'importent tels
+	quels dans Node avec jsdom (init({ document: dom.window.document })).
+	Le démarrage dans le navigateur est fait par main.js.
+	================================================
+*/
+
+import { createCleanup } from './cleanup.js';
+import { createScheduler } from './scheduler.js';
+import themeToggle from './features/theme-toggle.js';
+import preferencesPanel from './features/preferences-panel.js';
+import smoothScroll from './features/smooth-scroll.js';
+import scrollReveal from './features/scroll-reveal.js';
+import heroParallax from './features/hero-parallax.js';
+import cardTilt from './features/card-tilt.js';
+import activeNav from './features/active-nav.js';
+import lazyMedia from './features/lazy-media.js';
+import tableOfContents from './features/table-of-contents.js';
+import readingProgress from './features/reading-progress.js';
+import readingTime from './features/reading-time.js';
+import readerMode from './features/reader-mode.js';
+import printButton from './features/print-button.js';
+import analytics from './features/analytics.js';
+import clickAnimations from './features/click-animations.js';
+import hoverAnimations from './features/hover-animations.js';
+import counters from './features/counters.js';
+import cardParallax from './features/card-parallax.js';
+import continuousAnimations from './features/continuous-animations.js';
+import animatedGradient from './features/animated-gradient.js';
+import floatingCards from './features/floating-cards.js';
+import randomHeroBg from './features/random-hero-bg.js';
+
+// Ordre de démarrage
+export const FEATURES = [
+	themeToggle,
+	preferencesPanel,
+	smoothScroll,
+	scrollReveal,
+	heroParallax,
+	cardTilt,
+	activeNav,
+	lazyMedia,
+	tableOfContents,
+	readingProgress,
+	readingTime,
+	readerMode,
+	printButton,
+	analytics,
+	clickAnimations,
+	hoverAnimations,
+	counters,
+	cardParallax,
+	continuousAnimations,
+	animatedGradient,
+	floatingCards,
+	randomHeroBg,
+];
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+let current = null;
+
+// ====== CONFIGURATION ======
+// "floating-cards -card-tilt" → { 'floating-cards': true, 'card-tilt': false }
+export function parseFeatureList(value) {
+	const choices = {};
+	String(value || '').split(/[\s,]+/).filter(Boolean).forEach((token) => {
+		const off = token.startsWith('-');
+		choices[token.replace(/^[-+]/, '')] = !off;
+	});
+	return choices;
+}
+
+// Réglages portés par <body data-features="…" data-reduce-motion="…">
+export function readPageConfig(doc) {
+	const data = doc.body ? doc.body.dataset : {};
+	const config = { features: parseFeatureList(data.features) };
+	if (data.reduceMotion === 'true' || data.reduceMotion === 'false') config.reduceMotion = data.reduceMotion === 'true';
+	return config;
+}
+
+// Noms des fonctionnalités à démarrer (avant le filtre reduceMotion)
+export function resolveFeatures(option, page = {}) {
+	const known = new Set(FEATURES.map((feature) => feature.name));
+	const warnUnknown = (names) => names.filter((name) => !known.has(name)).forEach((name) => {
+		console.warn(`Portfolio : fonctionnalité inconnue "${name}"`);
+	});
+
+	if (Array.isArray(option)) {
+		warnUnknown(option);
+		return new Set(option.filter((name) => known.has(name)));
+	}
+
+	const choices = { ...page, ...(option || {}) };
+	warnUnknown(Object.keys(choices));
+	return new Set(FEATURES
+		.filter((feature) => (feature.name in choices ? choices[feature.name] : feature.enabled))
+		.map((feature) => feature.name));
+}
+
+// Choix du panneau d'accessibilité ("reduce" / "full"), undefined sans choix
+function userReduceMotion(win) {
+	const choice = win.PortfolioTheme ? win.PortfolioTheme.preference('motion') : null;
+	return choice ? choice === 'reduce' : undefined;
+}
+
+// ====== DÉMARRAGE ET ARRÊT ======
+export function init(options = {}) {
+	const doc = options.document || globalThis.document;
+	const win = doc.defaultView;
+	destroy();
+
+	const page = readPageConfig(doc);
+	const query = win.matchMedia ? win.matchMedia(REDUCED_MOTION_QUERY) : null;
+	const resolveReduceMotion = () => options.reduceMotion ?? userReduceMotion(win) ?? page.reduceMotion ?? Boolean(query && query.matches);
+	const reduceMotion = resolveReduceMotion();
+	const wanted = resolveFeatures(options.features, page.features);
+
+	// Une seule boucle d'animation partagée par toutes les fonctionnalités
+	const scheduler = createScheduler(win, { reduceMotion });
+	const features = new Map();
+	FEATURES.forEach((feature) => {
+		if (!wanted.has(feature.name) || (feature.motion && reduceMotion)) return;
+		const cleanup = createCleanup(win);
+		try {
+			feature.setup({ document: doc, window: win, reduceMotion, cleanup, scheduler });
+		} catch (err) {
+			// Une fonctionnalité en échec n'empêche pas les autres de démarrer
+			cleanup.release();
+			console.error(`Portfolio : échec de "${feature.name}"`, err);
+			return;
+		}
+		features.set(feature.name, {
+			name: feature.name,
+			destroy() {
+				cleanup.release();
+				features.delete(feature.name);
+			},
+		});
+	});
+
+	// Préférences système et panneau suivies en direct, sauf option explicite
+	const appCleanup = createCleanup(win);
+	if (options.reduceMotion === undefined) {
+		const restart = () => {
+			if (resolveReduceMotion() !== reduceMotion) init(options);
+		};
+		if (query && query.addEventListener) appCleanup.on(query, 'change', restart);
+		appCleanup.on(doc, 'preferences:change', restart);
+	}
+
+	const app = {
+		features,
+		reduceMotion,
+		scheduler,
+		destroy() {
+			appCleanup.release();
+			Array.from(features.values()).reverse().forEach((feature) => feature.destroy());
+			scheduler.destroy();
+			if (current === app) current = null;
+		},
+	};
+	current = app;
+	return app;
+}
+
+// Arrête toutes les fonctionnalités démarrées par le dernier init()
+export function destroy() {
+	if (current) current.destroy();
+}
@@ -0,0 +1,27 @@
+/*
+	================================================
+	MAIN.JS — DÉMARRAGE DES FONCTIONNALITÉS DANS LE NAVIGATEUR
+	================================================
+	Chargé en <script type="module"> par les gabarits (front matter
+	"modules:"). Expose l'API sur window.Portfolio pour les autres
+	scripts et la console :
+	  Portfolio.init({ features: { 'floating-cards': true } })
+	  Portfolio.destroy()
+	Après un changement de page sans rechargement (script/navigation.js),
+	les fonctionnalités sont arrêtées puis relancées sur le nouveau contenu.
+	================================================
+*/
+
+import { init, destroy, FEATURES } from './index.js';
+
+window.Portfolio = { init, destroy, FEATURES };
+
+// Les modules sont différés : le DOM est déjà prêt, sauf cas particulier
+if (document.readyState === 'loading') {
+	document.addEventListener('DOMContentLoaded', () => init(), { once: true });
+} else {
+	init();
+}
+
+document.addEventListener('page:unload', () => destroy());
+document.addEventListener('page:load', () => init());
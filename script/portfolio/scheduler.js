@@ -0,0 +1,194 @@
+/*
+	================================================
+	SCHEDULER.JS — ORDONNANCEUR DES ANIMATIONS D'AMBIANCE
+	================================================
+	Une seule boucle requestAnimationFrame pour toutes les animations
+	continues (fond du héro, cartes flottantes…), créée par init() et
+	transmise aux fonctionnalités (context.scheduler).
+
+	1. Pause quand l'onglet est masqué, ou quand l'élément de la tâche
+	   (ex. le héro) sort de l'écran (IntersectionObserver)
+	2. Mesure du temps entre deux images : si la moyenne dépasse le budget,
+	   les tâches passent en mode dégradé (cadence divisée par deux,
+	   degrade()), puis sont arrêtées une à une, de la moins prioritaire à
+	   la plus prioritaire (stop()). Le budget suit l'écran : la première
+	   mesure donne l'intervalle natif de requestAnimationFrame (images les
+	   plus rapides), toléré jusqu'à BUDGET_RATIO fois, jamais moins de
+	   FRAME_BUDGET (un écran ou un mode économie à 30 Hz n'est pas une saccade)
+	3. reduceMotion : aucune tâche n'est acceptée
+
+	Une tâche :
+	  scheduler.add({
+	    element,          facultatif : pause hors écran
+	    priority: 0,      plus petit = arrêté en premier si le budget est dépassé
+	    fps: 30,          cadence maximale de frame()
+	    frame(time, delta),
+	    pause(), resume(), degrade(), stop()   facultatifs
+	  }) → { remove() }
+	Une tâche sans frame() (animation CSS) profite quand même de la
+	pause et de la mesure : son coût se voit dans le temps des images.
+	================================================
+*/
+
+const FRAME_BUDGET = 22; // ms : budget minimal (~45 images/s)
+const BUDGET_RATIO = 1.35; // moyenne tolérée par rapport à l'intervalle natif (60 Hz → 22 ms, 30 Hz → 45 ms)
+const NATIVE_PERCENTILE = 0.1; // images les plus rapides de la première mesure = cadence de l'écran
+const SAMPLE_SIZE = 60; // images par mesure
+const MAX_DELTA = 250; // ms : au-delà, l'onglet était gelé, la mesure est ignorée
+
+export function createScheduler(win, { reduceMotion = false } = {}) {
+	const doc = win.document;
+	const tasks = new Set();
+	let rafId = 0;
+	let lastTime = null;
+	let samples = [];
+	let budget = null; // ms, fixé par la première mesure
+	let degraded = false;
+	let destroyed = false;
+
+	const observer = 'IntersectionObserver' in win
+		? new win.IntersectionObserver((entries) => {
+			entries.forEach((entry) => {
+				tasks.forEach((task) => {
+					if (task.element === entry.target) task.onScreen = entry.isIntersecting;
+				});
+			});
+			refresh();
+		})
+		: null;
+
+	// ====== ÉTAT DES TÂCHES ======
+	function isRunning(task) {
+		return !task.stopped && !doc.hidden && task.onScreen;
+	}
+
+	function refresh() {
+		tasks.forEach((task) => {
+			const running = isRunning(task);
+			if (running === task.running) return;
+			task.running = running;
+			if (task.stopped) return; // stop() a déjà tout défait
+			const hook = running ? task.resume : task.pause;
+			if (hook) hook();
+		});
+		schedule();
+	}
+
+	function isNeeded() {
+		return !destroyed && Array.from(tasks).some((task) => task.running);
+	}
+
+	function schedule() {
+		if (isNeeded() && !rafId) {
+			// Reprise : pas de saut dans les animations ni dans la mesure
+			lastTime = null;
+			tasks.forEach((task) => {
+				task.lastFrame = null;
+			});
+			rafId = win.requestAnimationFrame(tick);
+		} else if (!isNeeded() && rafId) {
+			win.cancelAnimationFrame(rafId);
+			rafId = 0;
+		}
+	}
+
+	// ====== BOUCLE ======
+	function tick(time) {
+		rafId = 0;
+		if (lastTime !== null) measure(time - lastTime);
+		lastTime = time;
+
+		tasks.forEach((task) => {
+			if (!task.running || !task.frame) return;
+			const interval = 1000 / (degraded ? task.fps / 2 : task.fps);
+			if (task.lastFrame !== null && time - task.lastFrame < interval - 1) return;
+			const delta = task.lastFrame === null ? 0 : Math.min(time - task.lastFrame, MAX_DELTA);
+			task.lastFrame = time;
+			task.frame(time, delta);
+		});
+		// Une tâche arrêtée pendant cette image a pu déjà reprogrammer la boucle
+		if (!rafId && isNeeded()) rafId = win.requestAnimationFrame(tick);
+	}
+
+	// ====== BUDGET ======
+	function measure(delta) {
+		if (delta > MAX_DELTA) return;
+		samples.push(delta);
+		if (samples.length < SAMPLE_SIZE) return;
+		const average = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+		if (budget === null) budget = Math.max(FRAME_BUDGET, nativeInterval(samples) * BUDGET_RATIO);
+		samples = [];
+		if (average > budget) overBudget();
+	}
+
+	// Intervalle des images les plus rapides : celui de l'écran, même si quelques images ont traîné
+	function nativeInterval(values) {
+		const sorted = [...values].sort((a, b) => a - b);
+		return sorted[Math.floor(sorted.length * NATIVE_PERCENTILE)];
+	}
+
+	// D'abord toutes les tâches ralenties, ensuite la moins prioritaire arrêtée
+	function overBudget() {
+		if (!degraded) {
+			degraded = true;
+			tasks.forEach((task) => {
+				if (task.degrade) task.degrade();
+			});
+			return;
+		}
+		const victim = Array.from(tasks)
+			.filter((task) => !task.stopped)
+			.sort((a, b) => a.priority - b.priority)[0];
+		if (!victim) return;
+		victim.stopped = true;
+		if (victim.stop) victim.stop();
+		refresh();
+	}
+
+	const onVisibility = () => refresh();
+	doc.addEventListener('visibilitychange', onVisibility);
+
+	return {
+		add(options) {
+			if (reduceMotion || destroyed) return { remove() {} };
+			const task = {
+				priority: 0,
+				fps: 60,
+				...options,
+				onScreen: true,
+				running: false,
+				stopped: false,
+				lastFrame: null,
+			};
+			tasks.add(task);
+			if (task.element && observer) observer.observe(task.element);
+			refresh();
+			return {
+				remove() {
+					if (!tasks.delete(task)) return;
+					if (task.element && observer && !Array.from(tasks).some((t) => t.element === task.element)) {
+						observer.unobserve(task.element);
+					}
+					schedule();
+				},
+			};
+		},
+
+		get degraded() {
+			return degraded;
+		},
+
+		// Budget retenu (ms), null avant la première mesure
+		get budget() {
+			return budget;
+		},
+
+		destroy() {
+			destroyed = true;
+			tasks.clear();
+			schedule();
+			if (observer) observer.disconnect();
+			doc.removeEventListener('visibilitychange', onVisibility);
+		},
+	};
+}
@@ -0,0 +1,48 @@
+/*
+	================================================
+	SCROLL-SPY.JS — SECTION COURANTE PENDANT LE DÉFILEMENT
+	================================================
+	Repère, parmi une liste de cibles (sections de l'accueil, titres d'un
+	article…), celle que l'on est en train de lire : la dernière dont le
+	haut est passé au-dessus d'une ligne horizontale placée à LINE de la
+	hauteur de l'écran. L'IntersectionObserver ne sert que de déclencheur
+	(une cible franchit la ligne) : aucun calcul à chaque scroll.
+
+	createScrollSpy({ window, cleanup, targets, onChange, line })
+	  onChange(index) : index de la cible courante (-1 : aucune, en haut de page)
+	  → { refresh(), current() }
+	================================================
+*/
+
+const LINE = 0.35; // même seuil que l'ancien surlignage de la nav (threshold 0.35)
+
+export function createScrollSpy({ window: win, cleanup, targets, onChange, line = LINE }) {
+	let current = -1;
+
+	const refresh = () => {
+		const limit = win.innerHeight * line;
+		let index = -1;
+		targets.forEach((target, i) => {
+			if (target.getBoundingClientRect().top <= limit) index = i;
+		});
+		if (index === current) return;
+		current = index;
+		onChange(index);
+	};
+
+	if (targets.length && 'IntersectionObserver' in win) {
+		// Bande fine (1 % de l'écran) à hauteur de la ligne : chaque passage déclenche un recalcul
+		const topMargin = -Math.round(line * 100);
+		const observer = cleanup.observe(new win.IntersectionObserver(refresh, {
+			rootMargin: `${topMargin}% 0px ${-99 - topMargin}% 0px`,
+		}));
+		targets.forEach((target) => observer.observe(target));
+		cleanup.on(win, 'resize', refresh, { passive: true });
+	}
+	refresh();
+
+	return {
+		refresh,
+		current: () => current,
+	};
+}
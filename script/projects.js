@@ -0,0 +1,121 @@
+/*
+	================================================
+	PROJECTS.JS — MANIFESTE DES PROJETS CÔTÉ NAVIGATEUR
+	================================================
+	Tous les projets sont décrits une seule fois dans data/projects.json.
+	Les listes, les liens "Précédent / Suivant" et les "Projets similaires"
+	sont écrits dans les pages à la génération (tools/build-projects.js) :
+	ce fichier ne fait que donner accès au manifeste aux autres scripts
+	(filtres de la page Projets, chronologie, traduction…) via
+	window.PortfolioProjects :
+
+	1. load() : manifeste téléchargé une seule fois
+	2. resolve(chemin) : chemin du manifeste (relatif à la racine du site)
+	   en URL absolue, déduite de l'emplacement de ce script
+	3. Dates et durées écrites en français ("Décembre 2025 - Février 2026",
+	   "3 mois") converties en valeurs comparables
+	4. el(balise, attributs, enfants) : création d'éléments pour les scripts
+	   qui construisent leur interface (filtres, chronologie)
+	================================================
+*/
+
+(function () {
+	// Racine du site, déduite de l'URL de ce script (…/script/projects.js → …/)
+	const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+	const ROOT_URL = new URL('../', SCRIPT_URL);
+	const MANIFEST_URL = new URL('data/projects.json', ROOT_URL);
+
+	// ====== MANIFESTE ======
+	// Le manifeste n'est téléchargé qu'une fois, même si plusieurs scripts le demandent
+	let manifestPromise = null;
+	function loadManifest() {
+		if (!manifestPromise) {
+			manifestPromise = fetch(MANIFEST_URL).then((res) => {
+				if (!res.ok) throw new Error(`HTTP ${res.status}`);
+				return res.json();
+			});
+		}
+		return manifestPromise;
+	}
+
+	// Résout un chemin du manifeste (relatif à la racine) en URL absolue
+	function resolve(path) {
+		return new URL(path, ROOT_URL).href;
+	}
+
+	function categoryById(manifest, id) {
+		return manifest.categories.find((c) => c.id === id) || null;
+	}
+
+	// ====== OUTILS DOM ======
+	// Crée un élément avec ses attributs et ses enfants (texte ou nœuds) ;
+	// attribut undefined / null / false et enfant null / undefined ignorés
+	function el(tag, attrs, children) {
+		const node = document.createElement(tag);
+		Object.entries(attrs || {}).forEach(([name, value]) => {
+			if (value === undefined || value === null || value === false) return;
+			if (name === 'className') node.className = value;
+			else node.setAttribute(name, value);
+		});
+		(children || []).forEach((child) => {
+			if (child === null || child === undefined) return;
+			node.append(child);
+		});
+		return node;
+	}
+
+	// ====== DATES ET DURÉES EN FRANÇAIS ======
+	// Les dates du manifeste sont écrites comme sur le site ("Décembre 2025 - Février 2026",
+	// "2021", "En cours"…) : on les convertit ici en valeurs comparables.
+	const MONTHS = ['janvier', 'fevrier', 'mars', 'avril', 'mai', 'juin', 'juillet', 'aout', 'septembre', 'octobre', 'novembre', 'decembre'];
+
+	// Minuscules sans accents ("Février" → "fevrier")
+	function normalize(text) {
+		return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+	}
+
+	// "Février 2026" → { year: 2026, month: 2 } ; "2021" → { year: 2021, month: null }
+	function parseMonthYear(text) {
+		const match = normalize(text).match(/(?:([a-z]+)\s+)?(\d{4})/);
+		if (!match) return null;
+		const month = match[1] ? MONTHS.indexOf(match[1]) + 1 : 0;
+		return { year: Number(match[2]), month: month > 0 ? month : null };
+	}
+
+	// "Décembre 2025 - Février 2026" → { start, end, ongoing } (null si aucune date)
+	function parseDateRange(label) {
+		if (!label) return null;
+		const parts = String(label).split(/\s+[-–]\s+/);
+		const start = parseMonthYear(parts[0]);
+		const ongoing = /en cours|en continu|maintenant/.test(normalize(label));
+		if (!start) return ongoing ? { start: null, end: null, ongoing } : null;
+		const end = parts[1] ? parseMonthYear(parts[1]) : null;
+		return { start, end: end || start, ongoing };
+	}
+
+	// Index de mois absolu (année * 12 + mois) pour trier ou placer sur une frise
+	function monthIndex(point, fallbackMonth = 1) {
+		return point.year * 12 + ((point.month || fallbackMonth) - 1);
+	}
+
+	// "3 mois" → 90, "1 semaine" → 7, "1 jour" → 1 (null si inconnue)
+	function parseDuration(label) {
+		if (!label) return null;
+		const match = normalize(label).match(/(\d+)\s*(jour|semaine|mois|an)/);
+		if (!match) return null;
+		const unit = { jour: 1, semaine: 7, mois: 30, an: 365 }[match[2]];
+		return Number(match[1]) * unit;
+	}
+
+	// Accès partagé au manifeste pour les autres scripts (filtres, recherche…)
+	window.PortfolioProjects = {
+		load: loadManifest,
+		resolve,
+		categoryById,
+		normalize,
+		parseDateRange,
+		parseDuration,
+		monthIndex,
+		el,
+	};
+})();
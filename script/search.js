@@ -0,0 +1,341 @@
+/*
+	================================================
+	SEARCH.JS — PALETTE DE RECHERCHE (Ctrl+K ou "/")
+	================================================
+	Ajoute un bouton "Rechercher" dans la .topbar de chaque page et ouvre
+	une palette qui cherche dans tous les articles :
+
+	1. Titres, texte de .article-content, compétences et logiciels
+	2. Index data/search-index.json, écrit à chaque génération (tools/build-search-index.js),
+	   chargé seulement à la première ouverture
+	3. Recherche insensible aux accents et à la casse ("ecriture" → "Écriture")
+	4. Résultats classés, extraits surlignés avec <mark>
+	5. Navigation clavier : ↑ ↓ Page↑ Page↓, Entrée pour ouvrir, Échap pour fermer
+	================================================
+*/
+
+(function () {
+	// Texte traduit (script/i18n.js, français par défaut défini dans script/theme.js)
+	const t = (key, fallback, values) => window.PortfolioI18n.t(key, fallback, values);
+
+	const SCRIPT_URL = document.currentScript ? document.currentScript.src : window.location.href;
+	const ROOT_URL = new URL('../', SCRIPT_URL);
+	const INDEX_URL = new URL('data/search-index.json', ROOT_URL);
+
+	const MAX_RESULTS = 8;
+	const SNIPPET_RADIUS = 60; // caractères gardés de part et d'autre du terme trouvé
+
+	// Poids des champs pour le classement
+	const WEIGHTS = { title: 10, tags: 6, category: 3, text: 1 };
+
+	let indexPromise = null;
+	let dialog = null;
+	let input = null;
+	let listbox = null;
+	let status = null;
+	let results = [];
+	let activeIndex = -1;
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', setupSearch);
+	} else {
+		setupSearch();
+	}
+
+	// ====== INITIALISATION ======
+	function setupSearch() {
+		const toggle = document.getElementById('theme-toggle');
+		const slot = toggle ? toggle.parentElement : document.querySelector('.topbar');
+		if (!slot) return;
+
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'search-trigger';
+		button.setAttribute('aria-haspopup', 'dialog');
+		button.setAttribute('aria-label', 'Rechercher dans les articles (Ctrl+K)');
+		button.setAttribute('data-i18n-attr', 'aria-label:search.trigger');
+		button.innerHTML = '<svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><circle cx="11" cy="11" r="7"/><path d="m20 20-3.5-3.5"/></svg><span class="search-trigger-label" data-i18n="search.label">Rechercher</span><kbd>Ctrl K</kbd>';
+		slot.insertBefore(button, slot.firstChild);
+		button.addEventListener('click', openPalette);
+
+		// Raccourcis globaux : Ctrl/Cmd+K partout, "/" hors des champs de saisie
+		document.addEventListener('keydown', (e) => {
+			const key = e.key.toLowerCase();
+			if (key === 'k' && (e.ctrlKey || e.metaKey)) {
+				e.preventDefault();
+				openPalette();
+			} else if (e.key === '/' && !isTyping(e.target) && !(dialog && dialog.open)) {
+				e.preventDefault();
+				openPalette();
+			}
+		});
+	}
+
+	function isTyping(target) {
+		return target.isContentEditable || /^(input|textarea|select)$/i.test(target.tagName);
+	}
+
+	// ====== PALETTE ======
+	function buildPalette() {
+		dialog = document.createElement('dialog');
+		dialog.className = 'search-palette';
+		dialog.setAttribute('aria-label', 'Recherche');
+		dialog.setAttribute('data-i18n-attr', 'aria-label:search.dialog');
+		dialog.innerHTML = `
+			<div class="search-box">
+				<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><circle cx="11" cy="11" r="7"/><path d="m20 20-3.5-3.5"/></svg>
+				<input type="search" class="search-input" placeholder="Rechercher un projet, un logiciel, une compétence…"
+					data-i18n-attr="placeholder:search.placeholder"
+					role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="search-results" autocomplete="off" spellcheck="false">
+				<kbd data-i18n="search.esc">Échap</kbd>
+			</div>
+			<ul class="search-results" id="search-results" role="listbox" aria-label="Résultats" data-i18n-attr="aria-label:search.results"></ul>
+			<p class="search-status" role="status" aria-live="polite"></p>
+		`;
+		document.body.appendChild(dialog);
+
+		input = dialog.querySelector('.search-input');
+		listbox = dialog.querySelector('.search-results');
+		status = dialog.querySelector('.search-status');
+
+		input.addEventListener('input', () => runSearch(input.value));
+		input.addEventListener('keydown', onInputKeydown);
+
+		// Clic sur le fond (en dehors de la boîte) → fermeture
+		dialog.addEventListener('click', (e) => {
+			if (e.target === dialog) dialog.close();
+		});
+
+		listbox.addEventListener('mousemove', (e) => {
+			const option = e.target.closest('[role="option"]');
+			if (option) setActive(Number(option.dataset.index));
+		});
+
+		// Résultat ouvert sans rechargement (script/navigation.js) : la palette se referme
+		document.addEventListener('page:unload', () => {
+			if (dialog.open) dialog.close();
+		});
+
+		// Changement de langue palette ouverte : message d'état réécrit
+		document.addEventListener('i18n:change', () => {
+			if (dialog.open) runSearch(input.value);
+		});
+	}
+
+	function openPalette() {
+		if (!dialog) buildPalette();
+		if (dialog.open) {
+			input.select();
+			return;
+		}
+		dialog.showModal();
+		input.value = '';
+		renderResults([], '');
+		status.textContent = t('search.hint', 'Tapez pour rechercher dans tous les articles.');
+		input.focus();
+		loadIndex().catch(() => {
+			status.textContent = t('search.unavailable', "L'index de recherche est indisponible.");
+		});
+	}
+
+	function onInputKeydown(e) {
+		if (e.key === 'ArrowDown') {
+			e.preventDefault();
+			setActive(results.length ? (activeIndex + 1) % results.length : -1);
+		} else if (e.key === 'ArrowUp') {
+			e.preventDefault();
+			setActive(results.length ? (activeIndex - 1 + results.length) % results.length : -1);
+		} else if (e.key === 'PageUp' && results.length) {
+			e.preventDefault();
+			setActive(0);
+		} else if (e.key === 'PageDown' && results.length) {
+			e.preventDefault();
+			setActive(results.length - 1);
+		} else if (e.key === 'Enter') {
+			const option = listbox.querySelector(`[data-index="${activeIndex}"] a`);
+			if (option) {
+				e.preventDefault();
+				// Vrai clic : script/navigation.js peut changer de page sans rechargement
+				option.click();
+			}
+		}
+	}
+
+	function setActive(index) {
+		activeIndex = index;
+		listbox.querySelectorAll('[role="option"]').forEach((option) => {
+			const selected = Number(option.dataset.index) === index;
+			option.setAttribute('aria-selected', String(selected));
+			if (selected) {
+				input.setAttribute('aria-activedescendant', option.id);
+				option.scrollIntoView({ block: 'nearest' });
+			}
+		});
+		if (index < 0) input.removeAttribute('aria-activedescendant');
+	}
+
+	// ====== INDEX ======
+	// Chaque document reçoit ses versions normalisées une seule fois au chargement
+	function loadIndex() {
+		if (!indexPromise) {
+			indexPromise = fetch(INDEX_URL)
+				.then((res) => {
+					if (!res.ok) throw new Error(`HTTP ${res.status}`);
+					return res.json();
+				})
+				.then((data) => data.documents.map((doc) => ({
+					...doc,
+					norm: {
+						title: normalize(doc.title),
+						tags: normalize([...doc.skills, ...doc.tools].join(' · ')),
+						category: normalize(doc.category),
+						text: normalize(doc.text),
+					},
+				})))
+				.catch((err) => {
+					indexPromise = null;
+					throw err;
+				});
+		}
+		return indexPromise;
+	}
+
+	// Minuscules sans accents, longueur identique au texte d'origine
+	// (chaque caractère donne exactement un caractère, pour pouvoir surligner l'original)
+	function normalize(text) {
+		let out = '';
+		for (const char of String(text)) {
+			const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+			out += base.length === char.length ? base : char.toLowerCase().slice(0, char.length).padEnd(char.length, ' ');
+		}
+		return out;
+	}
+
+	// ====== RECHERCHE ET CLASSEMENT ======
+	function runSearch(query) {
+		const terms = normalize(query).split(/\s+/).filter(Boolean);
+		if (!terms.length) {
+			renderResults([], '');
+			status.textContent = t('search.hint', 'Tapez pour rechercher dans tous les articles.');
+			return;
+		}
+
+		loadIndex().then((documents) => {
+			if (input.value !== query) return; // une frappe plus récente a pris le relais
+			const scored = documents
+				.map((doc) => ({ doc, score: scoreDocument(doc, terms) }))
+				.filter((r) => r.score > 0)
+				.sort((a, b) => b.score - a.score)
+				.slice(0, MAX_RESULTS);
+			renderResults(scored.map((r) => r.doc), terms);
+			if (!scored.length) status.textContent = t('search.none', 'Aucun résultat pour « {query} »', { query: query.trim() });
+			else if (scored.length === 1) status.textContent = t('search.countOne', '1 résultat');
+			else status.textContent = t('search.count', '{n} résultats', { n: scored.length });
+		}).catch(() => {
+			status.textContent = t('search.unavailable', "L'index de recherche est indisponible.");
+		});
+	}
+
+	// Tous les termes doivent être trouvés quelque part ; un terme en début de mot compte double
+	function scoreDocument(doc, terms) {
+		let total = 0;
+		for (const term of terms) {
+			let termScore = 0;
+			Object.keys(WEIGHTS).forEach((field) => {
+				const haystack = doc.norm[field];
+				let from = 0;
+				let hits = 0;
+				let pos;
+				while ((pos = haystack.indexOf(term, from)) !== -1 && hits < 5) {
+					const wordStart = pos === 0 || /[^a-z0-9]/.test(haystack[pos - 1]);
+					termScore += WEIGHTS[field] * (wordStart ? 2 : 1);
+					hits += 1;
+					from = pos + term.length;
+				}
+			});
+			if (!termScore) return 0;
+			total += termScore;
+		}
+		return total;
+	}
+
+	// ====== AFFICHAGE ======
+	function renderResults(docs, terms) {
+		results = docs;
+		listbox.replaceChildren(...docs.map((doc, index) => {
+			const option = document.createElement('li');
+			option.id = `search-option-${index}`;
+			option.className = 'search-result';
+			option.setAttribute('role', 'option');
+			option.dataset.index = String(index);
+
+			const link = document.createElement('a');
+			link.href = new URL(doc.url, ROOT_URL).href;
+			link.tabIndex = -1;
+
+			const title = document.createElement('span');
+			title.className = 'search-result-title';
+			title.append(`${doc.icon} `, ...highlight(doc.title, doc.norm.title, terms));
+
+			const meta = document.createElement('span');
+			meta.className = 'search-result-meta';
+			meta.append(...highlight([doc.category, ...doc.tools].filter(Boolean).join(' · '),
+				normalize([doc.category, ...doc.tools].filter(Boolean).join(' · ')), terms));
+
+			const snippet = document.createElement('span');
+			snippet.className = 'search-result-snippet';
+			snippet.append(...buildSnippet(doc, terms));
+
+			link.append(title, meta, snippet);
+			option.appendChild(link);
+			return option;
+		}));
+		input.setAttribute('aria-expanded', String(docs.length > 0));
+		setActive(docs.length ? 0 : -1);
+	}
+
+	// Extrait autour de la première occurrence dans le texte (sinon début du texte)
+	function buildSnippet(doc, terms) {
+		let first = -1;
+		terms.forEach((term) => {
+			const pos = doc.norm.text.indexOf(term);
+			if (pos !== -1 && (first === -1 || pos < first)) first = pos;
+		});
+		const start = Math.max(0, first === -1 ? 0 : first - SNIPPET_RADIUS);
+		const end = Math.min(doc.text.length, (first === -1 ? 0 : first) + SNIPPET_RADIUS * 2);
+		const nodes = highlight(doc.text.slice(start, end), doc.norm.text.slice(start, end), terms);
+		if (start > 0) nodes.unshift('… ');
+		if (end < doc.text.length) nodes.push(' …');
+		return nodes;
+	}
+
+	// Découpe le texte original en morceaux et entoure les termes trouvés de <mark>
+	function highlight(original, normalized, terms) {
+		const marks = new Array(original.length).fill(false);
+		terms.forEach((term) => {
+			let pos = normalized.indexOf(term);
+			while (pos !== -1) {
+				for (let i = pos; i < pos + term.length; i += 1) marks[i] = true;
+				pos = normalized.indexOf(term, pos + term.length);
+			}
+		});
+
+		const nodes = [];
+		let i = 0;
+		while (i < original.length) {
+			const marked = marks[i];
+			let j = i;
+			while (j < original.length && marks[j] === marked) j += 1;
+			const chunk = original.slice(i, j);
+			if (marked) {
+				const mark = document.createElement('mark');
+				mark.textContent = chunk;
+				nodes.push(mark);
+			} else {
+				nodes.push(chunk);
+			}
+			i = j;
+		}
+		return nodes;
+	}
+})();
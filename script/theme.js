@@ -0,0 +1,195 @@
+/*
+	================================================
+	THEME.JS — THÈME, CONTRASTE ET PRÉFÉRENCES D'ACCESSIBILITÉ
+	================================================
+	Chargé SANS defer, tout en haut du <body> : les classes sont posées
+	avant le premier affichage (pas de flash blanc en mode sombre, pas de
+	texte qui change de taille une fois la page affichée).
+
+	1. Trois modes mémorisés dans localStorage ("site-theme") :
+	   "light", "dark" ou "auto" (par défaut). En auto, le thème suit
+	   le système en direct (prefers-color-scheme)
+	2. Contraste élevé ("site-contrast" : "more" ou "normal") ; sans choix
+	   enregistré, il suit prefers-contrast: more
+	3. Préférences du panneau d'accessibilité (features/preferences-panel.js),
+	   une clé chacune, posées en attribut sur <html> (jamais remplacé par
+	   script/navigation.js) :
+	     site-motion      data-motion="reduce|full"   sans choix : prefers-reduced-motion
+	     site-text-size   data-text-size="115|130|150" taille du texte (%)
+	     site-font        data-font="dyslexic"         police plus lisible, texte espacé
+	     site-links       data-links="underline"       liens soulignés
+	     site-focus       data-focus="strong"          contour de focus renforcé
+	4. Synchronisation entre onglets (événement storage)
+	5. Classes posées sur <body> : theme-dark, theme-contrast
+	6. API pour les boutons (script/portfolio/features/theme-toggle.js) :
+	   window.PortfolioTheme,
+	   événements "theme:change" et "preferences:change" sur document
+	7. Textes en français par défaut : window.PortfolioI18n.t(clé, texteFr, valeurs)
+	   existe sur toutes les pages, même sans script/i18n.js (qui le remplace).
+	   window.PortfolioI18n.fill(texte, valeurs) insère les {valeurs} : seule
+	   version de la règle, reprise par script/i18n.js
+	================================================
+*/
+
+(function () {
+	const THEME_KEY = 'site-theme';
+	const CONTRAST_KEY = 'site-contrast';
+	const MODES = ['light', 'dark', 'auto'];
+	const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+	const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+	const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+	// Préférence → clé localStorage, attribut de <html> et valeurs acceptées (aucune = réglage par défaut)
+	const PREFERENCES = {
+		motion: { key: 'site-motion', attribute: 'data-motion', values: ['reduce', 'full'] },
+		textSize: { key: 'site-text-size', attribute: 'data-text-size', values: ['115', '130', '150'] },
+		font: { key: 'site-font', attribute: 'data-font', values: ['dyslexic'] },
+		links: { key: 'site-links', attribute: 'data-links', values: ['underline'] },
+		focus: { key: 'site-focus', attribute: 'data-focus', values: ['strong'] },
+	};
+	const PREFERENCE_KEYS = Object.values(PREFERENCES).map((p) => p.key);
+
+	function read(key) {
+		try {
+			return localStorage.getItem(key);
+		} catch (_) {
+			return null; // stockage bloqué : préférences système uniquement
+		}
+	}
+
+	function write(key, value) {
+		try {
+			if (value === null) localStorage.removeItem(key);
+			else localStorage.setItem(key, value);
+		} catch (_) {}
+	}
+
+	// ====== LECTURE DES PRÉFÉRENCES ======
+	function mode() {
+		const saved = read(THEME_KEY);
+		return MODES.includes(saved) ? saved : 'auto';
+	}
+
+	function isDark() {
+		const current = mode();
+		return current === 'auto' ? darkQuery.matches : current === 'dark';
+	}
+
+	// Choix explicite ("more" / "normal") ou, à défaut, préférence système
+	function isHighContrast() {
+		const saved = read(CONTRAST_KEY);
+		return saved ? saved === 'more' : contrastQuery.matches;
+	}
+
+	// Valeur enregistrée, ou null (réglage par défaut)
+	function preference(name) {
+		const pref = PREFERENCES[name];
+		if (!pref) return null;
+		const saved = read(pref.key);
+		return pref.values.includes(saved) ? saved : null;
+	}
+
+	// Choix du panneau d'accessibilité, sinon préférence système
+	function reduceMotion() {
+		const choice = preference('motion');
+		return choice ? choice === 'reduce' : motionQuery.matches;
+	}
+
+	// ====== APPLICATION ======
+	function applyPreferences() {
+		const root = document.documentElement;
+		Object.keys(PREFERENCES).forEach((name) => {
+			const value = preference(name);
+			if (value) root.setAttribute(PREFERENCES[name].attribute, value);
+			else root.removeAttribute(PREFERENCES[name].attribute);
+		});
+		const detail = { reduceMotion: reduceMotion() };
+		Object.keys(PREFERENCES).forEach((name) => { detail[name] = preference(name); });
+		document.dispatchEvent(new CustomEvent('preferences:change', { detail }));
+	}
+
+	function apply() {
+		const body = document.body;
+		if (!body) return;
+		body.classList.toggle('theme-dark', isDark());
+		body.classList.toggle('theme-contrast', isHighContrast());
+		body.setAttribute('data-theme-mode', mode());
+		document.documentElement.style.colorScheme = isDark() ? 'dark' : 'light';
+		document.dispatchEvent(new CustomEvent('theme:change', {
+			detail: { mode: mode(), dark: isDark(), contrast: isHighContrast() },
+		}));
+	}
+
+	function setMode(value) {
+		if (!MODES.includes(value)) return;
+		write(THEME_KEY, value);
+		apply();
+	}
+
+	function setContrast(enabled) {
+		write(CONTRAST_KEY, enabled ? 'more' : 'normal');
+		apply();
+	}
+
+	// null ou valeur inconnue : retour au réglage par défaut
+	function setPreference(name, value) {
+		const pref = PREFERENCES[name];
+		if (!pref) return;
+		write(pref.key, pref.values.includes(value) ? value : null);
+		applyPreferences();
+	}
+
+	function resetPreferences() {
+		PREFERENCE_KEYS.forEach((key) => write(key, null));
+		applyPreferences();
+	}
+
+	// ====== SUIVI EN DIRECT ======
+	// Système : seulement si l'utilisateur n'a rien imposé
+	darkQuery.addEventListener('change', () => {
+		if (mode() === 'auto') apply();
+	});
+	contrastQuery.addEventListener('change', () => {
+		if (!read(CONTRAST_KEY)) apply();
+	});
+	motionQuery.addEventListener('change', () => {
+		if (!preference('motion')) applyPreferences();
+	});
+
+	// Autres onglets : l'événement n'arrive que dans les onglets qui n'ont pas écrit
+	window.addEventListener('storage', (e) => {
+		if (e.key === THEME_KEY || e.key === CONTRAST_KEY || e.key === null) apply();
+		if (PREFERENCE_KEYS.includes(e.key) || e.key === null) applyPreferences();
+	});
+
+	window.PortfolioTheme = {
+		mode,
+		isDark,
+		isHighContrast,
+		setMode,
+		setContrast,
+		preference,
+		reduceMotion,
+		setPreference,
+		resetPreferences,
+	};
+
+	// ====== TEXTES PAR DÉFAUT ======
+	// Version française de window.PortfolioI18n : les scripts l'appellent sans vérifier
+	// sa présence ; script/i18n.js, chargé plus tard, la remplace par la traduction
+	// et garde fill() pour insérer les valeurs de la même façon.
+	// fill('{n} projets', { n: 3 }) → "3 projets" ; {nom} inconnu laissé tel quel
+	const fill = (text, values) => (values
+		? text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match))
+		: text);
+
+	if (!window.PortfolioI18n) {
+		window.PortfolioI18n = {
+			t: (key, fallback, values) => fill(fallback, values),
+			fill,
+		};
+	}
+
+	apply();
+	applyPreferences();
+})();
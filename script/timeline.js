@@ -0,0 +1,220 @@
+/*
+	================================================
+	TIMELINE.JS — CHRONOLOGIE DES PROJETS
+	================================================
+	Frise de Projets/chronologie.html (conteneur [data-project-timeline]) :
+
+	1. Une barre par projet, placée par année et par mois à partir des
+	   dates du manifeste ("Décembre 2025 - Février 2026", "2021"…) et
+	   de leur durée ("3 mois"), couleur de sa catégorie
+	2. Une date sans mois ("2024") commence en janvier : la barre est
+	   hachurée (mois non précisé)
+	3. Zoom : boutons − / +, touches - et + dans la frise
+	4. Clavier : ← → ↑ ↓ passent d'un projet au suivant dans l'ordre
+	   chronologique, Début / Fin vont au premier / dernier
+	5. Chaque barre est un lien vers l'article ; les projets sans date
+	   ("En continu", "En cours", pas de date) sont listés sous la frise
+
+	Dates et durées sont lues via window.PortfolioProjects (script/projects.js).
+	================================================
+*/
+
+(function () {
+	// Création d'éléments partagée (script/projects.js, chargé avant)
+	const el = (tag, attrs, children) => window.PortfolioProjects.el(tag, attrs, children);
+
+	// Largeur d'un mois (px) à chaque niveau de zoom
+	const ZOOM_LEVELS = [6, 12, 24, 48];
+	const DEFAULT_ZOOM = 1;
+	const DAYS_PER_MONTH = 30; // même base que parseDuration()
+	const MONTH_INITIALS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', renderTimeline);
+	} else {
+		renderTimeline();
+	}
+	// Nouveau contenu après un changement de page (script/navigation.js)
+	document.addEventListener('page:load', renderTimeline);
+
+	// ====== INITIALISATION ======
+	function renderTimeline() {
+		const container = document.querySelector('[data-project-timeline]');
+		const api = window.PortfolioProjects;
+		if (!container || !api) return;
+
+		api.load()
+			.then((manifest) => setupTimeline(container, manifest, api))
+			.catch((err) => {
+				console.warn('Chronologie indisponible :', err);
+			});
+	}
+
+	function setupTimeline(container, manifest, api) {
+		const { dated, undated } = buildEntries(manifest, api, new Date());
+		if (!dated.length) {
+			container.hidden = true;
+			return;
+		}
+
+		const firstYear = Math.floor(dated[0].start / 12);
+		const lastYear = Math.floor((Math.max(...dated.map((e) => e.start + e.span)) - 1) / 12);
+		const origin = firstYear * 12;
+		let zoom = DEFAULT_ZOOM;
+
+		const zoomOut = el('button', { type: 'button', className: 'timeline-zoom-btn', 'aria-label': 'Dézoomer', 'data-i18n-attr': 'aria-label:timeline.zoomOut' }, ['−']);
+		const zoomIn = el('button', { type: 'button', className: 'timeline-zoom-btn', 'aria-label': 'Zoomer', 'data-i18n-attr': 'aria-label:timeline.zoomIn' }, ['+']);
+
+		const bars = dated.map((entry) => buildBar(entry, origin, api));
+		const rows = el('ol', { className: 'timeline-rows' }, bars.map((bar) => el('li', { className: 'timeline-row' }, [bar])));
+		const viewport = el('div', { className: 'timeline-viewport' }, [
+			el('div', { className: 'timeline-track' }, [buildAxis(firstYear, lastYear), rows]),
+		]);
+
+		container.replaceChildren(
+			el('div', { className: 'timeline-toolbar' }, [
+				buildLegend(manifest, dated),
+				el('div', { className: 'timeline-zoom', role: 'group', 'aria-label': 'Zoom', 'data-i18n-attr': 'aria-label:timeline.zoom' }, [zoomOut, zoomIn]),
+			]),
+			el('p', { className: 'timeline-help', 'data-i18n': 'timeline.help' }, ['Flèches pour passer d\'un projet à l\'autre, + et - pour zoomer.']),
+			viewport,
+			buildUndated(undated, api)
+		);
+
+		// Garde au centre le même moment de la frise en changeant d'échelle
+		function setZoom(level) {
+			const next = Math.max(0, Math.min(ZOOM_LEVELS.length - 1, level));
+			const center = (viewport.scrollLeft + viewport.clientWidth / 2) / ZOOM_LEVELS[zoom];
+			zoom = next;
+			container.style.setProperty('--timeline-month', `${ZOOM_LEVELS[zoom]}px`);
+			container.setAttribute('data-zoom', String(zoom));
+			zoomOut.disabled = zoom === 0;
+			zoomIn.disabled = zoom === ZOOM_LEVELS.length - 1;
+			viewport.scrollLeft = center * ZOOM_LEVELS[zoom] - viewport.clientWidth / 2;
+		}
+
+		zoomOut.addEventListener('click', () => setZoom(zoom - 1));
+		zoomIn.addEventListener('click', () => setZoom(zoom + 1));
+
+		viewport.addEventListener('keydown', (e) => {
+			const index = bars.indexOf(document.activeElement);
+			let target = null;
+			if (e.key === '+' || e.key === '=') setZoom(zoom + 1);
+			else if (e.key === '-') setZoom(zoom - 1);
+			else if (index < 0) return;
+			else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') target = bars[index + 1];
+			else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') target = bars[index - 1];
+			else if (e.key === 'Home') target = bars[0];
+			else if (e.key === 'End') target = bars[bars.length - 1];
+			else return;
+			e.preventDefault();
+			if (target) target.focus();
+		});
+
+		setZoom(DEFAULT_ZOOM);
+	}
+
+	// ====== DATES ======
+	// Projets placés sur la frise (mois absolu de début, durée en mois) et projets sans date
+	function buildEntries(manifest, api, now) {
+		const today = api.monthIndex({ year: now.getFullYear(), month: now.getMonth() + 1 }) + 1;
+		const dated = [];
+		const undated = [];
+
+		manifest.projects.forEach((project, order) => {
+			const range = api.parseDateRange(project.date);
+			if (!range || !range.start) {
+				undated.push(project);
+				return;
+			}
+			const start = api.monthIndex(range.start);
+			let span;
+			if (range.ongoing) {
+				span = Math.max(today - start, 1);
+			} else if (range.end !== range.start) {
+				span = api.monthIndex(range.end, 12) + 1 - start;
+			} else {
+				// Sans date de fin : la durée, sinon le mois (ou l'année) indiqué
+				const days = api.parseDuration(project.duration);
+				span = days ? Math.round((days / DAYS_PER_MONTH) * 100) / 100 : range.start.month ? 1 : 12;
+			}
+			dated.push({ project, start, span, approximate: !range.start.month, order });
+		});
+
+		dated.sort((a, b) => a.start - b.start || a.span - b.span || a.order - b.order);
+		return { dated, undated };
+	}
+
+	// ====== RENDU ======
+	// Années (et initiales des mois, visibles aux zooms les plus forts)
+	function buildAxis(firstYear, lastYear) {
+		const years = [];
+		for (let year = firstYear; year <= lastYear; year += 1) {
+			years.push(el('div', { className: 'timeline-year' }, [
+				el('span', { className: 'timeline-year-label' }, [String(year)]),
+				el('div', { className: 'timeline-months' }, MONTH_INITIALS.map((letter) => el('span', {}, [letter]))),
+			]));
+		}
+		return el('div', { className: 'timeline-axis', 'aria-hidden': 'true' }, years);
+	}
+
+	// Lien .timeline-bar : pastille colorée sur la période, puis titre et date
+	function buildBar(entry, origin, api) {
+		const { project } = entry;
+		const bar = el('a', {
+			href: api.resolve(project.url),
+			className: `timeline-bar${entry.approximate ? ' is-approximate' : ''}`,
+			'data-category': project.category,
+			'data-project': project.id,
+		}, [
+			el('span', { className: 'timeline-bar-span', 'aria-hidden': 'true' }),
+			el('span', { className: 'timeline-bar-title' }, [
+				`${project.emoji} `,
+				projectText(project, project.shortTitle ? 'shortTitle' : 'title'),
+			]),
+			el('span', { className: 'timeline-bar-date' }, [projectText(project, 'date')]),
+		]);
+		bar.style.setProperty('--start', String(entry.start - origin));
+		bar.style.setProperty('--span', String(entry.span));
+		return bar;
+	}
+
+	// Couleurs des catégories présentes sur la frise
+	function buildLegend(manifest, dated) {
+		const used = new Set(dated.map((e) => e.project.category));
+		const items = manifest.categories
+			.filter((c) => used.has(c.id))
+			.map((c) => el('li', { className: 'timeline-legend-item', 'data-category': c.id }, [
+				el('span', { className: 'timeline-legend-swatch', 'aria-hidden': 'true' }),
+				el('span', { 'data-i18n-category': `${c.id}.title` }, [c.title]),
+			]));
+		if (dated.some((e) => e.approximate)) {
+			items.push(el('li', { className: 'timeline-legend-item is-approximate' }, [
+				el('span', { className: 'timeline-legend-swatch', 'aria-hidden': 'true' }),
+				el('span', { 'data-i18n': 'timeline.approximate' }, ['Mois non précisé']),
+			]));
+		}
+		return el('ul', { className: 'timeline-legend' }, items);
+	}
+
+	function buildUndated(projects, api) {
+		if (!projects.length) return null;
+		return el('section', { className: 'timeline-undated' }, [
+			el('h2', { 'data-i18n': 'timeline.undated' }, ['En cours ou sans date']),
+			el('ul', {}, projects.map((project) => el('li', { 'data-category': project.category }, [
+				el('a', { href: api.resolve(project.url) }, [
+					`${project.emoji} `,
+					projectText(project, project.shortTitle ? 'shortTitle' : 'title'),
+				]),
+				project.date ? ' — ' : null,
+				project.date ? projectText(project, 'date') : null,
+			]))),
+		]);
+	}
+
+	// ====== OUTILS ======
+	// Texte du projet traduit par script/i18n.js (bloc "en" du manifeste)
+	function projectText(project, field) {
+		return el('span', { 'data-i18n-project': `${project.id}.${field}` }, [project[field]]);
+	}
+})();
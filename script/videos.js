@@ -0,0 +1,140 @@
+/*
+	================================================
+	VIDEOS.JS — VIGNETTES YOUTUBE À CHARGER AU CLIC
+	================================================
+	Les vidéos des articles ne sont plus des <iframe> YouTube chargées
+	d'office (lecteur + traceurs dès l'ouverture de la page). Chaque vidéo
+	est déclarée ainsi :
+
+	<div class="article-video" data-youtube="k35QZ8RYu3Y"
+	     data-title="Animation Blender en cours" data-poster="../../médias/…png">
+		<a href="https://www.youtube.com/watch?v=k35QZ8RYu3Y">…</a>   ← sans JavaScript
+	</div>
+
+	1. Ce script remplace le lien par une vignette (affiche, titre, bouton lecture)
+	2. Au clic, le vrai lecteur youtube-nocookie.com est chargé et lancé
+	3. La case "Toujours charger les vidéos YouTube" mémorise l'accord
+	   (localStorage) : les lecteurs sont alors insérés directement
+
+	Aucune requête vers YouTube n'a lieu avant le clic ou l'accord.
+	Une lecture lancée depuis la vignette émet "video:play" (detail.id)
+	sur le conteneur, pour la mesure d'audience (features/analytics.js).
+	data-ratio="portrait" affiche le lecteur au format vertical (Shorts).
+	================================================
+*/
+
+(function () {
+	// Texte traduit (script/i18n.js, français par défaut défini dans script/theme.js)
+	const t = (key, fallback, values) => window.PortfolioI18n.t(key, fallback, values);
+
+	const CONSENT_KEY = 'youtube-consent';
+	const EMBED_URL = 'https://www.youtube-nocookie.com/embed/';
+	const PLAYER_ALLOW = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share';
+
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', setupVideoFacades);
+	} else {
+		setupVideoFacades();
+	}
+	// Nouveau contenu après un changement de page (script/navigation.js)
+	document.addEventListener('page:load', setupVideoFacades);
+
+	// ====== INITIALISATION ======
+	function setupVideoFacades() {
+		const videos = document.querySelectorAll('[data-youtube]');
+		if (!videos.length) return;
+
+		const consent = hasConsent();
+		videos.forEach((container) => {
+			if (consent) loadPlayer(container, false);
+			else buildFacade(container);
+		});
+	}
+
+	// ====== ACCORD MÉMORISÉ ======
+	function hasConsent() {
+		try {
+			return localStorage.getItem(CONSENT_KEY) === 'granted';
+		} catch (_) {
+			return false; // stockage bloqué : on redemande à chaque visite
+		}
+	}
+
+	function rememberConsent() {
+		try {
+			localStorage.setItem(CONSENT_KEY, 'granted');
+		} catch (_) {}
+	}
+
+	// ====== VIGNETTE ======
+	// Affiche locale + titre + bouton lecture, sans aucune ressource externe
+	function buildFacade(container) {
+		const title = container.getAttribute('data-title') || 'Vidéo YouTube';
+		const poster = container.getAttribute('data-poster');
+
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'video-facade';
+		button.setAttribute('aria-label', t('videos.play', 'Lire la vidéo : {title}', { title }));
+		if (poster) {
+			const img = document.createElement('img');
+			img.className = 'video-facade-poster';
+			img.src = poster;
+			img.alt = '';
+			img.loading = 'lazy';
+			button.appendChild(img);
+		}
+		const play = document.createElement('span');
+		play.className = 'video-facade-play';
+		play.setAttribute('aria-hidden', 'true');
+		const label = document.createElement('span');
+		label.className = 'video-facade-title';
+		label.textContent = title;
+		button.append(play, label);
+
+		const consent = document.createElement('label');
+		consent.className = 'video-facade-consent';
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		const consentText = document.createElement('span');
+		consentText.setAttribute('data-i18n', 'videos.consent');
+		consentText.textContent = 'Toujours charger les vidéos YouTube';
+		consent.append(checkbox, ' ', consentText);
+
+		button.addEventListener('click', () => {
+			if (checkbox.checked) {
+				rememberConsent();
+				// Les autres vidéos de la page se chargent aussi, sans lecture automatique
+				document.querySelectorAll('[data-youtube]').forEach((other) => {
+					if (other !== container && other.querySelector('.video-facade')) loadPlayer(other, false);
+				});
+			}
+			loadPlayer(container, true);
+		});
+
+		container.classList.add('has-facade');
+		container.replaceChildren(button, consent);
+	}
+
+	// ====== LECTEUR ======
+	function loadPlayer(container, autoplay) {
+		const id = container.getAttribute('data-youtube');
+		const params = new URLSearchParams({ rel: '0' });
+		if (autoplay) params.set('autoplay', '1');
+
+		const iframe = document.createElement('iframe');
+		iframe.src = `${EMBED_URL}${encodeURIComponent(id)}?${params}`;
+		iframe.title = container.getAttribute('data-title') || 'Vidéo YouTube';
+		iframe.allow = PLAYER_ALLOW;
+		iframe.allowFullscreen = true;
+		iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+		if (!autoplay) iframe.loading = 'lazy';
+
+		container.classList.remove('has-facade');
+		container.replaceChildren(iframe);
+		if (autoplay) {
+			iframe.focus();
+			container.dispatchEvent(new CustomEvent('video:play', { bubbles: true, detail: { id } }));
+		}
+	}
+})();
@@ -0,0 +1,195 @@
+/*
+	================================================
+	SERVICE-WORKER.JS — CONSULTATION HORS LIGNE
+	================================================
+	Enregistré par script/optimized.js. Placé à la racine pour couvrir
+	tout le site (portée "/").
+
+	1. Précache de la coquille : index, pages catégories, feuilles de
+	   styles, scripts, manifeste des projets et page hors ligne
+	2. Articles visités : réseau d'abord, copie en cache (limitée)
+	3. Images de médias/ et variantes responsive de images/ : cache d'abord, mises en cache à la volée (limitées)
+	4. Page offline.html si une page n'est ni en ligne ni en cache
+	5. Caches versionnés : changer CACHE_VERSION à chaque mise en ligne.
+	   La nouvelle version attend que la page affiche "Nouvelle version
+	   disponible" et demande SKIP_WAITING.
+	================================================
+*/
+
+'use strict';
+
+const CACHE_VERSION = 'v33';
+const SHELL_CACHE = `portfolio-shell-${CACHE_VERSION}`;
+const PAGES_CACHE = `portfolio-pages-${CACHE_VERSION}`;
+const MEDIA_CACHE = `portfolio-media-${CACHE_VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, PAGES_CACHE, MEDIA_CACHE];
+
+// Nombre maximal d'entrées conservées à la volée (les plus anciennes partent d'abord)
+const MAX_PAGES = 30;
+const MAX_MEDIA = 80;
+
+// Chemins relatifs à la racine du site (emplacement de ce fichier)
+const OFFLINE_PAGE = 'offline.html';
+const MANIFEST = 'data/projects.json';
+const SHELL = [
+	'./',
+	'index.html',
+	OFFLINE_PAGE,
+	'Projets/projets.html',
+	'Projets/chronologie.html',
+	'styles/Style.css',
+	'styles/articles.css',
+	'styles/cv.css',
+	'styles/listing.css',
+	'styles/fonts/space-grotesk-latin.woff2',
+	'styles/fonts/dm-sans-latin.woff2',
+	'script/theme.js',
+	// Modules ES : tout le graphe d'import, sinon rien ne démarre hors ligne
+	'script/portfolio/main.js',
+	'script/portfolio/index.js',
+	'script/portfolio/cleanup.js',
+	'script/portfolio/scheduler.js',
+	'script/portfolio/scroll-spy.js',
+	'script/portfolio/i18n.js',
+	'script/portfolio/features/active-nav.js',
+	'script/portfolio/features/analytics.js',
+	'script/portfolio/features/animated-gradient.js',
+	'script/portfolio/features/card-parallax.js',
+	'script/portfolio/features/card-tilt.js',
+	'script/portfolio/features/click-animations.js',
+	'script/portfolio/features/continuous-animations.js',
+	'script/portfolio/features/counters.js',
+	'script/portfolio/features/floating-cards.js',
+	'script/portfolio/features/hero-parallax.js',
+	'script/portfolio/features/hover-animations.js',
+	'script/portfolio/features/lazy-media.js',
+	'script/portfolio/features/preferences-panel.js',
+	'script/portfolio/features/print-button.js',
+	'script/portfolio/features/random-hero-bg.js',
+	'script/portfolio/features/reader-mode.js',
+	'script/portfolio/features/reading-progress.js',
+	'script/portfolio/features/reading-time.js',
+	'script/portfolio/features/scroll-reveal.js',
+	'script/portfolio/features/smooth-scroll.js',
+	'script/portfolio/features/table-of-contents.js',
+	'script/portfolio/features/theme-toggle.js',
+	'script/optimized.js',
+	'script/projects.js',
+	'script/i18n.js',
+	'script/filters.js',
+	'script/timeline.js',
+	'script/search.js',
+	'script/contact-form.js',
+	'script/lightbox.js',
+	'script/carousel.js',
+	'script/videos.js',
+	'script/navigation.js',
+	MANIFEST,
+	'data/search-index.json',
+	'data/i18n/en.json',
+];
+
+const ROOT = new URL('./', self.location.href);
+const MEDIA_PREFIX = new URL('médias/', ROOT).pathname;
+const IMAGES_PREFIX = new URL('images/', ROOT).pathname; // tools/build-images.js
+
+// ====== INSTALLATION ======
+// Coquille + pages catégories lues dans le manifeste des projets
+self.addEventListener('install', (event) => {
+	event.waitUntil(
+		caches.open(SHELL_CACHE).then(async (cache) => {
+			await cache.addAll(SHELL);
+			const response = await cache.match(MANIFEST);
+			const manifest = await response.json();
+			await cache.addAll(manifest.categories.map((c) => c.page));
+		})
+	);
+});
+
+// ====== ACTIVATION ======
+// Supprime les caches des versions précédentes
+self.addEventListener('activate', (event) => {
+	event.waitUntil(
+		caches.keys()
+			.then((keys) => Promise.all(
+				keys
+					.filter((key) => key.startsWith('portfolio-') && !CURRENT_CACHES.includes(key))
+					.map((key) => caches.delete(key))
+			))
+			.then(() => self.clients.claim())
+	);
+});
+
+// La page accepte la mise à jour (bouton du toast) → activation immédiate
+self.addEventListener('message', (event) => {
+	if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ====== REQUÊTES ======
+self.addEventListener('fetch', (event) => {
+	const request = event.request;
+	if (request.method !== 'GET') return;
+	const url = new URL(request.url);
+	if (url.origin !== ROOT.origin) return; // polices, icônes, YouTube : laissés au navigateur
+
+	if (request.mode === 'navigate') {
+		event.respondWith(networkFirstPage(request));
+	} else if (url.pathname.startsWith(MEDIA_PREFIX) || url.pathname.startsWith(IMAGES_PREFIX)) {
+		event.respondWith(cacheFirstMedia(request));
+	} else {
+		event.respondWith(staleWhileRevalidate(request));
+	}
+});
+
+// Pages : version en ligne si possible, sinon copie en cache, sinon page hors ligne
+async function networkFirstPage(request) {
+	try {
+		const response = await fetch(request);
+		if (response.ok) {
+			const cache = await caches.open(PAGES_CACHE);
+			await cache.put(request, response.clone());
+			trimCache(PAGES_CACHE, MAX_PAGES);
+		}
+		return response;
+	} catch (_) {
+		const cached = await caches.match(request, { ignoreSearch: true });
+		return cached || caches.match(OFFLINE_PAGE);
+	}
+}
+
+// Images : une fois téléchargées, elles ne changent plus
+async function cacheFirstMedia(request) {
+	const cached = await caches.match(request);
+	if (cached) return cached;
+	try {
+		const response = await fetch(request);
+		if (response.ok) {
+			const cache = await caches.open(MEDIA_CACHE);
+			await cache.put(request, response.clone());
+			trimCache(MEDIA_CACHE, MAX_MEDIA);
+		}
+		return response;
+	} catch (_) {
+		return new Response('', { status: 503, statusText: 'Hors ligne' });
+	}
+}
+
+// Styles, scripts, données : réponse immédiate du cache, rafraîchie en arrière-plan
+async function staleWhileRevalidate(request) {
+	const cache = await caches.open(SHELL_CACHE);
+	const cached = await cache.match(request);
+	const network = fetch(request)
+		.then((response) => {
+			if (response.ok) cache.put(request, response.clone());
+			return response;
+		})
+		.catch(() => cached || new Response('', { status: 503, statusText: 'Hors ligne' }));
+	return cached || network;
+}
+
+// Garde les `max` entrées les plus récentes (l'ordre des clés suit l'ordre d'ajout)
+async function trimCache(name, max) {
+	const cache = await caches.open(name);
+	const keys = await cache.keys();
+	await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+}
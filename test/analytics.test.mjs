@@ -0,0 +1,142 @@
+/*
+	Validation des événements reçus par le collecteur (tools/analytics-server.js)
+*/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createServer, sanitize, sanitizeCspReport } from '../tools/analytics-server.js';
+
+const DATE = '2026-03-14T10:00:00.000Z';
+
+describe('sanitize', () => {
+	test('page vue : chemin sans paramètres ni ancre, champs inconnus écartés', () => {
+		assert.deepEqual(sanitize({
+			type: 'pageview',
+			page: 'Projets/Jeux/Ardoise.html?utm_source=x#video',
+			referrer: 'www.example.com',
+			lang: 'en',
+			userAgent: 'Mozilla/5.0',
+		}, DATE), {
+			date: DATE,
+			type: 'pageview',
+			page: 'Projets/Jeux/Ardoise.html',
+			referrer: 'www.example.com',
+			lang: 'en',
+		});
+	});
+
+	test('page vue : provenance et langue invalides vidées', () => {
+		const event = sanitize({ type: 'pageview', page: 'index.html', referrer: 'https://a.b/c?d', lang: 'de' }, DATE);
+		assert.equal(event.referrer, '');
+		assert.equal(event.lang, '');
+	});
+
+	test('chemin absent, remontant ou avec protocole : rejeté', () => {
+		assert.equal(sanitize({ type: 'pageview' }, DATE), null);
+		assert.equal(sanitize({ type: 'pageview', page: '../secret' }, DATE), null);
+		assert.equal(sanitize({ type: 'pageview', page: 'javascript:alert(1)' }, DATE), null);
+		assert.equal(sanitize({ type: 'pageview', page: '?seul=parametre' }, DATE), null);
+	});
+
+	test('clic : cible obligatoire, identifiant de projet filtré', () => {
+		assert.deepEqual(sanitize({ type: 'click', page: 'index.html', target: 'Projets/Jeux/Ardoise.html', project: 'ardoise' }, DATE), {
+			date: DATE,
+			type: 'click',
+			page: 'index.html',
+			target: 'Projets/Jeux/Ardoise.html',
+			project: 'ardoise',
+		});
+		assert.equal(sanitize({ type: 'click', page: 'index.html', project: 'ardoise' }, DATE), null);
+		assert.equal(sanitize({ type: 'click', page: 'index.html', target: 'a.html', project: '<b>' }, DATE).project, '');
+	});
+
+	test('lecture : seuls les paliers connus', () => {
+		assert.equal(sanitize({ type: 'scroll', page: 'index.html', depth: 75 }, DATE).depth, 75);
+		assert.equal(sanitize({ type: 'scroll', page: 'index.html', depth: 60 }, DATE), null);
+		assert.equal(sanitize({ type: 'scroll', page: 'index.html', depth: '75' }, DATE), null);
+	});
+
+	test('vidéo : identifiant court sans caractères spéciaux', () => {
+		assert.equal(sanitize({ type: 'video', page: 'index.html', video: 'dQw4w9WgXcQ' }, DATE).video, 'dQw4w9WgXcQ');
+		assert.equal(sanitize({ type: 'video', page: 'index.html', video: 'x'.repeat(21) }, DATE), null);
+		assert.equal(sanitize({ type: 'video', page: 'index.html', video: 'a/b' }, DATE), null);
+	});
+
+	test('type inconnu ou événement mal formé : null', () => {
+		assert.equal(sanitize({ type: 'identify', page: 'index.html' }, DATE), null);
+		assert.equal(sanitize(null, DATE), null);
+		assert.equal(sanitize('pageview', DATE), null);
+	});
+});
+
+describe('sanitizeCspReport', () => {
+	test('ancien format : origine bloquée, script sans paramètres', () => {
+		assert.deepEqual(sanitizeCspReport({
+			'csp-report': {
+				'document-uri': 'https://example.com/Projets/Jeux/Ardoise.html?x=1',
+				'violated-directive': 'script-src-elem',
+				'effective-directive': 'script-src-elem',
+				'blocked-uri': 'https://cdn.example.net/lib.js?v=2',
+				'source-file': 'https://example.com/script/app.js?v=3',
+				'line-number': 12,
+				disposition: 'enforce',
+			},
+		}, DATE), {
+			date: DATE,
+			page: 'Projets/Jeux/Ardoise.html',
+			directive: 'script-src-elem',
+			blocked: 'https://cdn.example.net',
+			source: 'https://example.com/script/app.js',
+			line: 12,
+			reportOnly: false,
+		});
+	});
+
+	test('Reporting API : "inline" gardé tel quel, mode rapport seul', () => {
+		const report = sanitizeCspReport({
+			type: 'csp-violation',
+			body: { documentURL: 'https://example.com/', effectiveDirective: 'style-src', blockedURL: 'inline', disposition: 'report' },
+		}, DATE);
+		assert.equal(report.blocked, 'inline');
+		assert.equal(report.reportOnly, true);
+		assert.equal(report.line, null);
+	});
+
+	test('sans directive ou hors format : null', () => {
+		assert.equal(sanitizeCspReport({ 'csp-report': { 'blocked-uri': 'inline' } }, DATE), null);
+		assert.equal(sanitizeCspReport({ type: 'deprecation', body: {} }, DATE), null);
+		assert.equal(sanitizeCspReport(null, DATE), null);
+	});
+});
+
+describe('GET /api/stats', () => {
+	// Collecteur sur un port libre, le temps d'une requête
+	async function getStats(manifest) {
+		const server = createServer({ manifest, output: path.join(os.tmpdir(), 'analytics-test-absent.ndjson') });
+		await new Promise((resolve) => server.listen(0, resolve));
+		try {
+			const res = await fetch(`http://localhost:${server.address().port}/api/stats`);
+			return { status: res.status, body: await res.json() };
+		} finally {
+			server.close();
+		}
+	}
+
+	test('manifeste absent ou corrompu : erreur 500 en JSON', async () => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+		try {
+			const corrupt = path.join(dir, 'projects.json');
+			fs.writeFileSync(corrupt, '{ "projects": [');
+			for (const manifest of [path.join(dir, 'absent.json'), corrupt]) {
+				const { status, body } = await getStats(manifest);
+				assert.equal(status, 500);
+				assert.match(body.error, /Manifeste/);
+			}
+		} finally {
+			fs.rmSync(dir, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,42 @@
+/*
+	CV : blocs communs à la page et au PDF (tools/build-cv.js, tools/build-cv-pdf.js)
+*/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readResume, experienceItems, renderCv, PDF_URL } from '../tools/build-cv.js';
+import { renderCvPdf } from '../tools/build-cv-pdf.js';
+
+const resume = readResume();
+
+describe('experienceItems', () => {
+	test('projet du portfolio : adresse complète pour le PDF, chemin pour la page', () => {
+		const [first] = experienceItems({
+			projects: [{ name: 'Ardoise', entity: 'BUT MMI', keywords: ['Jeu', 'Design'], url: 'https://lisabruno-portfolio.com/Projets/Jeux/Ardoise.html' }],
+		});
+		assert.equal(first.subtitle, 'Jeu - Design');
+		assert.equal(first.date, 'BUT MMI');
+		assert.equal(first.url, 'https://lisabruno-portfolio.com/Projets/Jeux/Ardoise.html');
+		assert.equal(first.link, '/Projets/Jeux/Ardoise.html');
+	});
+});
+
+describe('renderCvPdf', () => {
+	const pdf = renderCvPdf(resume);
+	const text = pdf.toString('latin1');
+
+	test('document PDF complet', () => {
+		assert.equal(text.slice(0, 5), '%PDF-');
+		assert.match(text.slice(-8), /%%EOF/);
+	});
+
+	test('chaque projet renvoie vers son article', () => {
+		resume.projects.filter((project) => project.url).forEach((project) => {
+			assert.ok(text.includes(`(${project.url})`), project.name);
+		});
+	});
+
+	test('la page CV propose le PDF sans JavaScript', () => {
+		assert.ok(renderCv(resume).includes(`<a class="btn primary" href="${PDF_URL}" download=`));
+	});
+});
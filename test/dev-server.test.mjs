@@ -0,0 +1,146 @@
+/*
+	Lecture de nginx.conf par le serveur local (tools/dev-server.js)
+*/
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { readNginxRules, findLocation, productionHeaders } from '../tools/dev-server.js';
+
+const CONF = `server {
+    listen 80;
+    return 301 https://$host$request_uri;
+}
+
+server {
+    listen 443 ssl http2;
+    index accueil.html;
+
+    gzip on;
+    gzip_comp_level 6;
+    gzip_types
+        text/css
+        application/javascript;
+
+    set $csp "default-src 'self'";
+    # add_header X-Commentaire "ignoré";
+    add_header X-Frame-Options "DENY" always;
+    add_header Content-Security-Policy $csp;
+
+    location = /service-worker.js {
+        add_header Cache-Control "no-cache";
+    }
+
+    location ~* \\.(css|js)$ {
+        expires 365d;
+        add_header X-Content-Type-Options "nosniff" always;
+    }
+
+    location ~ /prive/ {
+        deny all;
+    }
+
+    location ~ \\.glb$ {
+        types {
+            model/gltf-binary glb;
+        }
+    }
+
+    expires 1h;
+    error_page 404 /introuvable.html;
+}
+`;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nginx-conf-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function rulesFrom(conf) {
+	const file = path.join(dir, `nginx-${Math.random().toString(36).slice(2)}.conf`);
+	fs.writeFileSync(file, conf);
+	return readNginxRules(file);
+}
+
+describe('readNginxRules', () => {
+	const rules = rulesFrom(CONF);
+
+	test('bloc HTTPS seul, commentaires ignorés, variables remplacées', () => {
+		assert.deepEqual(rules.server.headers, [
+			['X-Frame-Options', 'DENY', true],
+			['Content-Security-Policy', "default-src 'self'", false],
+		]);
+		assert.deepEqual(rules.server.expires, ['1', 'h']);
+		assert.equal(rules.index, 'accueil.html');
+		assert.equal(rules.notFound, '/introuvable.html');
+	});
+
+	test('compression : HTML toujours compris', () => {
+		assert.equal(rules.gzip, true);
+		assert.equal(rules.gzipLevel, 6);
+		assert.deepEqual(rules.gzipTypes, ['text/html', 'text/css', 'application/javascript']);
+	});
+
+	test('locations : exacte, regex avec ou sans casse, deny, types', () => {
+		assert.equal(rules.locations.length, 4);
+		const [worker, assets, hidden, models] = rules.locations;
+		assert.equal(worker.exact, true);
+		assert.equal(worker.pattern, '/service-worker.js');
+		assert.ok(assets.pattern.flags.includes('i'));
+		assert.deepEqual(assets.expires, ['365', 'd']);
+		assert.equal(hidden.deny, true);
+		assert.equal(hidden.pattern.flags, '');
+		assert.deepEqual(models.types, { '.glb': 'model/gltf-binary' });
+	});
+
+	test('sans bloc HTTPS : erreur explicite', () => {
+		assert.throws(() => rulesFrom('server {\n    listen 80;\n}\n'), /listen 443/);
+	});
+
+	test('nginx.conf du dépôt lisible', () => {
+		const real = readNginxRules();
+		assert.ok(real.locations.length > 0);
+		assert.ok(findLocation(real, '/index.html'));
+	});
+
+	test('nginx.conf du dépôt : sitemap en XML, flux en Atom', () => {
+		const real = readNginxRules();
+		assert.equal(findLocation(real, '/sitemap.xml').types['.xml'], 'application/xml');
+		assert.equal(findLocation(real, '/feed.xml').types['.xml'], 'application/atom+xml');
+	});
+});
+
+describe('findLocation', () => {
+	const rules = rulesFrom(CONF);
+
+	test('correspondance exacte avant les regex', () => {
+		assert.equal(findLocation(rules, '/service-worker.js'), rules.locations[0]);
+		assert.equal(findLocation(rules, '/script/app.JS'), rules.locations[1]);
+	});
+
+	test('regex dans l\'ordre du fichier, null sinon', () => {
+		assert.equal(findLocation(rules, '/prive/notes.css'), rules.locations[1]);
+		assert.equal(findLocation(rules, '/prive/notes.txt'), rules.locations[2]);
+		assert.equal(findLocation(rules, '/index.html'), null);
+	});
+});
+
+describe('productionHeaders', () => {
+	const rules = rulesFrom(CONF);
+	const names = (headers) => headers.map(([name]) => name);
+
+	test('add_header du location, expires hérité du server', () => {
+		const headers = productionHeaders(rules, rules.locations[0]);
+		assert.deepEqual(names(headers), ['Expires', 'Cache-Control', 'Cache-Control']);
+		assert.deepEqual(headers.slice(1), [['Cache-Control', 'max-age=3600'], ['Cache-Control', 'no-cache']]);
+	});
+
+	test('sans location : en-têtes du server', () => {
+		assert.deepEqual(names(productionHeaders(rules, null)), ['Expires', 'Cache-Control', 'X-Frame-Options', 'Content-Security-Policy']);
+	});
+
+	test('erreur : seulement les en-têtes "always", sans mise en cache', () => {
+		assert.deepEqual(productionHeaders(rules, null, 404), [['X-Frame-Options', 'DENY']]);
+		assert.deepEqual(productionHeaders(rules, rules.locations[1], 500), [['X-Content-Type-Options', 'nosniff']]);
+	});
+});
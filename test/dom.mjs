@@ -0,0 +1,148 @@
+/*
+	================================================
+	DOM.MJS — PAGE JSDOM POUR LES TESTS
+	================================================
+	createWindow(body, options) → fenêtre jsdom avec les API du navigateur
+	que jsdom ne fournit pas (matchMedia, IntersectionObserver,
+	ResizeObserver), réduites au minimum : aucune media query ne
+	correspond, aucun élément n'entre ni ne sort de l'écran.
+	script/theme.js y tourne toujours en premier, comme en tête de chaque
+	page (window.PortfolioI18n en français). options.scripts : autres
+	scripts classiques de script/ exécutés ensuite, dans l'ordre
+	(["i18n.js", "projects.js"]) ; options.files : réponses de fetch()
+	par chemin ({ 'data/projects.json': manifeste }).
+
+	trackListeners(window) et trackFrames(window) comptent les écouteurs
+	et les requestAnimationFrame encore actifs, pour vérifier qu'un
+	destroy() défait bien tout. closeWindows() ferme les fenêtres ouvertes
+	(sans quoi la boucle d'images de jsdom garde Node en vie).
+	================================================
+*/
+
+import fs from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const SCRIPT_DIR = new URL('../script/', import.meta.url);
+
+const windows = new Set();
+
+export function createWindow(body = '', { url = 'http://localhost/', bodyAttributes = '', scripts = [], files = {} } = {}) {
+	const dom = new JSDOM(`<!DOCTYPE html><html lang="fr"><head></head><body${bodyAttributes}>${body}</body></html>`, {
+		url,
+		pretendToBeVisual: true, // requestAnimationFrame
+		runScripts: 'outside-only', // window.eval() des scripts classiques
+	});
+	const win = dom.window;
+
+	win.matchMedia = (media) => ({
+		media,
+		matches: false,
+		addEventListener() {},
+		removeEventListener() {},
+	});
+	class NoopObserver {
+		observe() {}
+		unobserve() {}
+		disconnect() {}
+		takeRecords() {
+			return [];
+		}
+	}
+	win.IntersectionObserver = NoopObserver;
+	win.ResizeObserver = NoopObserver;
+
+	// Le moteur de sélecteurs de jsdom pose ses propres écouteurs au premier
+	// querySelector : ils ne doivent pas être comptés comme ceux d'une fonctionnalité
+	win.document.querySelector('body');
+
+	// fetch() limité aux fichiers fournis, chemins relatifs à la racine du site
+	win.fetch = (resource) => {
+		const file = new URL(String(resource), url).pathname.slice(1);
+		const found = file in files;
+		return Promise.resolve({
+			ok: found,
+			status: found ? 200 : 404,
+			json: () => Promise.resolve(structuredClone(files[file])),
+		});
+	};
+	['theme.js', ...scripts.filter((name) => name !== 'theme.js')]
+		.forEach((name) => win.eval(fs.readFileSync(new URL(name, SCRIPT_DIR), 'utf8')));
+
+	windows.add(win);
+	return win;
+}
+
+export function closeWindows() {
+	windows.forEach((win) => win.close());
+	windows.clear();
+}
+
+// ====== ÉCOUTEURS ======
+// Écouteurs posés depuis l'appel et pas encore retirés
+export function trackListeners(win) {
+	const proto = win.EventTarget.prototype;
+	const { addEventListener: add, removeEventListener: remove } = proto;
+	const active = new Set();
+	const keyOf = (target, type, listener, options) => {
+		const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+		return [...active].find((e) => e.target === target && e.type === type && e.listener === listener && e.capture === capture)
+			|| { target, type, listener, capture };
+	};
+
+	proto.addEventListener = function (type, listener, options) {
+		if (listener) active.add(keyOf(this, type, listener, options));
+		return add.call(this, type, listener, options);
+	};
+	proto.removeEventListener = function (type, listener, options) {
+		active.delete(keyOf(this, type, listener, options));
+		return remove.call(this, type, listener, options);
+	};
+
+	return {
+		get count() {
+			return active.size;
+		},
+		types: () => [...active].map((e) => e.type),
+		restore() {
+			proto.addEventListener = add;
+			proto.removeEventListener = remove;
+		},
+	};
+}
+
+// ====== IMAGES ======
+// requestAnimationFrame programmés et pas encore exécutés ni annulés
+export function trackFrames(win) {
+	const request = win.requestAnimationFrame.bind(win);
+	const cancel = win.cancelAnimationFrame.bind(win);
+	const pending = new Set();
+	let requested = 0;
+
+	win.requestAnimationFrame = (callback) => {
+		requested += 1;
+		const id = request((time) => {
+			pending.delete(id);
+			callback(time);
+		});
+		pending.add(id);
+		return id;
+	};
+	win.cancelAnimationFrame = (id) => {
+		pending.delete(id);
+		cancel(id);
+	};
+
+	return {
+		get pending() {
+			return pending.size;
+		},
+		get requested() {
+			return requested;
+		},
+	};
+}
+
+// Laisse passer quelques images (~16 ms chacune avec pretendToBeVisual)
+export function waitFrames(count = 3) {
+	return new Promise((resolve) => setTimeout(resolve, count * 20));
+}
@@ -0,0 +1,32 @@
+/*
+	Traductions : version française de script/theme.js, script/i18n.js et
+	createTranslator (script/portfolio/i18n.js) partagent la même insertion des {valeurs}
+*/
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTranslator } from '../script/portfolio/i18n.js';
+import { createWindow, closeWindows } from './dom.mjs';
+
+after(closeWindows);
+
+describe('traductions', () => {
+	test('sans script/i18n.js : texte français, {valeurs} insérées, inconnues laissées', () => {
+		const t = createTranslator(createWindow());
+		assert.equal(t('filters.count', '{n} projets sur {total}', { n: 3 }), '3 projets sur {total}');
+		assert.equal(t('filters.none', 'Aucun projet'), 'Aucun projet');
+	});
+
+	test('script/i18n.js reprend fill() de script/theme.js', async () => {
+		const win = createWindow('', {
+			scripts: ['i18n.js'],
+			files: { 'data/i18n/en.json': { 'filters.count': '{n} projects' } },
+		});
+		const fill = win.PortfolioI18n.fill;
+		await win.PortfolioI18n.setLang('en');
+		const t = createTranslator(win);
+		assert.equal(win.PortfolioI18n.fill, fill);
+		assert.equal(t('filters.count', '{n} projets', { n: 3 }), '3 projects');
+		assert.equal(t('filters.none', 'Aucun {x}', {}), 'Aucun {x}');
+	});
+});
@@ -0,0 +1,191 @@
+/*
+	Configuration et cycle de vie des fonctionnalités (script/portfolio/index.js)
+*/
+
+import { test, describe, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFeatureList, readPageConfig, resolveFeatures, init, destroy, FEATURES } from '../script/portfolio/index.js';
+import { createWindow, closeWindows, trackListeners, trackFrames, waitFrames } from './dom.mjs';
+
+const enabledByDefault = FEATURES.filter((f) => f.enabled).map((f) => f.name).sort();
+const disabledByDefault = FEATURES.filter((f) => !f.enabled).map((f) => f.name);
+
+// Accueil réduit : héro, cartes et compteurs pour que les boucles d'animation démarrent
+const HOME = `
+	<header class="topbar"><nav><a href="#projets">Projets</a></nav><button id="theme-toggle"></button></header>
+	<div class="hero-wrapper"><div class="hero-bg"></div><h1>Lisa Bruno</h1></div>
+	<section id="projets">
+		<div class="card"><span class="card-icon">🎬</span>Animation</div>
+		<a class="project-card" href="/Projets/Animation/article-idfc.html"><h3>IDFC</h3><span class="project-link">Voir</span></a>
+		<div class="pillar"><span class="pillar-icon">✦</span></div>
+		<span data-count="12">0</span>
+	</section>
+	<a class="social-card" href="https://example.com">Lien</a>
+`;
+
+after(closeWindows);
+
+// console.warn des noms inconnus, sans polluer la sortie des tests
+function silenceWarnings(t) {
+	t.mock.method(console, 'warn', () => {});
+}
+
+describe('parseFeatureList', () => {
+	test('un nom active, "-nom" coupe, "+nom" active', () => {
+		assert.deepEqual(parseFeatureList('floating-cards -card-tilt +counters'), {
+			'floating-cards': true,
+			'card-tilt': false,
+			counters: true,
+		});
+	});
+
+	test('accepte virgules et espaces multiples', () => {
+		assert.deepEqual(parseFeatureList(' a,  -b ,c '), { a: true, b: false, c: true });
+	});
+
+	test('valeur vide ou absente : aucun choix', () => {
+		assert.deepEqual(parseFeatureList(''), {});
+		assert.deepEqual(parseFeatureList(undefined), {});
+	});
+
+	test('le dernier choix pour un même nom l\'emporte', () => {
+		assert.deepEqual(parseFeatureList('card-tilt -card-tilt'), { 'card-tilt': false });
+	});
+});
+
+describe('readPageConfig', () => {
+	test('lit data-features et data-reduce-motion sur <body>', () => {
+		const win = createWindow('', { bodyAttributes: ' data-features="floating-cards -card-tilt" data-reduce-motion="true"' });
+		assert.deepEqual(readPageConfig(win.document), {
+			features: { 'floating-cards': true, 'card-tilt': false },
+			reduceMotion: true,
+		});
+	});
+
+	test('data-reduce-motion invalide : ignoré', () => {
+		const win = createWindow('', { bodyAttributes: ' data-reduce-motion="oui"' });
+		assert.equal('reduceMotion' in readPageConfig(win.document), false);
+	});
+});
+
+describe('resolveFeatures : du plus faible au plus fort', () => {
+	test('1. sans choix : les fonctionnalités enabled', () => {
+		assert.deepEqual([...resolveFeatures()].sort(), enabledByDefault);
+	});
+
+	test('2. la page active ou coupe par-dessus enabled', () => {
+		const off = enabledByDefault[0];
+		const on = disabledByDefault[0];
+		const wanted = resolveFeatures(undefined, { [off]: false, [on]: true });
+		assert.equal(wanted.has(off), false);
+		assert.equal(wanted.has(on), true);
+	});
+
+	test('3. l\'option objet l\'emporte sur la page', () => {
+		const name = enabledByDefault[0];
+		assert.equal(resolveFeatures({ [name]: true }, { [name]: false }).has(name), true);
+		assert.equal(resolveFeatures({ [name]: false }, { [name]: true }).has(name), false);
+	});
+
+	test('3. l\'option tableau donne exactement la liste, page ignorée', () => {
+		const wanted = resolveFeatures(['card-tilt', 'counters'], { 'floating-cards': true, counters: false });
+		assert.deepEqual([...wanted].sort(), ['card-tilt', 'counters']);
+	});
+
+	test('noms inconnus : signalés et ignorés', (t) => {
+		silenceWarnings(t);
+		assert.deepEqual([...resolveFeatures(['card-tilt', 'inconnue'])], ['card-tilt']);
+		assert.equal(resolveFeatures({ inconnue: true }).has('inconnue'), false);
+		assert.equal(console.warn.mock.callCount(), 2);
+	});
+});
+
+describe('init() / destroy()', () => {
+	afterEach(() => destroy());
+
+	// Toutes les fonctionnalités, animations comprises
+	const ALL = FEATURES.map((f) => f.name);
+
+	test('démarre les fonctionnalités demandées, reduceMotion coupe les animations', () => {
+		const win = createWindow(HOME);
+		const app = init({ document: win.document, features: ALL, reduceMotion: true });
+		assert.equal(app.reduceMotion, true);
+		FEATURES.forEach((feature) => {
+			assert.equal(app.features.has(feature.name), !feature.motion, feature.name);
+		});
+	});
+
+	test('la page choisit ses fonctionnalités (data-features)', () => {
+		const win = createWindow(HOME, { bodyAttributes: ' data-features="floating-cards -card-tilt"' });
+		const app = init({ document: win.document, reduceMotion: false });
+		assert.equal(app.features.has('floating-cards'), true);
+		assert.equal(app.features.has('card-tilt'), false);
+	});
+
+	test('destroy() retire tous les écouteurs posés par init()', () => {
+		const win = createWindow(HOME);
+		const listeners = trackListeners(win);
+		try {
+			const app = init({ document: win.document, features: ALL, reduceMotion: false });
+			assert.ok(listeners.count > 0, 'aucun écouteur posé');
+			app.destroy();
+			assert.deepEqual(listeners.types(), []);
+		} finally {
+			listeners.restore();
+		}
+	});
+
+	test('destroy() arrête les boucles requestAnimationFrame', async () => {
+		const win = createWindow(HOME);
+		const frames = trackFrames(win);
+		const app = init({ document: win.document, features: ALL, reduceMotion: false });
+		await waitFrames();
+		assert.ok(frames.requested > 1, 'aucune boucle d\'animation en cours');
+
+		app.destroy();
+		assert.equal(frames.pending, 0);
+		const requested = frames.requested;
+		await waitFrames();
+		assert.equal(frames.requested, requested, 'une image a encore été programmée après destroy()');
+	});
+
+	test('random-hero-bg : sans héro, la topbar ne s\'anime pas', async () => {
+		const win = createWindow('<header class="topbar"></header><main><p>Article</p></main>');
+		init({ document: win.document, features: ['random-hero-bg'], reduceMotion: false });
+		await waitFrames();
+		assert.equal(win.document.querySelector('.topbar').style.getPropertyValue('--topbar-bg-animated'), '');
+	});
+
+		test('un nouvel init() arrête le précédent', () => {
+		const win = createWindow(HOME);
+		const listeners = trackListeners(win);
+		try {
+			init({ document: win.document, features: ALL, reduceMotion: false });
+			const count = listeners.count;
+			init({ document: win.document, features: ALL, reduceMotion: false });
+			assert.equal(listeners.count, count);
+		} finally {
+			listeners.restore();
+		}
+	});
+
+	test('une fonctionnalité en échec est libérée sans bloquer les autres', (t) => {
+		t.mock.method(console, 'error', () => {});
+		const win = createWindow(HOME);
+		const failing = FEATURES.find((f) => f.name === 'counters');
+		t.mock.method(failing, 'setup', ({ cleanup, document: doc }) => {
+			cleanup.on(doc, 'click', () => {});
+			throw new Error('panne');
+		});
+		const listeners = trackListeners(win);
+		try {
+			const app = init({ document: win.document, features: ['counters', 'card-tilt'], reduceMotion: false });
+			assert.equal(app.features.has('counters'), false);
+			assert.equal(app.features.has('card-tilt'), true);
+			app.destroy();
+			assert.deepEqual(listeners.types(), []);
+		} finally {
+			listeners.restore();
+		}
+	});
+});
@@ -0,0 +1,152 @@
+/*
+	Manifeste côté navigateur (script/projects.js), chronologie (script/timeline.js)
+	et filtres de la liste (script/filters.js)
+*/
+
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWindow, closeWindows } from './dom.mjs';
+
+after(closeWindows);
+
+const win = createWindow('', { scripts: ['projects.js'] });
+const api = win.PortfolioProjects;
+
+// Objets créés dans la page jsdom : recopiés pour comparer sans tenir compte du prototype
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Attend la fin des promesses en cours (chargement du manifeste)
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('parseDateRange', () => {
+	test('période sur deux années', () => {
+		assert.deepEqual(plain(api.parseDateRange('Décembre 2025 - Février 2026')), {
+			start: { year: 2025, month: 12 },
+			end: { year: 2026, month: 2 },
+			ongoing: false,
+		});
+	});
+
+	test('mois seul : début et fin confondus', () => {
+		const range = api.parseDateRange('Juin 2023');
+		assert.deepEqual(plain(range.start), { year: 2023, month: 6 });
+		assert.deepEqual(range.end, range.start);
+	});
+
+	test('année seule : mois inconnu', () => {
+		assert.deepEqual(plain(api.parseDateRange('2021').start), { year: 2021, month: null });
+	});
+
+	test('tiret long, accents et casse indifférents', () => {
+		assert.deepEqual(plain(api.parseDateRange('aout 2024 – FÉVRIER 2025').end), { year: 2025, month: 2 });
+	});
+
+	test('"en cours" avec ou sans date de début', () => {
+		assert.equal(api.parseDateRange('Septembre 2024 - En cours').ongoing, true);
+		assert.deepEqual(plain(api.parseDateRange('En continu')), { start: null, end: null, ongoing: true });
+	});
+
+	test('sans date reconnaissable : null', () => {
+		assert.equal(api.parseDateRange(''), null);
+		assert.equal(api.parseDateRange('Bientôt'), null);
+	});
+});
+
+describe('parseDuration et monthIndex', () => {
+	test('durées en jours', () => {
+		assert.equal(api.parseDuration('3 mois'), 90);
+		assert.equal(api.parseDuration('1 semaine'), 7);
+		assert.equal(api.parseDuration('2 jours'), 2);
+		assert.equal(api.parseDuration('1 an'), 365);
+		assert.equal(api.parseDuration('Quelques heures'), null);
+		assert.equal(api.parseDuration(undefined), null);
+	});
+
+	test('index de mois absolu, janvier par défaut', () => {
+		assert.equal(api.monthIndex({ year: 2024, month: 3 }), 2024 * 12 + 2);
+		assert.equal(api.monthIndex({ year: 2024, month: null }), 2024 * 12);
+		assert.equal(api.monthIndex({ year: 2024, month: null }, 12), 2024 * 12 + 11);
+	});
+});
+
+describe('el', () => {
+	test('attributs, classe et enfants ; valeurs vides ignorées', () => {
+		const node = win.PortfolioProjects.el('a', { className: 'x', href: '/a', hidden: false, title: null }, ['texte ', null, win.document.createElement('b')]);
+		assert.equal(node.outerHTML, '<a class="x" href="/a">texte <b></b></a>');
+	});
+});
+
+describe('chronologie', () => {
+	const manifest = {
+		categories: [{ id: 'photo', title: 'Photo', icon: '📷' }],
+		tools: {},
+		projects: [
+			{ id: 'b', category: 'photo', title: 'B', emoji: '📷', url: 'b.html', date: 'Mars 2024', duration: '2 mois' },
+			{ id: 'a', category: 'photo', title: 'A', emoji: '📷', url: 'a.html', date: 'Décembre 2023 - Février 2024' },
+			{ id: 'c', category: 'photo', title: 'C', emoji: '📷', url: 'c.html', date: '2022' },
+			{ id: 'd', category: 'photo', title: 'D', emoji: '📷', url: 'd.html', date: 'En continu' },
+		],
+	};
+
+	async function renderTimeline() {
+		const win = createWindow('<div class="project-timeline" data-project-timeline></div>', {
+			url: 'http://localhost/Projets/chronologie.html',
+			scripts: ['theme.js', 'projects.js', 'timeline.js'],
+			files: { 'data/projects.json': manifest },
+		});
+		await settle();
+		return win.document;
+	}
+
+	test('barres triées par date, placées et dimensionnées en mois', async () => {
+		const doc = await renderTimeline();
+		const bars = [...doc.querySelectorAll('.timeline-bar')];
+		assert.deepEqual(bars.map((bar) => bar.dataset.project), ['c', 'a', 'b']);
+
+		// Origine : janvier de la première année (2022)
+		const place = (bar) => [bar.style.getPropertyValue('--start'), bar.style.getPropertyValue('--span')];
+		assert.deepEqual(place(bars[0]), ['0', '12']); // 2022 entière, mois non précisé
+		assert.deepEqual(place(bars[1]), ['23', '3']); // décembre 2023 → février 2024
+		assert.deepEqual(place(bars[2]), ['26', '2']); // mars 2024, 2 mois
+		assert.equal(bars[0].classList.contains('is-approximate'), true);
+		assert.equal(bars[1].getAttribute('href'), 'http://localhost/a.html');
+	});
+
+	test('projets sans date listés sous la frise, axe de 2022 à 2024', async () => {
+		const doc = await renderTimeline();
+		assert.deepEqual([...doc.querySelectorAll('.timeline-year-label')].map((n) => n.textContent), ['2022', '2023', '2024']);
+		assert.match(doc.querySelector('[data-project-timeline]').textContent, /D/);
+		assert.equal(doc.querySelectorAll('.timeline-bar[data-project="d"]').length, 0);
+	});
+});
+
+describe('filtres', () => {
+	const manifest = {
+		categories: [
+			{ id: 'jeux', title: 'Jeux', icon: '🎮', en: { title: 'Games' } },
+			{ id: 'photo', title: 'Photo', icon: '📷' },
+		],
+		tools: {},
+		projects: [
+			{ id: 'a', category: 'jeux', title: 'A', url: 'a.html', skills: [], tools: ['Unity'] },
+			{ id: 'b', category: 'jeux', title: 'B', url: 'b.html', skills: [], tools: [] },
+			{ id: 'c', category: 'photo', title: 'C', url: 'c.html', skills: [], tools: [] },
+		],
+	};
+
+	test('catégories : texte seul dans chaque option, nombre de projets, traduit au changement de langue', async () => {
+		const win = createWindow('<div data-project-filters></div><div data-projects="listing"></div>', {
+			url: 'http://localhost/Projets/projets.html',
+			scripts: ['projects.js', 'filters.js'],
+			files: { 'data/projects.json': manifest },
+		});
+		await settle();
+		const options = [...win.document.querySelectorAll('#filter-category option')].slice(1);
+		assert.deepEqual(options.map((o) => o.children.length), [0, 0]);
+		assert.deepEqual(options.map((o) => o.textContent), ['🎮 Jeux (2)', '📷 Photo (1)']);
+
+		win.PortfolioI18n.lang = () => 'en';
+		win.document.dispatchEvent(new win.Event('i18n:change'));
+		assert.deepEqual(options.map((o) => o.textContent), ['🎮 Games (2)', '📷 Photo (1)']);
+	});
+});
@@ -0,0 +1,88 @@
+/*
+	Mode lecture (script/portfolio/features/reader-mode.js) : extraits des
+	marque-pages et position gardée quand la page est quittée
+*/
+
+import { test, describe, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { excerptAt, textMap } from '../script/portfolio/features/reader-mode.js';
+import { init, destroy } from '../script/portfolio/index.js';
+import { createWindow, closeWindows } from './dom.mjs';
+
+after(closeWindows);
+
+const LONG = 'Une phrase assez longue pour dépasser la taille des extraits gardés avec chaque marque-page du lecteur.';
+
+const ARTICLE = `
+	<article class="article-page">
+		<div class="article-meta"></div>
+		<div class="article-content">
+			<h2>Contexte</h2>
+			<figure><img src="a.webp" alt=""></figure>
+			<p>Premier   paragraphe
+				sur deux lignes.</p>
+			<p>${LONG}</p>
+		</div>
+	</article>
+`;
+
+const contentOf = (win) => win.document.querySelector('.article-content');
+
+describe('textMap et excerptAt', () => {
+	test('blocs sans texte ignorés, espaces ramenés à un seul', () => {
+		const { items, total } = textMap(contentOf(createWindow(ARTICLE)));
+		assert.deepEqual(items.map((i) => i.text), ['Contexte', 'Premier paragraphe sur deux lignes.', LONG]);
+		assert.equal(items[1].start, 'Contexte'.length);
+		assert.equal(total, items.reduce((sum, i) => sum + i.text.length, 0));
+	});
+
+	test('extrait depuis le début du mot en cours', () => {
+		const content = contentOf(createWindow(ARTICLE));
+		const { items, total } = textMap(content);
+		// Milieu de "paragraphe"
+		const at = (items[1].start + 'Premier para'.length) / total;
+		assert.equal(excerptAt(content, at), 'paragraphe sur deux lignes.');
+	});
+
+	test('extrait coupé à 70 caractères, points de suspension', () => {
+		const content = contentOf(createWindow(ARTICLE));
+		const { items, total } = textMap(content);
+		assert.equal(excerptAt(content, items[2].start / total), `${LONG.slice(0, 70).trim()}…`);
+		assert.equal(excerptAt(content, 1), 'lecteur.');
+	});
+
+	test('position hors bornes ramenée dans le texte, texte vide : ""', () => {
+		const content = contentOf(createWindow(ARTICLE));
+		assert.equal(excerptAt(content, -1), 'Contexte');
+		assert.equal(excerptAt(content, 2), 'lecteur.');
+		assert.equal(excerptAt(contentOf(createWindow('<div class="article-content"><figure></figure></div>')), 0.5), '');
+	});
+});
+
+describe('position de lecture', () => {
+	afterEach(() => destroy());
+
+	test('enregistrée par destroy() (navigation interne), avant le retrait de la barre', () => {
+		const win = createWindow(ARTICLE, { url: 'http://localhost/Projets/Jeux/Ardoise.html' });
+		win.localStorage.setItem('reader-settings', JSON.stringify({ on: true }));
+		const app = init({ document: win.document, features: ['reader-mode'], reduceMotion: true });
+		assert.ok(app.features.has('reader-mode'));
+		assert.ok(win.document.querySelector('.reader-toolbar'));
+
+		// Défilement : enregistrement différé, annulé par release() s'il n'était pas repris
+		win.dispatchEvent(new win.Event('scroll'));
+		assert.equal(win.localStorage.getItem('reader-positions'), null);
+
+		app.destroy();
+		const positions = JSON.parse(win.localStorage.getItem('reader-positions'));
+		assert.equal(typeof positions['/Projets/Jeux/Ardoise.html'], 'number');
+		assert.equal(win.document.querySelector('.reader-toolbar'), null);
+	});
+
+	test('mode lecture fermé : rien d\'enregistré', () => {
+		const win = createWindow(ARTICLE, { url: 'http://localhost/Projets/Jeux/Ardoise.html' });
+		const app = init({ document: win.document, features: ['reader-mode'], reduceMotion: true });
+		app.destroy();
+		assert.equal(win.localStorage.getItem('reader-positions'), null);
+	});
+});
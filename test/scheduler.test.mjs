@@ -0,0 +1,99 @@
+/*
+	Budget d'images de l'ordonnanceur (script/portfolio/scheduler.js)
+*/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler } from '../script/portfolio/scheduler.js';
+
+// Fenêtre réduite : requestAnimationFrame appelé à la main avec l'heure voulue
+function createClock() {
+	let callback = null;
+	let id = 0;
+	const win = {
+		document: { hidden: false, addEventListener() {}, removeEventListener() {} },
+		requestAnimationFrame(cb) {
+			callback = cb;
+			id += 1;
+			return id;
+		},
+		cancelAnimationFrame() {
+			callback = null;
+		},
+	};
+	let now = 0;
+	return {
+		win,
+		// Enchaîne des images espacées de interval (nombre ou fonction de l'index)
+		run(count, interval) {
+			for (let i = 0; i < count && callback; i += 1) {
+				now += typeof interval === 'function' ? interval(i) : interval;
+				const cb = callback;
+				callback = null;
+				cb(now);
+			}
+		},
+	};
+}
+
+function addTask(scheduler) {
+	const calls = { degrade: 0, stop: 0 };
+	scheduler.add({
+		fps: 60,
+		frame() {},
+		degrade: () => { calls.degrade += 1; },
+		stop: () => { calls.stop += 1; },
+	});
+	return calls;
+}
+
+describe('createScheduler : budget d\'images', () => {
+	test('60 Hz fluide : rien ne change', () => {
+		const clock = createClock();
+		const scheduler = createScheduler(clock.win);
+		const calls = addTask(scheduler);
+		clock.run(300, 16.7);
+		assert.equal(scheduler.degraded, false);
+		assert.deepEqual(calls, { degrade: 0, stop: 0 });
+		assert.ok(scheduler.budget >= 22 && scheduler.budget < 23);
+	});
+
+	test('écran à 30 Hz : cadence normale, pas de mode dégradé', () => {
+		const clock = createClock();
+		const scheduler = createScheduler(clock.win);
+		const calls = addTask(scheduler);
+		clock.run(300, 33.3);
+		assert.equal(scheduler.degraded, false);
+		assert.deepEqual(calls, { degrade: 0, stop: 0 });
+		assert.ok(scheduler.budget > 40);
+	});
+
+	test('60 Hz qui saccade : mode dégradé puis arrêt', () => {
+		const clock = createClock();
+		const scheduler = createScheduler(clock.win);
+		const calls = addTask(scheduler);
+		// Une image sur deux manquée : 16,7 / 33,4 ms en alternance (~25 ms en moyenne)
+		clock.run(300, (i) => (i % 2 ? 33.4 : 16.7));
+		assert.equal(scheduler.degraded, true);
+		assert.deepEqual(calls, { degrade: 1, stop: 1 });
+	});
+
+	test('30 Hz qui saccade aussi : le budget suit l\'écran', () => {
+		const clock = createClock();
+		const scheduler = createScheduler(clock.win);
+		const calls = addTask(scheduler);
+		clock.run(60, 33.3);
+		clock.run(120, (i) => (i % 2 ? 66.6 : 33.3));
+		assert.equal(scheduler.degraded, true);
+		assert.equal(calls.degrade, 1);
+	});
+
+	test('reduceMotion : aucune tâche acceptée', () => {
+		const clock = createClock();
+		const scheduler = createScheduler(clock.win, { reduceMotion: true });
+		let frames = 0;
+		scheduler.add({ frame: () => { frames += 1; } });
+		clock.run(10, 16.7);
+		assert.equal(frames, 0);
+	});
+});
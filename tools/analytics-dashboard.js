@@ -0,0 +1,85 @@
+/*
+	================================================
+	ANALYTICS-DASHBOARD.JS — TABLEAU DE BORD DE L'AUDIENCE
+	================================================
+	Script de tools/analytics-dashboard.html : lit GET /api/stats
+	(tools/analytics-server.js) et remplit un tableau par section
+	[data-table]. Les chiffres sont recalculés à chaque chargement.
+	================================================
+*/
+
+(function () {
+	const STATS_URL = '/api/stats';
+
+	// Colonnes de chaque tableau : [titre, valeur]
+	const TABLES = {
+		topProjects: [
+			['Projet', (p) => p.title],
+			['Vues de l\'article', (p) => p.views],
+			['Clics depuis les listes', (p) => p.clicks],
+		],
+		articles: [
+			['Article', (a) => a.title],
+			['Vues', (a) => a.views],
+			['Lu à 50 %', (a) => `${a.read[50]} %`],
+			['Lu en entier', (a) => `${a.read[100]} %`],
+			['Vidéos lancées', (a) => a.videos],
+		],
+		referrers: [
+			['Site', (r) => r.name],
+			['Visites', (r) => r.count],
+		],
+		pages: [
+			['Page', (p) => p.name],
+			['Vues', (p) => p.count],
+		],
+	};
+
+	fetch(STATS_URL)
+		.then((res) => {
+			if (!res.ok) throw new Error(`HTTP ${res.status}`);
+			return res.json();
+		})
+		.then(render)
+		.catch((err) => {
+			const period = document.querySelector('[data-period]');
+			period.className = 'error';
+			period.textContent = `Statistiques indisponibles (${err.message}).`;
+		});
+
+	function render(stats) {
+		document.querySelector('[data-period]').textContent = stats.period.from
+			? `${stats.views} pages vues du ${stats.period.from} au ${stats.period.to} (${stats.period.days} jours avec des visites)`
+			: 'Aucune visite enregistrée pour l\'instant.';
+
+		document.querySelectorAll('[data-table]').forEach((slot) => {
+			const name = slot.getAttribute('data-table');
+			slot.replaceChildren(buildTable(TABLES[name], stats[name] || []));
+		});
+	}
+
+	function buildTable(columns, rows) {
+		if (!rows.length) {
+			const empty = document.createElement('p');
+			empty.className = 'empty';
+			empty.textContent = 'Rien pour l\'instant.';
+			return empty;
+		}
+		const table = document.createElement('table');
+		const head = table.createTHead().insertRow();
+		columns.forEach(([title]) => {
+			const th = document.createElement('th');
+			th.scope = 'col';
+			th.textContent = title;
+			head.appendChild(th);
+		});
+		const body = table.createTBody();
+		rows.forEach((row) => {
+			const tr = body.insertRow();
+			columns.forEach(([, value]) => {
+				tr.insertCell().textContent = String(value(row));
+			});
+		});
+		return table;
+	}
+})();
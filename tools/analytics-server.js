@@ -0,0 +1,315 @@
+/*
+	================================================
+	ANALYTICS-SERVER.JS — COLLECTEUR D'AUDIENCE ET TABLEAU DE BORD
+	================================================
+	Reçoit les événements de script/portfolio/features/analytics.js et les
+	ajoute, une ligne JSON par événement, à tools/analytics-events.ndjson.
+
+	- POST /api/collect : { events: [{ type, page, … }] } (texte ou JSON)
+	  → 204 ; les événements inconnus ou mal formés sont ignorés
+	- GET /api/stats : projets les plus vus, sites d'origine, lecture
+	  des articles (calculés à la demande depuis le fichier NDJSON)
+	- GET /dashboard : tableau de bord (tools/analytics-dashboard.html)
+	- POST /api/csp-report : violations de la Content-Security-Policy
+	  (nginx.conf, .htaccess), ajoutées à tools/csp-reports.ndjson
+
+	Rien qui identifie un visiteur n'est gardé : ni adresse IP, ni
+	navigateur, ni heure (seulement le jour). Une requête envoyée avec
+	DNT: 1 ou Sec-GPC: 1 est ignorée, comme côté navigateur.
+	CORS ouvert pour que le site puisse être servi sur un autre port.
+
+	Utilisation : node tools/analytics-server.js [port]   (8788 par défaut)
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8788;
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(__dirname, 'analytics-events.ndjson');
+const CSP_OUTPUT = path.join(__dirname, 'csp-reports.ndjson');
+const MANIFEST = path.join(ROOT, 'data', 'projects.json');
+const MAX_BODY = 16 * 1024; // octets
+const MAX_EVENTS = 50; // par envoi
+const MAX_TEXT = 200;
+
+const DEPTHS = [25, 50, 75, 100];
+const DASHBOARD_FILES = {
+	'/dashboard': ['analytics-dashboard.html', 'text/html; charset=utf-8'],
+	'/analytics-dashboard.css': ['analytics-dashboard.css', 'text/css; charset=utf-8'],
+	'/analytics-dashboard.js': ['analytics-dashboard.js', 'text/javascript; charset=utf-8'],
+};
+
+// ====== VALIDATION ======
+// Chemin de page nettoyé : ni paramètres, ni ancre, ni "../"
+function cleanPage(value) {
+	if (typeof value !== 'string') return null;
+	const page = value.split(/[?#]/)[0].trim().slice(0, MAX_TEXT);
+	if (!page || page.includes('..') || /^[a-z]+:/i.test(page)) return null;
+	return page;
+}
+
+function cleanText(value, pattern) {
+	if (typeof value !== 'string') return '';
+	const text = value.trim().slice(0, MAX_TEXT);
+	return pattern.test(text) ? text : '';
+}
+
+// Garde les seuls champs attendus pour chaque type ; null si l'événement est invalide
+function sanitize(event, date) {
+	if (!event || typeof event !== 'object') return null;
+	const page = cleanPage(event.page);
+	if (!page) return null;
+	const base = { date, type: event.type, page };
+
+	switch (event.type) {
+		case 'pageview':
+			return {
+				...base,
+				referrer: cleanText(event.referrer, /^[a-z0-9.-]+$/i),
+				lang: ['fr', 'en'].includes(event.lang) ? event.lang : '',
+			};
+		case 'click': {
+			const target = cleanPage(event.target);
+			return target ? { ...base, target, project: cleanText(event.project, /^[\w-]+$/) } : null;
+		}
+		case 'scroll':
+			return DEPTHS.includes(event.depth) ? { ...base, depth: event.depth } : null;
+		case 'video': {
+			const video = cleanText(event.video, /^[\w-]{1,20}$/);
+			return video ? { ...base, video } : null;
+		}
+		default:
+			return null;
+	}
+}
+
+// Rapport CSP, ancien format ({ "csp-report": {…} }) ou Reporting API ([{ type, body }]).
+// Ressource bloquée réduite à son origine ("inline", "eval" tels quels), script fautif sans paramètres
+function sanitizeCspReport(report, date) {
+	const body = report && (report['csp-report'] || (report.type === 'csp-violation' && report.body));
+	if (!body || typeof body !== 'object') return null;
+	const field = (...names) => names.map((name) => body[name]).find((value) => typeof value === 'string') || '';
+	const origin = (value, withPath) => {
+		try {
+			const url = new URL(value);
+			if (!url.protocol.startsWith('http')) return url.protocol.replace(':', '');
+			return withPath ? `${url.origin}${url.pathname}`.slice(0, MAX_TEXT) : url.origin;
+		} catch (err) {
+			return cleanText(value, /^[a-z-]+$/i);
+		}
+	};
+	const directive = cleanText(field('effective-directive', 'effectiveDirective', 'violated-directive'), /^[a-z-]+(\s|$)/i).split(/\s/)[0];
+	if (!directive) return null;
+	const pageUrl = field('document-uri', 'documentURL');
+	let page = '';
+	try {
+		page = cleanPage(decodeURI(new URL(pageUrl).pathname).replace(/^\//, '')) || '';
+	} catch (err) {
+		page = '';
+	}
+	const line = Number(body['line-number'] || body.lineNumber);
+	return {
+		date,
+		page,
+		directive,
+		blocked: origin(field('blocked-uri', 'blockedURL')),
+		source: origin(field('source-file', 'sourceFile'), true),
+		line: Number.isInteger(line) && line > 0 ? line : null,
+		reportOnly: field('disposition') === 'report',
+	};
+}
+
+function optedOut(req) {
+	return req.headers.dnt === '1' || req.headers['sec-gpc'] === '1';
+}
+
+// ====== STATISTIQUES ======
+function readEvents(file = OUTPUT) {
+	if (!fs.existsSync(file)) return [];
+	return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).flatMap((line) => {
+		try {
+			return [JSON.parse(line)];
+		} catch (err) {
+			return []; // ligne tronquée (arrêt pendant une écriture)
+		}
+	});
+}
+
+function percent(part, total) {
+	return total ? Math.round((part / total) * 100) : 0;
+}
+
+// Projets, sites d'origine et lecture des articles ; les pages sont reliées au manifeste par leur url
+function aggregate(events, manifest) {
+	const projects = new Map(manifest.projects.map((p) => [p.url, {
+		id: p.id, title: p.title, url: p.url, views: 0, clicks: 0, videos: 0, depths: { 25: 0, 50: 0, 75: 0, 100: 0 },
+	}]));
+	const byId = new Map(Array.from(projects.values()).map((p) => [p.id, p]));
+	const pages = new Map();
+	const referrers = new Map();
+	const dates = new Set();
+	let views = 0;
+
+	events.forEach((event) => {
+		dates.add(event.date);
+		const project = projects.get(event.page);
+		if (event.type === 'pageview') {
+			views += 1;
+			pages.set(event.page, (pages.get(event.page) || 0) + 1);
+			const referrer = event.referrer || '(accès direct)';
+			referrers.set(referrer, (referrers.get(referrer) || 0) + 1);
+			if (project) project.views += 1;
+		} else if (event.type === 'click') {
+			const target = projects.get(event.target) || byId.get(event.project);
+			if (target) target.clicks += 1;
+		} else if (event.type === 'scroll' && project) {
+			project.depths[event.depth] += 1;
+		} else if (event.type === 'video' && project) {
+			project.videos += 1;
+		}
+	});
+
+	const sortedDates = Array.from(dates).sort();
+	const ranked = (map) => Array.from(map, ([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+	const list = Array.from(projects.values());
+
+	return {
+		period: { from: sortedDates[0] || null, to: sortedDates[sortedDates.length - 1] || null, days: dates.size },
+		views,
+		topProjects: list
+			.filter((p) => p.views || p.clicks)
+			.sort((a, b) => b.views + b.clicks - (a.views + a.clicks))
+			.map(({ id, title, url, views: v, clicks }) => ({ id, title, url, views: v, clicks })),
+		referrers: ranked(referrers),
+		pages: ranked(pages),
+		articles: list
+			.filter((p) => p.views)
+			.sort((a, b) => b.views - a.views)
+			.map((p) => ({
+				id: p.id,
+				title: p.title,
+				url: p.url,
+				views: p.views,
+				videos: p.videos,
+				read: Object.fromEntries(DEPTHS.map((depth) => [depth, percent(p.depths[depth], p.views)])),
+			})),
+	};
+}
+
+// ====== RÉPONSES ======
+function send(res, status, body, type = 'application/json; charset=utf-8') {
+	res.writeHead(status, {
+		'Content-Type': type,
+		'Access-Control-Allow-Origin': '*',
+		'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+		'Access-Control-Allow-Headers': 'Content-Type',
+	});
+	if (body === undefined) res.end();
+	else res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let size = 0;
+		const chunks = [];
+		req.on('data', (chunk) => {
+			size += chunk.length;
+			// Au-delà de la limite : on ignore la suite sans couper la connexion,
+			// sinon le client ne reçoit jamais la réponse 413
+			if (size > MAX_BODY) {
+				req.removeAllListeners('data');
+				req.resume();
+				reject(Object.assign(new Error('Envoi trop volumineux'), { status: 413 }));
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		req.on('error', reject);
+	});
+}
+
+// ====== SERVEUR ======
+function createServer(options = {}) {
+	const output = options.output || OUTPUT;
+	const cspOutput = options.cspOutput || CSP_OUTPUT;
+	const manifestFile = options.manifest || MANIFEST;
+	const now = options.now || (() => new Date());
+
+	return http.createServer(async (req, res) => {
+		const { pathname } = new URL(req.url, 'http://localhost');
+		if (req.method === 'OPTIONS') return send(res, 204);
+
+		if (pathname === '/api/collect') {
+			if (req.method !== 'POST') return send(res, 405, { error: 'Méthode non autorisée' });
+			let data;
+			try {
+				data = JSON.parse(await readBody(req));
+			} catch (err) {
+				if (err.status === 413) res.setHeader('Connection', 'close');
+				return send(res, err.status || 400, { error: err.status ? err.message : 'JSON invalide' });
+			}
+			if (optedOut(req)) return send(res, 204);
+
+			const date = now().toISOString().slice(0, 10);
+			const events = (data && Array.isArray(data.events) ? data.events : [])
+				.slice(0, MAX_EVENTS)
+				.map((event) => sanitize(event, date))
+				.filter(Boolean);
+			if (events.length) fs.appendFileSync(output, events.map((event) => `${JSON.stringify(event)}\n`).join(''));
+			return send(res, 204);
+		}
+
+		if (pathname === '/api/csp-report') {
+			if (req.method !== 'POST') return send(res, 405, { error: 'Méthode non autorisée' });
+			let data;
+			try {
+				data = JSON.parse(await readBody(req));
+			} catch (err) {
+				if (err.status === 413) res.setHeader('Connection', 'close');
+				return send(res, err.status || 400, { error: err.status ? err.message : 'JSON invalide' });
+			}
+			const date = now().toISOString().slice(0, 10);
+			const reports = (Array.isArray(data) ? data : [data])
+				.slice(0, MAX_EVENTS)
+				.map((report) => sanitizeCspReport(report, date))
+				.filter(Boolean);
+			if (reports.length) fs.appendFileSync(cspOutput, reports.map((report) => `${JSON.stringify(report)}\n`).join(''));
+			return send(res, 204);
+		}
+
+		if (req.method !== 'GET') return send(res, 405, { error: 'Méthode non autorisée' });
+
+		if (pathname === '/api/stats') {
+			let manifest;
+			try {
+				manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+			} catch (err) {
+				return send(res, 500, { error: 'Manifeste des projets absent ou illisible' });
+			}
+			return send(res, 200, aggregate(readEvents(output), manifest));
+		}
+
+		const file = DASHBOARD_FILES[pathname === '/' ? '/dashboard' : pathname];
+		if (file) return send(res, 200, fs.readFileSync(path.join(__dirname, file[0]), 'utf8'), file[1]);
+
+		return send(res, 404, { error: 'Introuvable' });
+	});
+}
+
+if (require.main === module) {
+	const port = Number(process.argv[2]) || DEFAULT_PORT;
+	createServer().listen(port, () => {
+		console.log(`Collecteur d'audience : http://localhost:${port}/api/collect`);
+		console.log(`Tableau de bord : http://localhost:${port}/dashboard`);
+		console.log(`Rapports CSP : http://localhost:${port}/api/csp-report`);
+		console.log(`Événements enregistrés dans ${path.relative(process.cwd(), OUTPUT)}`);
+	});
+}
+
+module.exports = { createServer, sanitize, sanitizeCspReport, aggregate, readEvents };
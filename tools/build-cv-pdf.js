@@ -0,0 +1,200 @@
+/*
+	================================================
+	BUILD-CV-PDF.JS — CV EN PDF DEPUIS data/cv.json
+	================================================
+	Le PDF téléchargeable est produit à chaque build à partir des mêmes
+	données que la page (tools/build-cv.js) : plus de fichier à tenir à
+	jour à la main, et il reste disponible sans JavaScript.
+
+	Mise en page de la version imprimée (styles/cv.css, @media print) :
+	A4, en-tête puis deux colonnes, Expériences et Formation à gauche,
+	Compétences et Centres d'intérêt à droite. Chaque projet renvoie vers
+	son article. Polices standard du PDF (Helvetica) : rien à embarquer.
+
+	Généré avec pdfkit (npm install), sans navigateur.
+
+	Utilisation : node tools/build-cv-pdf.js [fichier]   (dist/Projets/CV/cv.pdf par défaut)
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readResume, experienceItems, educationItems, skillGroups, contactItems, PDF_URL } = require('./build-cv');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Couleurs de la version imprimée
+const COLORS = {
+	text: '#0f1426',
+	muted: '#3a3f55',
+	accent: '#808cf6',
+};
+const MARGIN = 42; // pt (≈ 15 mm)
+const COLUMN_GAP = 20;
+const RIGHT_COLUMN = 0.34; // part de la largeur, comme grid-template-columns: 1fr 34%
+const BULLET_INDENT = 10;
+
+// ====== COLONNES ======
+// Une colonne garde sa page et sa hauteur : la droite reprend en haut de la première page
+function createColumn(x, width, y) {
+	return { x, width, y, page: 0 };
+}
+
+// Place pour un bloc de cette hauteur, sinon page suivante (créée au besoin)
+function reserve(doc, column, height) {
+	doc.switchToPage(column.page);
+	if (column.y + height <= doc.page.height - MARGIN) return;
+	column.page += 1;
+	if (column.page < doc.bufferedPageRange().count) doc.switchToPage(column.page);
+	else doc.addPage();
+	column.y = MARGIN;
+}
+
+// ====== BLOCS ======
+// Un bloc = des lignes { text, font, size, color, gap, bullet, link }, jamais coupé entre deux pages
+function lineWidth(column, line) {
+	return line.bullet ? column.width - BULLET_INDENT : column.width;
+}
+
+function blockHeight(doc, column, lines) {
+	return lines.reduce((sum, line) => {
+		doc.font(line.font).fontSize(line.size);
+		return sum + doc.heightOfString(line.text, { width: lineWidth(column, line) }) + (line.gap || 0);
+	}, 0);
+}
+
+function drawBlock(doc, column, lines, after = 10) {
+	reserve(doc, column, blockHeight(doc, column, lines));
+	lines.forEach((line) => {
+		doc.font(line.font).fontSize(line.size).fillColor(line.color);
+		if (line.bullet) doc.text('•', column.x, column.y, { lineBreak: false });
+		const x = line.bullet ? column.x + BULLET_INDENT : column.x;
+		doc.text(line.text, x, column.y, { width: lineWidth(column, line), link: line.link || null });
+		column.y = doc.y + (line.gap || 0);
+	});
+	column.y += after;
+}
+
+function sectionTitle(doc, column, title) {
+	// Titre gardé avec la place d'un premier élément
+	reserve(doc, column, 60);
+	doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text).text(title, column.x, column.y);
+	const width = doc.widthOfString(title);
+	const y = doc.y + 3;
+	doc.moveTo(column.x, y).lineTo(column.x + width, y).lineWidth(2).strokeColor(COLORS.accent).stroke();
+	column.y = y + 10;
+}
+
+// Titre (lien vers l'article), sous-titre, date, description et liste
+function itemLines(item) {
+	const lines = [{ text: item.title, font: 'Helvetica-Bold', size: 11, color: COLORS.text, gap: 1, link: item.url }];
+	const meta = [item.subtitle, item.date].filter(Boolean).join(' · ');
+	if (meta) lines.push({ text: meta, font: 'Helvetica', size: 9, color: COLORS.accent, gap: 3 });
+	if (item.summary) lines.push({ text: item.summary, font: 'Helvetica', size: 9.5, color: COLORS.muted, gap: 2 });
+	(item.highlights || []).forEach((text) => {
+		lines.push({ text, font: 'Helvetica', size: 9.5, color: COLORS.muted, gap: 1, bullet: true });
+	});
+	return lines;
+}
+
+function drawSection(doc, column, title, blocks) {
+	if (!blocks.length) return;
+	sectionTitle(doc, column, title);
+	blocks.forEach((lines) => drawBlock(doc, column, lines));
+	column.y += 8;
+}
+
+// ====== DOCUMENT ======
+function drawHeader(doc, basics) {
+	const width = doc.page.width - MARGIN * 2;
+	doc.font('Helvetica-Bold').fontSize(28).fillColor(COLORS.text).text(basics.name, MARGIN, MARGIN, { width });
+	if (basics.label) doc.font('Helvetica').fontSize(13).fillColor(COLORS.accent).text(basics.label, { width });
+	if (basics.summary) doc.moveDown(0.3).fontSize(10).fillColor(COLORS.muted).text(basics.summary, { width });
+
+	// Coordonnées sur une ligne, chacune cliquable si elle a un lien
+	doc.moveDown(0.6).font('Helvetica').fontSize(9.5).fillColor(COLORS.text);
+	const contacts = contactItems(basics);
+	contacts.forEach(([, text, href], index) => {
+		const last = index === contacts.length - 1;
+		doc.text(text, { link: href, continued: !last });
+		if (!last) doc.text('   ·   ', { link: null, continued: true });
+	});
+	return doc.y + 20;
+}
+
+// CV complet → contenu du fichier PDF (pdfkit écrit tout pendant end() : lecture synchrone)
+function renderCvPdf(resume = readResume()) {
+	let PDFDocument;
+	try {
+		PDFDocument = require('pdfkit');
+	} catch (err) {
+		throw new Error('pdfkit est introuvable : lancer "npm install" avant de générer le site');
+	}
+
+	const { basics } = resume;
+	const doc = new PDFDocument({
+		size: 'A4',
+		margin: MARGIN,
+		bufferPages: true,
+		lang: 'fr-FR',
+		displayTitle: true,
+		info: {
+			Title: `CV - ${basics.name}`,
+			Author: basics.name,
+			Subject: basics.label || '',
+		},
+	});
+
+	const top = drawHeader(doc, basics);
+	const width = doc.page.width - MARGIN * 2 - COLUMN_GAP;
+	const rightWidth = width * RIGHT_COLUMN;
+	const left = createColumn(MARGIN, width - rightWidth, top);
+	const right = createColumn(MARGIN + width - rightWidth + COLUMN_GAP, rightWidth, top);
+
+	drawSection(doc, left, 'Expériences', experienceItems(resume).map(itemLines));
+	drawSection(doc, left, 'Formation', educationItems(resume).map(itemLines));
+
+	drawSection(doc, right, 'Compétences', skillGroups(resume).map((group) => [
+		{ text: group.name, font: 'Helvetica-Bold', size: 10.5, color: COLORS.text, gap: 2 },
+		{ text: group.tags.join(' · '), font: 'Helvetica', size: 9.5, color: COLORS.muted },
+	]));
+	const interests = resume.interests || [];
+	drawSection(doc, right, 'Centres d\'intérêt', interests.length ? [interests.map((interest) => ({
+		text: `${interest.name} : ${(interest.keywords || []).join(', ')}`,
+		font: 'Helvetica',
+		size: 9.5,
+		color: COLORS.muted,
+		gap: 3,
+		bullet: true,
+	}))] : []);
+
+	doc.end();
+	const chunks = [];
+	let chunk;
+	while ((chunk = doc.read()) !== null) chunks.push(chunk);
+	return Buffer.concat(chunks);
+}
+
+// Écrit le PDF à son adresse dans dist/ (PDF_URL, lien de la page CV)
+function writeCvPdf(dist, resume) {
+	const target = path.join(dist, PDF_URL);
+	fs.mkdirSync(path.dirname(target), { recursive: true });
+	fs.writeFileSync(target, renderCvPdf(resume));
+	return target;
+}
+
+if (require.main === module) {
+	try {
+		const target = path.resolve(process.argv[2] || path.join(ROOT, 'dist', PDF_URL));
+		fs.mkdirSync(path.dirname(target), { recursive: true });
+		fs.writeFileSync(target, renderCvPdf());
+		console.log(`CV en PDF : ${path.relative(process.cwd(), target)}`);
+	} catch (err) {
+		console.error(`Échec : ${err.message}`);
+		process.exit(1);
+	}
+}
+
+module.exports = { renderCvPdf, writeCvPdf };
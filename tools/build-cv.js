@@ -0,0 +1,337 @@
+/*
+	================================================
+	BUILD-CV.JS — PAGE CV GÉNÉRÉE DEPUIS data/cv.json
+	================================================
+	Le CV n'est plus écrit à la main dans Projets/CV/cv.html : il est
+	décrit une seule fois dans data/cv.json, au format JSON Resume
+	(https://jsonresume.org/schema), et sert à trois choses :
+
+	1. La page Projets/CV/cv.html : tools/build-site.js remplace
+	   {{> cv }} par le HTML produit ici (renderCv)
+	2. Le téléchargement "JSON Resume" : data/cv.json est copié tel quel
+	   dans dist/ et lisible par tous les outils JSON Resume
+	3. Le PDF téléchargeable : tools/build-cv-pdf.js le produit à chaque
+	   build avec les mêmes blocs (experienceItems, educationItems…) ;
+	   la page s'imprime aussi (styles/cv.css, @media print), bouton
+	   "Imprimer" (script/portfolio/features/print-button.js)
+
+	Sections lues : basics, projects (affichés en "Expériences"), work,
+	education, skills, languages, interests. Un projet dont l'url est une
+	page du portfolio (SITE_URL…) renvoie vers son article.
+
+	Utilisation : node tools/build-cv.js   (vérifie data/cv.json et affiche le HTML)
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { SITE_URL } = require('./build-sitemap');
+
+const ROOT = path.resolve(__dirname, '..');
+const RESUME_FILE = path.join(ROOT, 'data', 'cv.json');
+const JSON_URL = '/data/cv.json';
+const JSON_DOWNLOAD_NAME = 'CV - Lisa Bruno.json';
+const PDF_URL = '/Projets/CV/cv.pdf';
+const PDF_DOWNLOAD_NAME = 'CV - Lisa Bruno.pdf';
+
+// Icônes des coordonnées (mêmes tracés que l'ancienne page)
+const ICONS = {
+	phone: ['<path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"/>'],
+	email: ['<path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>', '<polyline points="22,6 12,13 2,6"/>'],
+	location: ['<circle cx="12" cy="10" r="3"/>', '<path d="M12 21.7C17.3 17 20 13 20 10a8 8 0 1 0-16 0c0 3 2.7 7 8 11.7z"/>'],
+	url: ['<path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>', '<path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>'],
+	download: ['<path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>', '<polyline points="7 10 12 15 17 10"/>', '<line x1="12" y1="15" x2="12" y2="3"/>'],
+};
+
+// ====== LECTURE ======
+function readResume(file = RESUME_FILE) {
+	let resume;
+	try {
+		resume = JSON.parse(fs.readFileSync(file, 'utf8'));
+	} catch (err) {
+		throw new Error(`data/cv.json illisible : ${err.message}`);
+	}
+	if (!resume.basics || !resume.basics.name) throw new Error('data/cv.json : "basics.name" manquant');
+	return resume;
+}
+
+// ====== OUTILS ======
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+// Lignes décalées d'une tabulation (le HTML produit suit l'indentation des pages)
+function indent(lines) {
+	return lines.map((line) => (line ? `\t${line}` : line));
+}
+
+function icon(name, size) {
+	const dimensions = size ? ` width="${size}" height="${size}"` : '';
+	return [`<svg${dimensions} viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">`, ...indent(ICONS[name]), '</svg>'];
+}
+
+// Page du portfolio → chemin depuis la racine (rendu relatif par build-site.js)
+function siteUrl(url) {
+	return url.startsWith(SITE_URL) ? `/${url.slice(SITE_URL.length)}` : url;
+}
+
+function dateRange(entry) {
+	return [entry.startDate, entry.endDate].filter(Boolean).join(' - ');
+}
+
+// ====== BLOCS ======
+function renderHeader(basics) {
+	const contacts = contactItems(basics).map(([name, text, href]) => {
+		if (!href) return [name, `<span>${escapeHtml(text)}</span>`];
+		const external = name === 'url' ? ' target="_blank" rel="noopener"' : '';
+		return [name, `<a href="${escapeHtml(href)}"${external}>${escapeHtml(text)}</a>`];
+	});
+
+	return [
+		'<!-- En-tête du CV -->',
+		'<div class="cv-header">',
+		...indent([
+			`<h1>${escapeHtml(basics.name)}</h1>`,
+			...(basics.label ? [`<p class="subtitle">${escapeHtml(basics.label)}</p>`] : []),
+			...(basics.summary ? [`<p class="cv-summary">${escapeHtml(basics.summary)}</p>`] : []),
+			'',
+			'<div class="cv-contact">',
+			...indent(contacts.flatMap(([name, content]) => [
+				'<div class="cv-contact-item">',
+				...indent([...icon(name), content]),
+				'</div>',
+			])),
+			'</div>',
+		]),
+		'</div>',
+	];
+}
+
+// Bloc .cv-item : titre, sous-titre, date, description ou liste, lien éventuel
+function renderItem({ title, subtitle, date, summary, highlights, link }) {
+	const description = [];
+	if (summary) description.push(`<p>${escapeHtml(summary)}</p>`);
+	if (highlights && highlights.length) {
+		description.push('<ul>', ...indent(highlights.map((text) => `<li>${escapeHtml(text)}</li>`)), '</ul>');
+	}
+
+	return [
+		'<div class="cv-item">',
+		...indent([
+			'<div class="cv-item-header">',
+			...indent([
+				'<div>',
+				...indent([
+					`<h3 class="cv-item-title">${escapeHtml(title)}</h3>`,
+					subtitle ? `<p class="cv-item-subtitle">${escapeHtml(subtitle)}</p>` : '',
+				].filter(Boolean)),
+				'</div>',
+				date ? `<span class="cv-item-date">${escapeHtml(date)}</span>` : '',
+			].filter(Boolean)),
+			'</div>',
+			...(description.length ? ['<div class="cv-item-description">', ...indent(description), '</div>'] : []),
+			link ? `<a class="cv-item-link" href="${escapeHtml(link)}" data-i18n="project.seeArrow">Voir le projet →</a>` : '',
+		].filter(Boolean)),
+		'</div>',
+	];
+}
+
+function renderSection(title, items) {
+	if (!items.length) return [];
+	// Une ligne vide entre deux blocs
+	const body = items.flatMap((item, index) => (index ? ['', ...item] : item));
+	return [
+		'<section class="cv-section">',
+		...indent([`<h2 class="cv-section-title">${escapeHtml(title)}</h2>`, '', ...body]),
+		'</section>',
+	];
+}
+
+// ====== CONTENU (page et PDF) ======
+// Projets d'abord (école et personnels), puis expériences professionnelles.
+// url : adresse complète (PDF), link : chemin rendu relatif par build-site.js (page)
+function experienceItems(resume) {
+	const projects = (resume.projects || []).map((project) => ({
+		title: project.name,
+		subtitle: (project.keywords || []).join(' - '),
+		date: project.entity || dateRange(project),
+		summary: project.description,
+		highlights: project.highlights,
+		url: project.url || null,
+		link: project.url ? siteUrl(project.url) : null,
+	}));
+	const work = (resume.work || []).map((job) => ({
+		title: job.position,
+		subtitle: job.name,
+		date: dateRange(job),
+		summary: job.summary,
+		highlights: job.highlights,
+		url: job.url || null,
+		link: job.url || null,
+	}));
+	return [...projects, ...work];
+}
+
+function educationItems(resume) {
+	return (resume.education || []).map((entry) => ({
+		title: [entry.studyType, entry.area].filter(Boolean).join(' '),
+		subtitle: entry.institution || (entry.courses && entry.courses.length ? `Spécialités : ${entry.courses.join(', ')}` : ''),
+		date: dateRange(entry),
+		summary: entry.summary || entry.score,
+	}));
+}
+
+// Compétences puis langues : { name, tags }
+function skillGroups(resume) {
+	const groups = (resume.skills || []).map((skill) => ({ name: skill.name, tags: skill.keywords || [] }));
+	if (resume.languages && resume.languages.length) {
+		groups.push({
+			name: 'Langues',
+			tags: resume.languages.map((l) => (l.fluency ? `${l.language} (${l.fluency})` : l.language)),
+		});
+	}
+	return groups;
+}
+
+// Coordonnées : [icône, texte affiché, lien éventuel]
+function contactItems(basics) {
+	const contacts = [];
+	if (basics.phone) contacts.push(['phone', basics.phone, `tel:${basics.phone.replace(/[^\d+]/g, '')}`]);
+	if (basics.email) contacts.push(['email', basics.email, `mailto:${basics.email}`]);
+	if (basics.location && basics.location.city) contacts.push(['location', basics.location.city, null]);
+	if (basics.url) contacts.push(['url', basics.url.replace(/^https?:\/\//, ''), basics.url]);
+	return contacts;
+}
+
+// ====== SECTIONS ======
+function renderExperience(resume) {
+	return renderSection('Expériences', experienceItems(resume).map(renderItem));
+}
+
+function renderEducation(resume) {
+	return renderSection('Formation', educationItems(resume).map(renderItem));
+}
+
+// Compétences et langues : une carte de puces par groupe
+function renderSkills(resume) {
+	const groups = skillGroups(resume);
+	if (!groups.length) return [];
+
+	return [
+		'<section class="cv-section">',
+		...indent([
+			'<h2 class="cv-section-title">Compétences</h2>',
+			'<div class="skills-grid">',
+			...indent(groups.flatMap((group) => [
+				'<div class="skill-category">',
+				...indent([
+					`<h4>${escapeHtml(group.name)}</h4>`,
+					'<div class="skill-tags">',
+					...indent(group.tags.map((tag) => `<span class="skill-tag">${escapeHtml(tag)}</span>`)),
+					'</div>',
+				]),
+				'</div>',
+			])),
+			'</div>',
+		]),
+		'</section>',
+	];
+}
+
+function renderInterests(resume) {
+	const interests = resume.interests || [];
+	if (!interests.length) return [];
+	const item = [
+		'<div class="cv-item">',
+		...indent([
+			'<div class="cv-item-description">',
+			...indent([
+				'<ul>',
+				...indent(interests.map((interest) => `<li><strong>${escapeHtml(interest.name)} :</strong> ${escapeHtml((interest.keywords || []).join(', '))}</li>`)),
+				'</ul>',
+			]),
+			'</div>',
+		]),
+		'</div>',
+	];
+	return renderSection('Centres d\'intérêt', [item]);
+}
+
+// PDF (tools/build-cv-pdf.js), JSON Resume et impression ; le bouton d'impression n'apparaît qu'avec JavaScript
+function renderDownloads() {
+	return [
+		'<!-- Téléchargements : PDF généré au build, JSON Resume, impression de cette page -->',
+		'<div class="cv-download">',
+		...indent([
+			'<div class="cv-download-actions">',
+			...indent([
+				`<a class="btn primary" href="${PDF_URL}" download="${PDF_DOWNLOAD_NAME}" type="application/pdf">`,
+				...indent([...icon('download', 20), '<span data-i18n="cv.pdf">Télécharger le PDF</span>']),
+				'</a>',
+				'<button type="button" class="btn ghost" data-print hidden data-i18n="cv.print">Imprimer</button>',
+				`<a class="btn ghost" href="${JSON_URL}" download="${JSON_DOWNLOAD_NAME}" type="application/json" data-i18n="cv.json">Télécharger au format JSON Resume</a>`,
+			]),
+			'</div>',
+			'<p class="cv-back">',
+			...indent(['<a href="/index.html" data-i18n="nav.back">← Retour au portfolio</a>']),
+			'</p>',
+		]),
+		'</div>',
+	];
+}
+
+// ====== PAGE ======
+function renderCv(resume = readResume()) {
+	return [
+		'<div class="cv-container">',
+		...indent([
+			...renderHeader(resume.basics),
+			'',
+			'<!-- Grille principale avec 2 colonnes -->',
+			'<div class="cv-main-grid">',
+			...indent([
+				'<!-- Colonne de gauche : Expériences et Formation -->',
+				'<div class="cv-left-column">',
+				...indent([...renderExperience(resume), '', ...renderEducation(resume)]),
+				'</div>',
+				'',
+				'<!-- Colonne de droite : Compétences et Centres d\'intérêt -->',
+				'<div class="cv-right-column">',
+				...indent([...renderSkills(resume), '', ...renderInterests(resume)]),
+				'</div>',
+			]),
+			'</div>',
+			'',
+			...renderDownloads(),
+		]),
+		'</div>',
+	].join('\n');
+}
+
+if (require.main === module) {
+	try {
+		console.log(renderCv());
+	} catch (err) {
+		console.error(`Échec : ${err.message}`);
+		process.exit(1);
+	}
+}
+
+module.exports = {
+	renderCv,
+	readResume,
+	experienceItems,
+	educationItems,
+	skillGroups,
+	contactItems,
+	escapeHtml,
+	indent,
+	RESUME_FILE,
+	PDF_URL,
+};
@@ -0,0 +1,233 @@
+/*
+	================================================
+	BUILD-IMAGES.JS — VARIANTES RESPONSIVE DES IMAGES DE médias/
+	================================================
+	Remplace optimize-images.ps1 (Windows uniquement) : fonctionne partout
+	où Node tourne, avec sharp (npm install).
+
+	1. Chaque JPEG/PNG de médias/ est décliné en AVIF, WebP et JPEG
+	   (PNG si l'image a de la transparence) aux largeurs de WIDTHS, sans
+	   jamais agrandir l'original
+	2. Une miniature floutée de quelques octets (placeholder) est gardée
+	   en data: URI pour l'affichage immédiat
+	3. Tout est écrit dans .cache/images/ avec un manifeste (manifest.json) ;
+	   seules les images nouvelles ou modifiées sont recalculées
+	4. tools/build-site.js copie les variantes dans dist/images/ et
+	   réécrit les <img src="/médias/…"> des pages (responsiveImages) :
+	   <picture> AVIF/WebP + srcset/sizes, width/height, placeholder en src
+	   et vraie image en data-src / data-srcset, chargée par
+	   setupNativeLazyLoad (script/optimized.js)
+
+	Sans manifeste (pipeline jamais lancé), les pages gardent leurs <img>
+	d'origine.
+
+	Utilisation : node tools/build-images.js [--force]
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MEDIA_DIR = path.join(ROOT, 'médias');
+const CACHE_DIR = path.join(ROOT, '.cache', 'images');
+const MANIFEST_FILE = path.join(CACHE_DIR, 'manifest.json');
+const URL_PREFIX = 'images/'; // dossier des variantes dans dist/
+
+const WIDTHS = [400, 800, 1200, 1600];
+const FALLBACK_WIDTH = 1200; // largeur du data-src (navigateurs sans srcset)
+const PLACEHOLDER_WIDTH = 24;
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Réglages d'encodage par format (sharp)
+const ENCODERS = {
+	avif: { quality: 50, effort: 4 },
+	webp: { quality: 75 },
+	jpeg: { quality: 80, mozjpeg: true },
+	png: { compressionLevel: 9, palette: true },
+};
+const SOURCE_TYPES = ['avif', 'webp']; // <source> du <picture>, dans l'ordre de préférence
+const MIME_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+// Largeur affichée par défaut (article : colonne principale)
+const DEFAULT_SIZES = '(max-width: 768px) 100vw, 800px';
+
+// ====== MANIFESTE ======
+function readManifest() {
+	if (!fs.existsSync(MANIFEST_FILE)) return null;
+	try {
+		return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+	} catch (_) {
+		return null;
+	}
+}
+
+function writeManifest(manifest) {
+	fs.mkdirSync(CACHE_DIR, { recursive: true });
+	fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify(manifest, null, '\t')}\n`);
+}
+
+function findSources(dir = MEDIA_DIR) {
+	const found = [];
+	fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory()) found.push(...findSources(full));
+		else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) found.push(full);
+	});
+	return found.sort();
+}
+
+// "médias/a/b.jpg" → "images/a/b" (préfixe des variantes)
+function variantBase(key) {
+	const withoutExt = key.slice(0, -path.extname(key).length);
+	return URL_PREFIX + withoutExt.replace(/^médias\//, '');
+}
+
+// ====== GÉNÉRATION ======
+async function processImage(sharp, file, key) {
+	const stat = fs.statSync(file);
+	const meta = await sharp(file).metadata();
+	// Orientation EXIF : largeur et hauteur affichées, pas celles du fichier
+	const rotated = meta.orientation >= 5;
+	const width = rotated ? meta.height : meta.width;
+	const height = rotated ? meta.width : meta.height;
+	const fallback = meta.hasAlpha ? 'png' : 'jpeg';
+
+	const widths = WIDTHS.filter((w) => w < width);
+	if (!widths.length || widths[widths.length - 1] < Math.min(width, WIDTHS[WIDTHS.length - 1])) {
+		widths.push(Math.min(width, WIDTHS[WIDTHS.length - 1]));
+	}
+
+	const variants = {};
+	for (const format of [...SOURCE_TYPES, fallback]) {
+		variants[format] = [];
+		for (const w of widths) {
+			const url = `${variantBase(key)}-${w}.${format === 'jpeg' ? 'jpg' : format}`;
+			const target = path.join(CACHE_DIR, url.slice(URL_PREFIX.length));
+			fs.mkdirSync(path.dirname(target), { recursive: true });
+			await sharp(file).rotate().resize({ width: w, withoutEnlargement: true })[format](ENCODERS[format]).toFile(target);
+			variants[format].push({ width: w, url });
+		}
+	}
+
+	const tiny = await sharp(file).rotate().resize({ width: PLACEHOLDER_WIDTH }).blur(1).webp({ quality: 40 }).toBuffer();
+
+	return {
+		size: stat.size,
+		mtime: Math.round(stat.mtimeMs),
+		width,
+		height,
+		fallback,
+		placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+		variants,
+	};
+}
+
+function isUpToDate(entry, file) {
+	if (!entry) return false;
+	const stat = fs.statSync(file);
+	if (entry.size !== stat.size || entry.mtime !== Math.round(stat.mtimeMs)) return false;
+	return Object.values(entry.variants).every((list) => list.every((v) => fs.existsSync(path.join(CACHE_DIR, v.url.slice(URL_PREFIX.length)))));
+}
+
+async function buildImages(options = {}) {
+	let sharp;
+	try {
+		sharp = require('sharp');
+	} catch (_) {
+		throw new Error('sharp est introuvable : lancer "npm install" avant "npm run images"');
+	}
+	sharp.concurrency(1); // une image à la fois : machine modeste, mémoire stable
+
+	const previous = (!options.force && readManifest()) || { images: {} };
+	const manifest = { images: {} };
+	const log = options.log || console.log;
+	let generated = 0;
+
+	for (const file of findSources()) {
+		const key = path.relative(ROOT, file).split(path.sep).join('/');
+		if (isUpToDate(previous.images[key], file)) {
+			manifest.images[key] = previous.images[key];
+			continue;
+		}
+		try {
+			manifest.images[key] = await processImage(sharp, file, key);
+			generated += 1;
+			log(`  ${key} → ${manifest.images[key].variants.webp.map((v) => v.width).join(', ')} px`);
+			// Sauvegarde au fil de l'eau : un traitement interrompu reprend où il s'est arrêté
+			writeManifest({ images: { ...previous.images, ...manifest.images } });
+		} catch (err) {
+			log(`  ${key} ignorée : ${err.message}`);
+		}
+	}
+
+	// Variantes d'images supprimées de médias/
+	Object.keys(previous.images).filter((key) => !manifest.images[key]).forEach((key) => {
+		Object.values(previous.images[key].variants).flat().forEach((v) => {
+			fs.rmSync(path.join(CACHE_DIR, v.url.slice(URL_PREFIX.length)), { force: true });
+		});
+	});
+
+	writeManifest(manifest);
+	return { total: Object.keys(manifest.images).length, generated };
+}
+
+// ====== RÉÉCRITURE DES <img> ======
+function attribute(tag, name) {
+	const match = new RegExp(`\\s${name}="([^"]*)"`, 'i').exec(tag);
+	return match ? match[1] : null;
+}
+
+function srcset(list) {
+	return list.map((v) => `/${encodeURI(v.url)} ${v.width}w`).join(', ');
+}
+
+// Variante la plus proche de FALLBACK_WIDTH sans la dépasser
+function fallbackVariant(list) {
+	return list.filter((v) => v.width <= FALLBACK_WIDTH).pop() || list[0];
+}
+
+// <img src="/médias/…"> → <picture> + placeholder, si l'image est dans le manifeste
+function responsiveImages(html, manifest) {
+	if (!manifest) return html;
+
+	// Une <img> seule sur sa ligne donne un <picture> sur plusieurs lignes, à la même indentation
+	return html.replace(/(^[ \t]*)?(<img\b[^>]*>)/gm, (match, indent = '', tag) => {
+		const src = attribute(tag, 'src');
+		if (!src || !src.startsWith('/médias/') || attribute(tag, 'srcset') || attribute(tag, 'data-src')) return match;
+		const entry = manifest.images[decodeURI(src.slice(1))];
+		if (!entry) return match;
+
+		const sizes = attribute(tag, 'sizes') || DEFAULT_SIZES;
+		const fallback = entry.variants[entry.fallback];
+		const className = [attribute(tag, 'class'), 'is-placeholder'].filter(Boolean).join(' ');
+
+		let img = tag
+			.replace(/\s(src|sizes|width|height|class)="[^"]*"/g, '')
+			.replace(/^<img/, `<img src="${entry.placeholder}" data-src="/${encodeURI(fallbackVariant(fallback).url)}" data-srcset="${srcset(fallback)}" sizes="${sizes}" width="${entry.width}" height="${entry.height}" class="${className}"`);
+		if (!attribute(img, 'loading')) img = img.replace(/^<img/, '<img loading="lazy"');
+		if (!attribute(img, 'decoding')) img = img.replace(/^<img/, '<img decoding="async"');
+
+		const inner = indent ? `\n${indent}\t` : '';
+		const sources = SOURCE_TYPES
+			.filter((format) => entry.variants[format])
+			.map((format) => `${inner}<source type="${MIME_TYPES[format]}" data-srcset="${srcset(entry.variants[format])}" sizes="${sizes}">`);
+		return `${indent}<picture class="responsive-picture">${sources.join('')}${inner}${img}${indent ? `\n${indent}` : ''}</picture>`;
+	});
+}
+
+if (require.main === module) {
+	console.log('Génération des variantes d\'images (médias/ → .cache/images/)…');
+	buildImages({ force: process.argv.includes('--force') })
+		.then(({ total, generated }) => {
+			console.log(`Images : ${generated} recalculée(s), ${total} au total → ${path.relative(ROOT, MANIFEST_FILE)}`);
+		})
+		.catch((err) => {
+			console.error(`Échec : ${err.message}`);
+			process.exit(1);
+		});
+}
+
+module.exports = { buildImages, responsiveImages, readManifest, CACHE_DIR, URL_PREFIX };
@@ -0,0 +1,310 @@
+/*
+	================================================
+	BUILD-PROJECTS.JS — LISTES DE PROJETS GÉNÉRÉES DEPUIS data/projects.json
+	================================================
+	Les projets sont décrits une seule fois dans data/projects.json. Les
+	listes sont écrites dans les pages à la génération (tools/build-site.js) :
+	elles existent sans JavaScript et pour les moteurs de recherche, qui ne
+	lisent pas le manifeste (robots.txt bloque les .json).
+
+	1. {{> projects-listing }}            liste complète par catégorie (Projets/projets.html)
+	2. {{> projects-category-<id> }}      liste d'une catégorie (pages Animation, Communication…)
+	3. {{> projects-featured }}           cartes "plus gros projets" de l'accueil (projets "featured")
+	4. {{ projectsSidebar }}              liste "Tous les articles" de la sidebar des articles
+	   (article lu marqué aria-current="page")
+	5. {{ projectsArticleNav }}           liens "Précédent / Suivant" en bas d'un article (même
+	   catégorie, ordre du manifeste ; retour à la catégorie aux extrémités)
+	6. {{ projectsRelated }}              "Projets similaires" d'un article (compétences et
+	   logiciels en commun)
+	5 et 6 sont vides sur les pages qui ne sont pas des articles du manifeste.
+
+	Même HTML que celui qu'attendent les scripts du navigateur : filtres et
+	tri (script/filters.js), traduction des titres, descriptions, dates et
+	durées (data-i18n-project, script/i18n.js).
+	Chemins écrits depuis la racine, rendus relatifs par build-site.js.
+
+	Utilisation : node tools/build-projects.js   (vérifie data/projects.json et affiche l'accueil)
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, indent } = require('./build-cv');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST_FILE = path.join(ROOT, 'data', 'projects.json');
+
+// ====== LECTURE ======
+function readProjects(file = MANIFEST_FILE) {
+	let manifest;
+	try {
+		manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+	} catch (err) {
+		throw new Error(`data/projects.json illisible : ${err.message}`);
+	}
+	if (!Array.isArray(manifest.projects) || !Array.isArray(manifest.categories)) {
+		throw new Error('data/projects.json : "projects" et "categories" attendus');
+	}
+	return manifest;
+}
+
+// ====== OUTILS ======
+// Chemin du manifeste (relatif à la racine) → chemin depuis la racine
+function rootUrl(url) {
+	return `/${url}`;
+}
+
+function categoryById(manifest, id) {
+	return manifest.categories.find((c) => c.id === id) || null;
+}
+
+// Minuscules sans accents ("Montage vidéo" → "montage video"), comme script/projects.js
+function normalize(text) {
+	return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Texte traduisible du projet : script/i18n.js remplace son contenu par le bloc "en"
+function projectText(tag, project, field, className) {
+	const attrs = className ? ` class="${className}"` : '';
+	return `<${tag}${attrs} data-i18n-project="${project.id}.${field}">${escapeHtml(project[field])}</${tag}>`;
+}
+
+// ====== FRAGMENTS COMMUNS ======
+// Image vignette du projet (<picture> responsive si tools/build-images.js a été lancé)
+function renderThumbnail(project) {
+	return [
+		'<div class="project-image">',
+		`\t<img src="${escapeHtml(rootUrl(project.thumbnail))}" alt="${escapeHtml(project.thumbnailAlt || project.title)}" loading="lazy">`,
+		'</div>',
+	];
+}
+
+// "Logiciels : …" avec les icônes déclarées dans manifest.tools
+function renderTools(tag, className, project, manifest) {
+	if (!project.tools.length) return [];
+	const names = project.tools.map((name) => {
+		const tool = manifest.tools[name] || {};
+		if (tool.icon) return `<img src="${escapeHtml(rootUrl(tool.icon))}" alt="${escapeHtml(name)}" class="tool-icon"> ${escapeHtml(name)}`;
+		if (tool.className) return `<span class="tool-icon ${tool.className}" aria-label="${escapeHtml(tool.label || name)}"></span> ${escapeHtml(name)}`;
+		return escapeHtml(name);
+	});
+	return [`<${tag} class="${className}"><span data-i18n="project.tools">Logiciels :</span> ${names.join(' • ')}</${tag}>`];
+}
+
+// Bloc .project-item (pages listing)
+function renderProjectItem(project, manifest) {
+	const meta = [];
+	if (project.date) meta.push(`<span class="project-meta-item">📅 ${projectText('span', project, 'date')}</span>`);
+	if (project.duration) meta.push(`<span class="project-meta-item">⏱️ ${projectText('span', project, 'duration')}</span>`);
+	const skills = project.skills.map((s) => `<span class="skill-tag">${escapeHtml(s)}</span>`);
+
+	return [
+		`<article class="project-item" data-project="${project.id}">`,
+		...indent([
+			`<div class="project-emoji">${project.emoji}</div>`,
+			...renderThumbnail(project),
+			'<div class="project-details">',
+			...indent([
+				projectText('h3', project, 'title'),
+				projectText('p', project, project.description ? 'description' : 'summary'),
+				`<div class="project-skills">${skills.join('')}</div>`,
+				...(meta.length ? [`<div class="project-meta">${meta.join('')}</div>`] : []),
+				...renderTools('div', 'project-tools', project, manifest),
+				`<a href="${escapeHtml(rootUrl(project.url))}" class="project-link-button" data-i18n="project.seeArrow">Voir le projet →</a>`,
+			]),
+			'</div>',
+		]),
+		'</article>',
+	];
+}
+
+// Une ligne vide entre deux blocs
+function joinBlocks(blocks) {
+	return blocks.flatMap((block, index) => (index ? ['', ...block] : block));
+}
+
+// ====== 1. LISTE COMPLÈTE PAR CATÉGORIE ======
+function renderListing(manifest = readProjects()) {
+	const sections = manifest.categories
+		.map((category) => [category, manifest.projects.filter((p) => p.category === category.id)])
+		.filter(([, projects]) => projects.length)
+		.map(([category, projects]) => [
+			`<section class="category-section" data-category="${category.id}">`,
+			...indent([
+				`<h2 class="category-title"><span class="category-icon">${category.icon}</span><span data-i18n-category="${category.id}.title">${escapeHtml(category.title)}</span></h2>`,
+				'<div class="projects-list">',
+				...indent(joinBlocks(projects.map((p) => renderProjectItem(p, manifest)))),
+				'</div>',
+			]),
+			'</section>',
+		]);
+	return joinBlocks(sections).join('\n');
+}
+
+// ====== 2. LISTE D'UNE CATÉGORIE ======
+function renderCategory(id, manifest = readProjects()) {
+	if (!categoryById(manifest, id)) throw new Error(`data/projects.json : catégorie "${id}" inconnue`);
+	const projects = manifest.projects.filter((p) => p.category === id);
+	return joinBlocks(projects.map((p) => renderProjectItem(p, manifest))).join('\n');
+}
+
+// ====== 3. CARTES DE L'ACCUEIL ======
+// Carte .project-card (grille #realizations de l'accueil)
+function renderProjectCard(project, manifest) {
+	const when = [];
+	if (project.date) when.push(projectText('span', project, 'date'));
+	if (project.date && project.duration) when.push(' • ');
+	if (project.duration) when.push(`<span data-i18n="project.duration">Durée :</span> ${projectText('span', project, 'duration')}`);
+
+	return [
+		`<a class="project-card" href="${escapeHtml(rootUrl(project.url))}" data-project="${project.id}">`,
+		...indent([
+			`<div class="project-icon">${project.emoji}</div>`,
+			...renderThumbnail(project),
+			projectText('h3', project, 'title'),
+			projectText('p', project, project.summary ? 'summary' : 'description'),
+			`<ul>${project.skills.map((s) => `<li>${escapeHtml(s)}</li>`).join('')}</ul>`,
+			...renderTools('p', 'tools', project, manifest),
+			...(when.length ? [`<p class="tools-secondary">📅 ${when.join('')}</p>`] : []),
+			'<span class="project-link" data-i18n="project.see">Voir le projet</span>',
+		]),
+		'</a>',
+	];
+}
+
+function renderFeatured(manifest = readProjects()) {
+	const projects = manifest.projects.filter((p) => p.featured);
+	return joinBlocks(projects.map((p) => renderProjectCard(p, manifest))).join('\n');
+}
+
+// ====== 4. SIDEBAR "TOUS LES ARTICLES" ======
+// page : chemin de la page générée ("Projets/Photo/article-photo.html")
+function renderSidebar(page, manifest = readProjects()) {
+	const items = manifest.categories.flatMap((category) => manifest.projects
+		.filter((p) => p.category === category.id)
+		.map((project) => {
+			const current = project.url === page ? ' aria-current="page"' : '';
+			const title = projectText('span', project, project.shortTitle ? 'shortTitle' : 'title');
+			return [
+				'<article class="recent-post-item">',
+				`\t<h4><a href="${escapeHtml(rootUrl(project.url))}"${current}>${category.sidebarIcon || category.icon} ${title}</a></h4>`,
+				'</article>',
+			];
+		}));
+	return items.flat().join('\n');
+}
+
+// ====== 5. PRÉCÉDENT / SUIVANT ======
+// Voisins dans la catégorie de l'article ; à une extrémité, lien vers la page de la catégorie
+function renderArticleNav(page, manifest = readProjects()) {
+	const project = manifest.projects.find((p) => p.url === page);
+	if (!project) return '';
+	const siblings = manifest.projects.filter((p) => p.category === project.category);
+	const index = siblings.indexOf(project);
+	const category = categoryById(manifest, project.category);
+
+	// Seul article de sa catégorie : un unique lien de retour
+	const links = [
+		renderNavLink('prev', siblings[index - 1], category),
+		renderNavLink('next', siblings[index + 1], siblings.length > 1 ? category : null),
+	].filter(Boolean);
+	const hidden = links.length ? '' : ' hidden';
+	return [
+		`<nav class="article-nav" data-projects="article-nav" aria-label="Navigation entre articles" data-i18n-attr="aria-label:article.navLabel"${hidden}>`,
+		...indent(links),
+		'</nav>',
+	].join('\n');
+}
+
+function renderNavLink(direction, project, category) {
+	const label = direction === 'prev'
+		? '<span class="article-nav-label" data-i18n="article.prev">← Précédent</span>'
+		: '<span class="article-nav-label" data-i18n="article.next">Suivant →</span>';
+
+	if (project) {
+		const title = projectText('span', project, project.shortTitle ? 'shortTitle' : 'title', 'article-nav-title');
+		return `<a href="${escapeHtml(rootUrl(project.url))}" class="article-nav-${direction}" rel="${direction}">${label}${title}</a>`;
+	}
+	if (!category || !category.page) return null;
+	return `<a href="${escapeHtml(rootUrl(category.page))}" class="article-nav-${direction} article-nav-up">`
+		+ '<span class="article-nav-label" data-i18n="article.backToCategory">↑ Retour à la catégorie</span>'
+		+ `<span class="article-nav-title" data-i18n-category="${category.id}.title">${escapeHtml(category.title)}</span></a>`;
+}
+
+// ====== 6. PROJETS SIMILAIRES ======
+const RELATED_COUNT = 3;
+
+// Score = compétences + logiciels en commun ; à égalité, même catégorie puis ordre du manifeste
+function relatedProjects(project, manifest) {
+	const own = new Set([...project.skills, ...project.tools].map(normalize));
+	return manifest.projects
+		.filter((p) => p !== project)
+		.map((p, order) => {
+			const shared = [...p.skills, ...p.tools].filter((name) => own.has(normalize(name)));
+			return { project: p, shared, order, sameCategory: p.category === project.category };
+		})
+		.filter((entry) => entry.shared.length > 0)
+		.sort((a, b) => b.shared.length - a.shared.length || b.sameCategory - a.sameCategory || a.order - b.order)
+		.slice(0, RELATED_COUNT);
+}
+
+function renderRelated(page, manifest = readProjects()) {
+	const project = manifest.projects.find((p) => p.url === page);
+	const related = project ? relatedProjects(project, manifest) : [];
+	if (!related.length) return '';
+
+	// Carte .related-project : vignette, titre et points communs avec l'article lu
+	const cards = related.map(({ project: p, shared }) => [
+		`<a class="related-project" href="${escapeHtml(rootUrl(p.url))}" data-project="${p.id}">`,
+		...indent([
+			...renderThumbnail(p),
+			projectText('h3', p, p.shortTitle ? 'shortTitle' : 'title'),
+			`<p class="related-project-shared"><span data-i18n="article.relatedShared">En commun :</span> ${escapeHtml(shared.join(', '))}</p>`,
+		]),
+		'</a>',
+	]);
+	return [
+		'<section class="related-projects" data-projects="related" aria-labelledby="related-title">',
+		...indent([
+			'<h2 id="related-title" class="related-projects-title" data-i18n="article.related">Projets similaires</h2>',
+			'<div class="related-projects-list">',
+			...indent(cards.flat()),
+			'</div>',
+		]),
+		'</section>',
+	].join('\n');
+}
+
+// ====== VARIABLES DE PAGE ======
+// Fragments propres à chaque page ({{ projectsSidebar }}…)
+function projectVars(page, manifest = readProjects()) {
+	return {
+		projectsSidebar: renderSidebar(page, manifest),
+		projectsArticleNav: renderArticleNav(page, manifest),
+		projectsRelated: renderRelated(page, manifest),
+	};
+}
+
+if (require.main === module) {
+	try {
+		console.log(renderFeatured());
+	} catch (err) {
+		console.error(`Échec : ${err.message}`);
+		process.exit(1);
+	}
+}
+
+module.exports = {
+	readProjects,
+	renderListing,
+	renderCategory,
+	renderFeatured,
+	renderSidebar,
+	renderArticleNav,
+	renderRelated,
+	relatedProjects,
+	projectVars,
+	MANIFEST_FILE,
+};
@@ -0,0 +1,136 @@
+/*
+	================================================
+	BUILD-SEARCH-INDEX.JS — INDEX DE RECHERCHE DU SITE
+	================================================
+	Parcourt tous les articles (src/pages/Projets/<catégorie>/article-*.html) et écrit
+	dist/data/search-index.json, chargé par script/search.js (palette Ctrl+K).
+	Appelé par tools/build-site.js à chaque génération : l'index suit toujours
+	les articles et n'est pas versionné.
+
+	Pour chaque article on garde :
+	- l'URL (relative à la racine du site) et le titre (manifeste, sinon h1.article-title)
+	- la catégorie, les compétences et les logiciels (data/projects.json)
+	- le texte brut de .article-content (sans le lien de secours des vidéos
+	  "▶ … — voir sur YouTube", remplacé par le lecteur dans la page)
+
+	Utilisation : node tools/build-search-index.js   (réécrit seulement l'index d'un dist/ déjà généré)
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PAGES_DIR = path.join(ROOT, 'src', 'pages');
+const MANIFEST = path.join(ROOT, 'data', 'projects.json');
+const DIST = path.join(ROOT, 'dist');
+const OUTPUT = path.join('data', 'search-index.json'); // relatif à dist/
+
+// ====== LECTURE DU HTML ======
+// Entités courantes rencontrées dans les articles
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', hellip: '…' };
+
+function decodeEntities(text) {
+	return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code) => {
+		if (code[0] === '#') {
+			const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+			return Number.isNaN(n) ? match : String.fromCodePoint(n);
+		}
+		return ENTITIES[code.toLowerCase()] || match;
+	});
+}
+
+// Retire balises, commentaires, scripts, iframes et liens de secours des vidéos
+// (script/videos.js) puis normalise les espaces
+function toText(html) {
+	return decodeEntities(
+		html
+			.replace(/<!--[\s\S]*?-->/g, ' ')
+			.replace(/<(script|style|iframe)\b[\s\S]*?<\/\1>/gi, ' ')
+			.replace(/<a\b[^>]*class="[^"]*\bvideo-facade-link\b[^"]*"[^>]*>[\s\S]*?<\/a>/gi, ' ')
+			.replace(/<[^>]+>/g, ' ')
+	)
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+// Contenu de la première balise <div class="…className…"> en suivant l'imbrication des <div>
+function extractDiv(html, className) {
+	const open = new RegExp(`<div\\b[^>]*class="[^"]*\\b${className}\\b[^"]*"[^>]*>`, 'i').exec(html);
+	if (!open) return '';
+	const tags = /<\/?div\b[^>]*>/gi;
+	tags.lastIndex = open.index + open[0].length;
+	let depth = 1;
+	let match;
+	while ((match = tags.exec(html))) {
+		depth += match[0][1] === '/' ? -1 : 1;
+		if (depth === 0) return html.slice(open.index + open[0].length, match.index);
+	}
+	return html.slice(open.index + open[0].length);
+}
+
+function extractTitle(html) {
+	const h1 = /<h1\b[^>]*class="[^"]*article-title[^"]*"[^>]*>([\s\S]*?)<\/h1>/i.exec(html);
+	if (h1) return toText(h1[1]);
+	const title = /<title>([\s\S]*?)<\/title>/i.exec(html);
+	return title ? toText(title[1]) : '';
+}
+
+// ====== PARCOURS DES ARTICLES ======
+function findArticles(dir) {
+	const found = [];
+	fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory()) found.push(...findArticles(full));
+		else if (/^article-.*\.html$/.test(entry.name)) found.push(full);
+	});
+	return found.sort();
+}
+
+function buildIndex() {
+	const manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+	const categories = {};
+	manifest.categories.forEach((c) => { categories[c.id] = c; });
+
+	const documents = findArticles(path.join(PAGES_DIR, 'Projets')).map((file) => {
+		const html = fs.readFileSync(file, 'utf8');
+		const url = path.relative(PAGES_DIR, file).split(path.sep).join('/');
+		const project = manifest.projects.find((p) => p.url === url);
+		const category = project ? categories[project.category] : null;
+
+		return {
+			url,
+			// Le titre du manifeste fait foi : certains h1 d'articles sont encore des copier-coller
+			title: project ? project.title : extractTitle(html),
+			category: category ? category.title : '',
+			icon: category ? category.sidebarIcon || category.icon : '',
+			skills: project ? project.skills : [],
+			tools: project ? project.tools : [],
+			text: toText(extractDiv(html, 'article-content')),
+		};
+	});
+
+	return { documents };
+}
+
+// ====== ÉCRITURE ======
+function writeSearchIndex(dist = DIST) {
+	const index = buildIndex();
+	const target = path.join(dist, OUTPUT);
+	fs.mkdirSync(path.dirname(target), { recursive: true });
+	fs.writeFileSync(target, `${JSON.stringify(index, null, '\t')}\n`);
+	return index;
+}
+
+if (require.main === module) {
+	if (!fs.existsSync(DIST)) {
+		console.error('dist/ introuvable : lancer d\'abord node tools/build-site.js');
+		process.exit(1);
+	}
+	const index = writeSearchIndex();
+	console.log(`Index de recherche : ${index.documents.length} articles → ${path.relative(ROOT, path.join(DIST, OUTPUT))}`);
+}
+
+module.exports = { buildIndex, writeSearchIndex, toText, extractDiv };
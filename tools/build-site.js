@@ -0,0 +1,349 @@
+/*
+	================================================
+	BUILD-SITE.JS — GÉNÉRATION DU SITE DANS dist/
+	================================================
+	Les pages ne sont plus écrites en entier : chaque page de src/pages/
+	ne contient que son propre contenu, le reste (topbar, pied de page,
+	section #contact, sidebar des articles, <head>) vient des gabarits.
+
+	src/
+	  layouts/    squelettes de page (page.html, article.html)
+	  partials/   morceaux partagés (topbar.html, footer.html…)
+	  pages/      une page par fichier, même arborescence que le site
+
+	Une page commence par un en-tête (front matter) :
+	  ---
+	  layout: article
+	  title: IDFC meme animation - Portfolio de Lisa Bruno
+	  ---
+	Les listes (styles, scripts, modules) sont séparées par des virgules ;
+	sans valeur dans la page, ce sont celles du gabarit qui s'appliquent.
+	modules : scripts chargés en <script type="module"> (script/portfolio/).
+	bodyClass (facultatif) ajoute une classe sur <body> ; features
+	(facultatif) choisit les fonctionnalités de script/portfolio/ pour la
+	page (data-features, ex. "floating-cards -card-tilt").
+
+	Dans les gabarits et les pages :
+	  {{ title }}                       valeur du front matter (ou calculée : url, content…)
+	  {{> footer }}                     contenu de src/partials/footer.html
+	  {{> cv }}                         partial généré (GENERATED_PARTIALS) : CV de data/cv.json
+	  {{> projects-listing }}           listes de projets de data/projects.json (tools/build-projects.js),
+	  {{> projects-category-photo }}    aussi {{> projects-featured }}, et par page {{ projectsSidebar }},
+	                                    {{ projectsArticleNav }}, {{ projectsRelated }}
+	  {{#block head}} … {{/block}}      bloc de la page injecté dans le gabarit ({{ head }})
+	Une balise seule sur sa ligne est réindentée à sa position.
+
+	Tous les liens internes s'écrivent depuis la racine ("/médias/…",
+	"/Projets/CV/cv.html") et sont réécrits en chemins relatifs pour chaque
+	page : dist/ fonctionne donc aussi bien en ligne que dans un sous-dossier.
+	Styles, scripts, données et médias sont copiés tels quels ; sitemap.xml,
+	robots.txt et feed.xml sont ensuite générés par tools/build-sitemap.js,
+	data/search-index.json par tools/build-search-index.js et le CV en PDF
+	(Projets/CV/cv.pdf) par tools/build-cv-pdf.js.
+	Si tools/build-images.js a été lancé, les <img> de médias/ deviennent
+	des <picture> responsive et les variantes sont copiées dans dist/images/.
+
+	Utilisation :
+	  node tools/build-site.js              génère dist/
+	  node tools/build-site.js --clean      vide dist/ avant de générer
+	  node tools/build-site.js --preview    génère puis sert dist/ sur http://localhost:8080
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { writeSeoFiles, SITE_URL } = require('./build-sitemap');
+const { responsiveImages, readManifest, CACHE_DIR, URL_PREFIX } = require('./build-images');
+const { renderCv } = require('./build-cv');
+const { writeCvPdf } = require('./build-cv-pdf');
+const { writeSearchIndex } = require('./build-search-index');
+const { readProjects, renderListing, renderCategory, renderFeatured, projectVars } = require('./build-projects');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const PAGES_DIR = path.join(SRC, 'pages');
+const LAYOUTS_DIR = path.join(SRC, 'layouts');
+const PARTIALS_DIR = path.join(SRC, 'partials');
+const DIST = path.join(ROOT, 'dist');
+
+// Copiés tels quels dans dist/ (chemins relatifs à la racine du dépôt)
+const STATIC_FILES = [
+	'styles',
+	'script',
+	'data',
+	'médias',
+	'service-worker.js',
+	'offline.html',
+	'CNAME',
+	'.htaccess',
+];
+
+// Clés du front matter écrites sous forme de liste
+const LIST_KEYS = ['styles', 'scripts', 'modules'];
+
+// Attributs dont la valeur est un chemin à rendre relatif
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'action', 'data-src', 'data-poster'];
+
+const MAX_DEPTH = 10; // garde-fou contre un partial qui s'inclurait lui-même
+
+// Partials calculés à partir des données plutôt qu'écrits dans src/partials/
+const GENERATED_PARTIALS = {
+	cv: () => renderCv(), // tools/build-cv.js, depuis data/cv.json
+	'projects-listing': () => renderListing(projectsManifest()), // tools/build-projects.js
+	'projects-featured': () => renderFeatured(projectsManifest()),
+};
+// {{> projects-category-photo }} : projets d'une catégorie de data/projects.json
+const CATEGORY_PARTIAL = /^projects-category-([\w-]+)$/;
+
+// ====== LECTURE DES FICHIERS SOURCES ======
+// Sépare le front matter (--- … ---) du contenu
+function parseFrontMatter(source, file) {
+	const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+	const data = {};
+	if (!match) return { data, body: source };
+
+	match[1].split(/\r?\n/).forEach((line, index) => {
+		if (!line.trim() || line.trim().startsWith('#')) return;
+		const sep = line.indexOf(':');
+		if (sep < 0) throw new Error(`${file} : ligne ${index + 2} du front matter invalide ("${line}")`);
+		const key = line.slice(0, sep).trim();
+		const value = line.slice(sep + 1).trim();
+		data[key] = LIST_KEYS.includes(key) ? value.split(',').map((v) => v.trim()).filter(Boolean) : value;
+	});
+	return { data, body: source.slice(match[0].length) };
+}
+
+// Retire les {{#block nom}} … {{/block}} du contenu et les renvoie à part
+function extractBlocks(body) {
+	const blocks = {};
+	const content = body.replace(/^[ \t]*\{\{#block\s+([\w-]+)\s*\}\}\r?\n([\s\S]*?)^[ \t]*\{\{\/block\}\}[ \t]*\r?\n?/gm, (match, name, inner) => {
+		blocks[name] = dedent(inner).replace(/\n+$/, '');
+		return '';
+	});
+	return { blocks, content: content.replace(/^\n+|\n+$/g, '') };
+}
+
+function readSource(file) {
+	return fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+}
+
+// data/projects.json n'est lu qu'une fois par génération
+let projectsCache = null;
+function projectsManifest() {
+	if (!projectsCache) projectsCache = readProjects();
+	return projectsCache;
+}
+
+const partialCache = new Map();
+function generatedPartial(name) {
+	if (GENERATED_PARTIALS[name]) return GENERATED_PARTIALS[name]();
+	const category = CATEGORY_PARTIAL.exec(name);
+	return category ? renderCategory(category[1], projectsManifest()) : null;
+}
+
+function readPartial(name) {
+	if (!partialCache.has(name)) {
+		const generated = generatedPartial(name);
+		if (generated !== null) partialCache.set(name, generated);
+	}
+	if (!partialCache.has(name)) {
+		const file = path.join(PARTIALS_DIR, `${name}.html`);
+		if (!fs.existsSync(file)) throw new Error(`Partial introuvable : src/partials/${name}.html`);
+		partialCache.set(name, readSource(file).replace(/\n+$/, ''));
+	}
+	return partialCache.get(name);
+}
+
+function readLayout(name) {
+	const file = path.join(LAYOUTS_DIR, `${name}.html`);
+	if (!fs.existsSync(file)) throw new Error(`Gabarit introuvable : src/layouts/${name}.html`);
+	return parseFrontMatter(readSource(file), file);
+}
+
+// ====== GABARITS ======
+function dedent(text) {
+	const indents = text.split('\n').filter((line) => line.trim()).map((line) => /^[ \t]*/.exec(line)[0].length);
+	const min = indents.length ? Math.min(...indents) : 0;
+	return text.split('\n').map((line) => line.slice(Math.min(min, /^[ \t]*/.exec(line)[0].length))).join('\n');
+}
+
+function indent(text, prefix) {
+	return text.split('\n').map((line) => (line.trim() ? prefix + line : '')).join('\n');
+}
+
+// Remplace {{ variable }} et {{> partial }} ; une balise seule sur sa ligne garde l'indentation
+function render(template, vars, depth = 0) {
+	if (depth > MAX_DEPTH) throw new Error('Inclusion de partials trop profonde (boucle ?)');
+
+	const resolveTag = (partial, name) => {
+		if (partial) return render(readPartial(name), vars, depth + 1);
+		if (!(name in vars)) throw new Error(`Variable inconnue : {{ ${name} }}`);
+		return String(vars[name]);
+	};
+
+	// Une seule passe : le texte inséré n'est jamais réinterprété.
+	// Une balise seule sur sa ligne qui ne produit rien fait disparaître la ligne.
+	return template.replace(
+		/^([ \t]*)\{\{(>?)\s*([\w-]+)\s*\}\}[ \t]*(?:\n|$)|\{\{(>?)\s*([\w-]+)\s*\}\}/gm,
+		(match, prefix, linePartial, lineName, partial, name) => {
+			if (!lineName) return resolveTag(partial, name);
+			const value = resolveTag(linePartial, lineName);
+			if (!value) return '';
+			return indent(value, prefix) + (match.endsWith('\n') ? '\n' : '');
+		}
+	);
+}
+
+// Balises <link> et <script> des listes styles / scripts / modules
+function styleTags(names) {
+	return (names || []).map((name) => `<link rel="stylesheet" href="/styles/${name}">`).join('\n');
+}
+
+function scriptTags(names) {
+	return (names || []).map((name) => `<script src="/script/${name}" defer></script>`).join('\n');
+}
+
+// Modules ES : différés d'office, exécutés dans l'ordre avec les scripts defer
+function moduleTags(names) {
+	return (names || []).map((name) => `<script type="module" src="/script/${name}"></script>`).join('\n');
+}
+
+// ====== CHEMINS RELATIFS ======
+// "/Projets/CV/cv.html" vu depuis "Projets/Photo/Photo.html" → "../CV/cv.html"
+function relativeUrl(target, page) {
+	const [pathAndQuery, hash] = target.split('#');
+	const [pathname, query] = pathAndQuery.split('?');
+	const file = pathname === '/' ? 'index.html' : pathname.slice(1);
+
+	// Lien vers une ancre de la page courante : l'ancre seule (défilement sans rechargement)
+	if (file === page && hash !== undefined && query === undefined) return `#${hash}`;
+
+	let relative = path.posix.relative(path.posix.dirname(page), file) || path.posix.basename(file);
+	if (pathname.endsWith('/') && pathname !== '/') relative += '/';
+	return relative + (query !== undefined ? `?${query}` : '') + (hash !== undefined ? `#${hash}` : '');
+}
+
+function relativize(html, page) {
+	const isRootPath = (value) => value.startsWith('/') && !value.startsWith('//');
+	const attrPattern = new RegExp(`(\\s(?:${URL_ATTRIBUTES.join('|')})=")([^"]*)"`, 'g');
+
+	return html
+		.replace(attrPattern, (match, before, value) => (isRootPath(value) ? `${before}${relativeUrl(value, page)}"` : match))
+		.replace(/(\s(?:data-)?srcset=")([^"]*)"/g, (match, before, value) => {
+			const candidates = value.split(',').map((candidate) => {
+				const [url, ...descriptor] = candidate.trim().split(/\s+/);
+				return [isRootPath(url) ? relativeUrl(url, page) : url, ...descriptor].join(' ');
+			});
+			return `${before}${candidates.join(', ')}"`;
+		});
+}
+
+// ====== PAGES ======
+function findPages(dir = PAGES_DIR) {
+	const found = [];
+	fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory()) found.push(...findPages(full));
+		else if (entry.name.endsWith('.html')) found.push(full);
+	});
+	return found.sort();
+}
+
+// Assemble une page : front matter + blocs + gabarit + partials, images responsive, puis chemins relatifs
+function buildPage(file, images = null) {
+	const page = path.relative(PAGES_DIR, file).split(path.sep).join('/');
+	const { data, body } = parseFrontMatter(readSource(file), file);
+	const { blocks, content } = extractBlocks(body);
+	const layout = readLayout(data.layout || 'page');
+
+	const vars = {
+		head: '',
+		...layout.data,
+		...data,
+		...blocks,
+		...projectVars(page, projectsManifest()),
+		page,
+		url: SITE_URL + (page === 'index.html' ? '' : page),
+	};
+	vars.styles = styleTags(vars.styles);
+	vars.scripts = [scriptTags(vars.scripts), moduleTags(vars.modules)].filter(Boolean).join('\n');
+	vars.bodyAttributes = (vars.bodyClass ? ` class="${vars.bodyClass}"` : '')
+		+ (vars.features ? ` data-features="${vars.features}"` : '');
+	if (!vars.title) throw new Error(`${page} : "title" manquant dans le front matter`);
+
+	// Le contenu peut lui-même inclure des partials ({{> contact }})
+	vars.content = render(content, vars);
+	const html = responsiveImages(render(layout.body, vars).replace(/\n{3,}/g, '\n\n'), images);
+	return { page, html: `${relativize(html, page).replace(/\n+$/, '')}\n` };
+}
+
+// ====== COPIE DES FICHIERS STATIQUES ======
+// Ne recopie que les fichiers modifiés (médias/ pèse plusieurs dizaines de Mo)
+function copyStatic(source, target) {
+	const stat = fs.statSync(source);
+	if (stat.isDirectory()) {
+		fs.mkdirSync(target, { recursive: true });
+		fs.readdirSync(source).forEach((name) => copyStatic(path.join(source, name), path.join(target, name)));
+		return;
+	}
+	if (fs.existsSync(target)) {
+		const existing = fs.statSync(target);
+		if (existing.size === stat.size && existing.mtimeMs >= stat.mtimeMs) return;
+	}
+	fs.copyFileSync(source, target);
+	fs.utimesSync(target, stat.atime, stat.mtime);
+}
+
+function buildSite(options = {}) {
+	const dist = options.dist || DIST;
+	if (options.clean) fs.rmSync(dist, { recursive: true, force: true });
+	partialCache.clear();
+	projectsCache = null;
+
+	const images = readManifest();
+	const pages = findPages().map((file) => buildPage(file, images));
+	pages.forEach(({ page, html }) => {
+		const target = path.join(dist, page);
+		fs.mkdirSync(path.dirname(target), { recursive: true });
+		fs.writeFileSync(target, html);
+	});
+
+	STATIC_FILES.forEach((name) => {
+		const source = path.join(ROOT, name);
+		if (fs.existsSync(source)) copyStatic(source, path.join(dist, name));
+	});
+	// Variantes d'images (sans leur manifeste, inutile en ligne)
+	if (images) {
+		fs.readdirSync(CACHE_DIR)
+			.filter((name) => name !== 'manifest.json')
+			.forEach((name) => copyStatic(path.join(CACHE_DIR, name), path.join(dist, URL_PREFIX, name)));
+	}
+
+	// Après les pages : le sitemap et le flux lisent le HTML généré
+	writeSeoFiles(dist);
+	writeSearchIndex(dist);
+	writeCvPdf(dist);
+	return pages.map((p) => p.page);
+}
+
+// ====== LIGNE DE COMMANDE ======
+if (require.main === module) {
+	const args = process.argv.slice(2);
+	try {
+		const pages = buildSite({ clean: args.includes('--clean') });
+		console.log(`Site généré : ${pages.length} pages → ${path.relative(process.cwd(), DIST) || 'dist'}/`);
+	} catch (err) {
+		console.error(`Échec de la génération : ${err.message}`);
+		process.exit(1);
+	}
+
+	if (args.includes('--preview')) {
+		const { createStaticServer, DEFAULT_PORT } = require('./static-server');
+		const port = Number(args[args.indexOf('--preview') + 1]) || DEFAULT_PORT;
+		createStaticServer(DIST).listen(port, () => console.log(`Aperçu : http://localhost:${port}/`));
+	}
+}
+
+module.exports = { buildSite, buildPage, render, relativize, relativeUrl, parseFrontMatter, SRC, PAGES_DIR, DIST };
@@ -0,0 +1,248 @@
+/*
+	================================================
+	BUILD-SITEMAP.JS — SITEMAP, ROBOTS.TXT ET FLUX ATOM
+	================================================
+	Lancé par tools/build-site.js après la génération des pages : parcourt
+	le HTML de dist/ et écrit à côté :
+
+	1. sitemap.xml
+	   - toutes les pages, sauf celles bloquées par robots.txt ou en noindex
+	   - lastmod : date du dernier commit de la page source (src/pages/…),
+	     ou la plus récente des <time datetime> de la page si elle est plus
+	     récente (ou si la page n'est pas encore commitée)
+	   - priorité et fréquence selon le type de page (PAGE_TYPES)
+	2. robots.txt : règles de ROBOTS_RULES + adresse du sitemap
+	3. feed.xml : flux Atom des projets (data/projects.json), du plus récent
+	   au plus ancien, avec miniature et résumé
+
+	Utilisation : node tools/build-sitemap.js   (sur un dist/ déjà généré)
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+const MANIFEST = path.join(ROOT, 'data', 'projects.json');
+const SITE_URL = 'https://lisabruno-portfolio.com/';
+const FEED_FILE = 'feed.xml';
+const FEED_TITLE = 'Portfolio de Lisa Bruno — nouveaux projets';
+const AUTHOR = 'Lisa Bruno';
+
+// Pages jamais listées (page de secours du service worker)
+const EXCLUDED_PAGES = ['offline.html'];
+
+const PAGE_TYPES = {
+	home: { priority: '1.0', changefreq: 'weekly' },
+	category: { priority: '0.9', changefreq: 'monthly' },
+	page: { priority: '0.8', changefreq: 'quarterly' },
+	article: { priority: '0.7', changefreq: 'monthly' },
+};
+
+const ROBOTS_RULES = `User-agent: *
+Allow: /
+Disallow: /médias/
+Disallow: /Projets/Animation/
+Disallow: /*.json$
+
+# Google specific
+User-agent: Googlebot
+Allow: /
+Crawl-delay: 0
+
+# Bing specific
+User-agent: Bingbot
+Allow: /
+Crawl-delay: 1`;
+
+// ====== OUTILS ======
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+// "médias/Animation/idfc - animation meme.png" → URL absolue encodée
+function absoluteUrl(page) {
+	return SITE_URL + encodeURI(page === 'index.html' ? '' : page);
+}
+
+function findHtml(dir, base = dir) {
+	const found = [];
+	fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory()) found.push(...findHtml(full, base));
+		else if (entry.name.endsWith('.html')) found.push(path.relative(base, full).split(path.sep).join('/'));
+	});
+	return found.sort();
+}
+
+// ====== DATES ======
+// Date (AAAA-MM-JJ) du dernier commit touchant le fichier ; null hors dépôt git ou fichier jamais commité
+function gitDate(file) {
+	try {
+		const date = execFileSync('git', ['log', '-1', '--format=%cs', '--', file], {
+			cwd: ROOT,
+			stdio: ['ignore', 'pipe', 'ignore'],
+		}).toString().trim();
+		return date || null;
+	} catch (_) {
+		return null;
+	}
+}
+
+// Plus récente des <time datetime="…"> de la page (dates du projet)
+function contentDate(html) {
+	const dates = [...html.matchAll(/<time\b[^>]*\bdatetime="(\d{4}-\d{2}-\d{2})[^"]*"/g)].map((m) => m[1]);
+	return dates.sort().pop() || null;
+}
+
+function lastModified(page, html) {
+	const dates = [gitDate(path.join('src', 'pages', page)), contentDate(html)].filter(Boolean).sort();
+	return dates.pop() || new Date().toISOString().slice(0, 10);
+}
+
+// ====== ROBOTS.TXT ======
+// Chemins "Disallow" de la section User-agent: * (avec * et $ comme les moteurs)
+function disallowedPatterns() {
+	const patterns = [];
+	let general = false;
+	ROBOTS_RULES.split('\n').forEach((line) => {
+		const [field, ...rest] = line.split(':');
+		const value = rest.join(':').trim();
+		if (/^user-agent$/i.test(field.trim())) general = value === '*';
+		else if (general && /^disallow$/i.test(field.trim()) && value) {
+			const source = value.replace(/[.+?^{}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+			patterns.push(new RegExp(`^${source}`));
+		}
+	});
+	return patterns;
+}
+
+function isIndexable(page, html) {
+	if (EXCLUDED_PAGES.includes(page)) return false;
+	if (/<meta\s+name="robots"\s+content="[^"]*noindex/i.test(html)) return false;
+	return !disallowedPatterns().some((pattern) => pattern.test(`/${page}`));
+}
+
+function buildRobots() {
+	return `${ROBOTS_RULES}\n\nSitemap: ${SITE_URL}sitemap.xml\n`;
+}
+
+// ====== SITEMAP ======
+function pageType(page, manifest) {
+	if (page === 'index.html') return 'home';
+	if (page === 'Projets/projets.html' || manifest.categories.some((c) => c.page === page)) return 'category';
+	if (manifest.projects.some((p) => p.url === page) || /\/article-[^/]+\.html$/.test(page)) return 'article';
+	return 'page';
+}
+
+function buildSitemap(dist, manifest) {
+	const skipped = [];
+	const urls = findHtml(dist)
+		.map((page) => ({ page, html: fs.readFileSync(path.join(dist, page), 'utf8') }))
+		.filter(({ page, html }) => {
+			const indexable = isIndexable(page, html);
+			if (!indexable && !EXCLUDED_PAGES.includes(page)) skipped.push(page);
+			return indexable;
+		})
+		.map(({ page, html }) => ({ page, html, type: PAGE_TYPES[pageType(page, manifest)] }))
+		// Accueil, puis catégories, puis le reste ; ordre alphabétique à priorité égale
+		.sort((a, b) => b.type.priority.localeCompare(a.type.priority) || a.page.localeCompare(b.page))
+		.map(({ page, html, type }) => [
+			'  <url>',
+			`    <loc>${escapeXml(absoluteUrl(page))}</loc>`,
+			`    <lastmod>${lastModified(page, html)}</lastmod>`,
+			`    <changefreq>${type.changefreq}</changefreq>`,
+			`    <priority>${type.priority}</priority>`,
+			'  </url>',
+		].join('\n'));
+
+	const xml = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+		...urls,
+		'</urlset>',
+		'',
+	].join('\n');
+	return { xml, count: urls.length, skipped };
+}
+
+// ====== FLUX ATOM ======
+function buildFeed(dist, manifest) {
+	const categories = {};
+	manifest.categories.forEach((c) => { categories[c.id] = c; });
+
+	const entries = manifest.projects
+		.filter((project) => fs.existsSync(path.join(dist, project.url)))
+		.map((project) => {
+			const html = fs.readFileSync(path.join(dist, project.url), 'utf8');
+			return { project, date: contentDate(html) || lastModified(project.url, html) };
+		})
+		// Plus récent d'abord ; à date égale, l'ordre du manifeste
+		.sort((a, b) => b.date.localeCompare(a.date));
+
+	const updated = entries.length ? entries.map((e) => e.date).sort().pop() : new Date().toISOString().slice(0, 10);
+
+	const xmlEntries = entries.map(({ project, date }) => {
+		const url = absoluteUrl(project.url);
+		const category = categories[project.category];
+		const thumbnail = project.thumbnail ? absoluteUrl(project.thumbnail) : '';
+		const content = (thumbnail ? `<p><img src="${escapeXml(thumbnail)}" alt="${escapeXml(project.thumbnailAlt || project.title)}"></p>` : '')
+			+ `<p>${escapeXml(project.description || project.summary)}</p>`;
+		return [
+			'  <entry>',
+			`    <title>${escapeXml(project.title)}</title>`,
+			`    <link rel="alternate" type="text/html" href="${escapeXml(url)}"/>`,
+			`    <id>${escapeXml(url)}</id>`,
+			`    <updated>${date}T00:00:00Z</updated>`,
+			category ? `    <category term="${escapeXml(category.id)}" label="${escapeXml(category.title)}"/>` : '',
+			`    <summary type="text">${escapeXml(project.summary)}</summary>`,
+			`    <content type="html">${escapeXml(content)}</content>`,
+			thumbnail ? `    <media:thumbnail url="${escapeXml(thumbnail)}"/>` : '',
+			'  </entry>',
+		].filter(Boolean).join('\n');
+	});
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="fr">',
+		`  <title>${escapeXml(FEED_TITLE)}</title>`,
+		`  <link rel="self" type="application/atom+xml" href="${SITE_URL}${FEED_FILE}"/>`,
+		`  <link rel="alternate" type="text/html" href="${SITE_URL}Projets/projets.html"/>`,
+		`  <id>${SITE_URL}</id>`,
+		`  <updated>${updated}T00:00:00Z</updated>`,
+		`  <author><name>${AUTHOR}</name></author>`,
+		...xmlEntries,
+		'</feed>',
+		'',
+	].join('\n');
+}
+
+// ====== ÉCRITURE ======
+function writeSeoFiles(dist = DIST) {
+	const manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+	const sitemap = buildSitemap(dist, manifest);
+	fs.writeFileSync(path.join(dist, 'sitemap.xml'), sitemap.xml);
+	fs.writeFileSync(path.join(dist, 'robots.txt'), buildRobots());
+	fs.writeFileSync(path.join(dist, FEED_FILE), buildFeed(dist, manifest));
+	return sitemap;
+}
+
+if (require.main === module) {
+	if (!fs.existsSync(DIST)) {
+		console.error('dist/ introuvable : lancer d\'abord node tools/build-site.js');
+		process.exit(1);
+	}
+	const { count, skipped } = writeSeoFiles();
+	console.log(`Sitemap : ${count} pages, robots.txt et ${FEED_FILE} → dist/`);
+	if (skipped.length) console.log(`Exclues par robots.txt / noindex : ${skipped.join(', ')}`);
+}
+
+module.exports = { writeSeoFiles, buildSitemap, buildFeed, buildRobots, isIndexable, SITE_URL, FEED_FILE };
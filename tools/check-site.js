@@ -0,0 +1,293 @@
+/*
+	================================================
+	CHECK-SITE.JS — VÉRIFICATION DES LIENS, MÉDIAS ET CONTENUS
+	================================================
+	Génère le site (tools/build-site.js) puis parcourt chaque page HTML
+	de dist/ :
+
+	1. Liens et médias locaux : href, src, srcset, poster, data-poster
+	   pointent vers un fichier existant (chemins accentués et avec espaces
+	   compris) ; l'ancre "page.html#id" existe dans la page visée
+	2. Carrousels : chaque .carousel a un .carousel-images avec un id unique ;
+	   les anciens appels moveCarousel('id', …) visent un id existant
+	3. Images : alt présent et parlant (pas "Image 1", ni un nom de fichier) ;
+	   alt="" accepté seulement pour une image décorative (aria-hidden, role)
+	4. Articles : présents dans sitemap.xml (sauf pages bloquées par robots.txt
+	   ou en noindex, comme dans tools/build-sitemap.js) et dans le manifeste
+	   (data/projects.json) d'où sont générés la liste "Tous les articles"
+	   de la sidebar et les liens "Précédent / Suivant" ; chaque article
+	   les contient bien (data-projects="sidebar" et "article-nav")
+	5. Manifeste : pages, miniatures des projets et icônes des outils
+	   existent (icônes hébergées sur le site, pas de CDN)
+	6. CV (data/cv.json) : chaque projet renvoie vers un article du manifeste
+	7. Content-Security-Policy (script-src 'self'; style-src 'self') :
+	   ni <script> sans src, ni <style>, ni attribut style="…", onclick="…"
+	   ou lien javascript: dans les pages
+
+	Sortie : rapport par page ; code de sortie 1 s'il y a au moins une erreur.
+
+	Utilisation : node tools/check-site.js [--no-build]
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { buildSite, DIST, PAGES_DIR } = require('./build-site');
+const { SITE_URL, isIndexable } = require('./build-sitemap');
+const { readResume } = require('./build-cv');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'data', 'projects.json');
+
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'data-poster', 'data-src'];
+
+// Textes alternatifs qui ne décrivent rien : "Image 1", "photo", "img_02"…
+const GENERIC_ALT = /^(image|img|photo|picture|visuel|illustration|capture)?[\s_-]*\d*$/i;
+const FILENAME_ALT = /\.(png|jpe?g|gif|webp|avif|svg)$/i;
+
+// Pages hors contrôle "article" (gabarit de secours du service worker)
+const IGNORED_PAGES = ['offline.html'];
+
+// ====== LECTURE DU HTML ======
+function findHtml(dir, base = dir) {
+	const found = [];
+	fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+		const full = path.join(dir, entry.name);
+		if (entry.isDirectory()) found.push(...findHtml(full, base));
+		else if (entry.name.endsWith('.html')) found.push(path.relative(base, full).split(path.sep).join('/'));
+	});
+	return found.sort();
+}
+
+function attribute(tag, name) {
+	const match = new RegExp(`\\s${name}="([^"]*)"`, 'i').exec(tag);
+	return match ? match[1] : null;
+}
+
+function lineOf(html, index) {
+	return html.slice(0, index).split('\n').length;
+}
+
+// Commentaires HTML neutralisés (balisage mis de côté) ; les numéros de ligne restent justes
+function stripComments(html) {
+	return html.replace(/<!--[\s\S]*?-->/g, (m) => m.replace(/[^\n]/g, ' '));
+}
+
+const idCache = new Map();
+function idsOf(dist, page) {
+	if (!idCache.has(page)) {
+		const html = fs.readFileSync(path.join(dist, page), 'utf8');
+		idCache.set(page, new Set([...html.matchAll(/\sid="([^"]+)"/g)].map((m) => m[1])));
+	}
+	return idCache.get(page);
+}
+
+function isExternal(url) {
+	return !url || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+// ====== 1. LIENS ET MÉDIAS ======
+function checkReference(dist, page, url, report) {
+	if (isExternal(url) || url.startsWith('{{')) return;
+	const [withoutHash, hash] = url.split('#');
+	const pathname = withoutHash.split('?')[0];
+
+	let target = page;
+	if (pathname) {
+		let decoded;
+		try {
+			decoded = decodeURI(pathname);
+		} catch (_) {
+			report(`chemin mal encodé : "${url}"`);
+			return;
+		}
+		const file = decoded.startsWith('/')
+			? path.join(dist, decoded)
+			: path.join(dist, path.dirname(page), decoded);
+		if (!fs.existsSync(file)) {
+			report(`fichier introuvable : "${url}"`);
+			return;
+		}
+		target = path.relative(dist, fs.statSync(file).isDirectory() ? path.join(file, 'index.html') : file).split(path.sep).join('/');
+	}
+
+	// Ancre vers une page HTML : l'id doit exister (les ids posés par JS ne sont pas vus)
+	if (hash && target.endsWith('.html') && fs.existsSync(path.join(dist, target)) && !idsOf(dist, target).has(decodeURIComponent(hash))) {
+		report(`ancre introuvable : "${url}" (aucun id="${hash}" dans ${target})`);
+	}
+}
+
+function checkLinks(dist, page, html, report) {
+	const attrPattern = new RegExp(`\\s(${URL_ATTRIBUTES.join('|')})="([^"]*)"`, 'g');
+	for (const match of html.matchAll(attrPattern)) {
+		checkReference(dist, page, match[2], (message) => report(lineOf(html, match.index), `${match[1]} → ${message}`));
+	}
+	for (const match of html.matchAll(/\s(?:data-)?srcset="([^"]*)"/g)) {
+		match[1].split(',').forEach((candidate) => {
+			const url = candidate.trim().split(/\s+/)[0];
+			checkReference(dist, page, url, (message) => report(lineOf(html, match.index), `srcset → ${message}`));
+		});
+	}
+}
+
+// ====== 2. CARROUSELS ======
+function checkCarousels(page, html, report) {
+	const ids = [...html.matchAll(/\sid="([^"]+)"/g)];
+	const seen = new Map();
+	ids.forEach((m) => seen.set(m[1], (seen.get(m[1]) || 0) + 1));
+
+	for (const match of html.matchAll(/<div\b[^>]*class="carousel"[^>]*>/g)) {
+		const rest = html.slice(match.index);
+		const track = /<div\b[^>]*class="carousel-images"[^>]*>/.exec(rest);
+		const line = lineOf(html, match.index);
+		if (!track) {
+			report(line, 'carrousel sans .carousel-images');
+			continue;
+		}
+		const id = attribute(track[0], 'id');
+		if (!id) report(line, 'carrousel sans id sur .carousel-images');
+		else if (seen.get(id) > 1) report(line, `id de carrousel en double : "${id}"`);
+	}
+
+	// Ancien balisage : onclick="moveCarousel('id', 1)"
+	for (const match of html.matchAll(/moveCarousel\(\s*['"]([^'"]+)['"]/g)) {
+		if (!seen.has(match[1])) report(lineOf(html, match.index), `moveCarousel('${match[1]}') : aucun élément avec cet id`);
+	}
+}
+
+// ====== 3. IMAGES ======
+function checkImages(html, report) {
+	for (const match of html.matchAll(/<img\b[^>]*>/g)) {
+		const tag = match[0];
+		const line = lineOf(html, match.index);
+		const alt = attribute(tag, 'alt');
+		const src = attribute(tag, 'src') || '';
+		const decorative = attribute(tag, 'aria-hidden') === 'true' || ['presentation', 'none'].includes(attribute(tag, 'role'));
+
+		if (alt === null) report(line, `image sans alt : "${src}"`);
+		else if (!alt.trim()) {
+			if (!decorative) report(line, `alt vide sur une image non décorative : "${src}"`);
+		} else if (GENERIC_ALT.test(alt.trim()) || FILENAME_ALT.test(alt.trim())) {
+			report(line, `alt peu parlant "${alt}" : "${src}"`);
+		}
+	}
+}
+
+// ====== 4. ARTICLES ======
+function checkArticle(page, html, context, report) {
+	if (isIndexable(page, html) && !context.sitemap.has(SITE_URL + encodeURI(page))) report(null, 'absent de sitemap.xml');
+
+	const project = context.manifest.projects.find((p) => p.url === page);
+	if (!project) report(null, 'absent de data/projects.json : il ne figure dans aucune liste "Tous les articles"');
+	else if (!context.manifest.categories.some((c) => c.id === project.category)) {
+		report(null, `catégorie "${project.category}" inconnue : l'article n'apparaît pas dans la sidebar`);
+	}
+	if (!/data-projects="sidebar"[^>]*>\s*<article/.test(html)) report(null, 'sidebar sans liste "Tous les articles" (data-projects="sidebar")');
+	if (!/data-projects="article-nav"[^>]*>\s*<a\s/.test(html)) report(null, 'pas de liens "Précédent / Suivant" (data-projects="article-nav")');
+}
+
+// ====== 5. MANIFESTE ======
+function checkManifest(dist, manifest, report) {
+	manifest.projects.forEach((project) => {
+		if (!fs.existsSync(path.join(dist, project.url))) report(null, `${project.id} : page introuvable "${project.url}"`);
+		if (project.thumbnail && !fs.existsSync(path.join(ROOT, project.thumbnail))) {
+			report(null, `${project.id} : miniature introuvable "${project.thumbnail}"`);
+		}
+	});
+	Object.entries(manifest.tools || {}).forEach(([name, tool]) => {
+		if (!tool.icon) return;
+		if (isExternal(tool.icon)) report(null, `outil "${name}" : icône externe "${tool.icon}" (à héberger dans médias/Outils/)`);
+		else if (!fs.existsSync(path.join(ROOT, tool.icon))) report(null, `outil "${name}" : icône introuvable "${tool.icon}"`);
+	});
+}
+
+// ====== 6. CV ======
+function checkResume(resume, manifest, report) {
+	(resume.projects || []).forEach((project) => {
+		const page = project.url && project.url.startsWith(SITE_URL) ? decodeURI(project.url.slice(SITE_URL.length)) : null;
+		if (!page) report(null, `projet "${project.name}" : url vers son article du portfolio manquante (${SITE_URL}…)`);
+		else if (!manifest.projects.some((p) => p.url === page)) report(null, `projet "${project.name}" : "${page}" n'est pas un article de data/projects.json`);
+	});
+}
+
+// ====== 7. CONTENT-SECURITY-POLICY ======
+// Données JSON (<script type="application/ld+json">) acceptées : jamais exécutées
+function checkInlineCode(html, report) {
+	for (const match of html.matchAll(/<script\b[^>]*>/gi)) {
+		const type = attribute(match[0], 'type') || '';
+		if (attribute(match[0], 'src') === null && !/json/i.test(type)) report(lineOf(html, match.index), 'script en ligne : à déplacer dans script/');
+	}
+	for (const match of html.matchAll(/<style\b/gi)) {
+		report(lineOf(html, match.index), 'bloc <style> : à déplacer dans styles/');
+	}
+	for (const match of html.matchAll(/<[a-z][^>]*?\s(style|on[a-z]+)="/gi)) {
+		report(lineOf(html, match.index), `attribut ${match[1]}="…" : bloqué par la CSP (classe CSS ou écouteur dans script/)`);
+	}
+	for (const match of html.matchAll(/\shref="javascript:/gi)) {
+		report(lineOf(html, match.index), 'lien javascript: bloqué par la CSP');
+	}
+}
+
+// ====== RAPPORT ======
+function checkSite(dist = DIST) {
+	idCache.clear();
+	const manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+	const sitemapFile = path.join(dist, 'sitemap.xml');
+	const sitemap = new Set(fs.existsSync(sitemapFile)
+		? [...fs.readFileSync(sitemapFile, 'utf8').matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1].replace(/&amp;/g, '&'))
+		: []);
+	const context = { manifest, sitemap };
+
+	const problems = {};
+	const reporter = (file) => (line, message) => {
+		(problems[file] = problems[file] || []).push(line ? `ligne ${line} : ${message}` : message);
+	};
+
+	const pages = findHtml(dist);
+	pages.forEach((page) => {
+		const html = stripComments(fs.readFileSync(path.join(dist, page), 'utf8'));
+		const report = reporter(page);
+		checkLinks(dist, page, html, report);
+		checkCarousels(page, html, report);
+		checkImages(html, report);
+		checkInlineCode(html, report);
+		if (!IGNORED_PAGES.includes(page) && /(^|\/)article-[^/]+\.html$/.test(page)) checkArticle(page, html, context, report);
+	});
+	checkManifest(dist, manifest, reporter('data/projects.json'));
+	checkResume(readResume(), manifest, reporter('data/cv.json'));
+
+	return { pages: pages.length, problems };
+}
+
+function formatReport({ pages, problems }) {
+	const files = Object.keys(problems);
+	const total = files.reduce((sum, file) => sum + problems[file].length, 0);
+	if (!total) return `✓ ${pages} pages vérifiées, aucun problème.`;
+
+	const lines = [];
+	files.forEach((file) => {
+		// Les pages sont vérifiées dans dist/ mais se corrigent dans src/pages/
+		const source = path.join(PAGES_DIR, file);
+		lines.push(fs.existsSync(source) ? `✗ dist/${file}  (source : ${path.relative(ROOT, source)})` : `✗ ${file}`);
+		problems[file].forEach((problem) => lines.push(`    ${problem}`));
+		lines.push('');
+	});
+	lines.push(`${total} problème(s) dans ${files.length} fichier(s) sur ${pages} pages vérifiées.`);
+	return lines.join('\n');
+}
+
+if (require.main === module) {
+	try {
+		if (!process.argv.includes('--no-build')) buildSite();
+	} catch (err) {
+		console.error(`Échec de la génération : ${err.message}`);
+		process.exit(1);
+	}
+	const result = checkSite();
+	console.log(formatReport(result));
+	process.exit(Object.keys(result.problems).length ? 1 : 0);
+}
+
+module.exports = { checkSite, formatReport };
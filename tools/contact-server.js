@@ -0,0 +1,124 @@
+/*
+	================================================
+	CONTACT-SERVER.JS — SERVEUR DE CONTACT POUR LE DÉVELOPPEMENT
+	================================================
+	Remplaçant local de l'adresse d'envoi du formulaire de contact
+	(script/contact-form.js). Aucun e-mail n'est envoyé : chaque message
+	accepté est affiché dans la console et ajouté à tools/contact-messages.jsonl.
+
+	- POST /api/contact en JSON : { name, email, subject, message }
+	  → 201 { ok: true } ou 422 { errors: { champ: "message" } }
+	- Même règles de validation que le formulaire
+	- CORS ouvert pour que le site puisse être servi sur un autre port
+
+	Utilisation : node tools/contact-server.js [port]   (8787 par défaut)
+	Pour tester le repli mailto:, il suffit d'arrêter ce serveur.
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const OUTPUT = path.join(__dirname, 'contact-messages.jsonl');
+const MAX_BODY = 20 * 1024; // octets
+
+const SUBJECTS = ['stage', 'commande', 'autre'];
+const LIMITS = { name: [2, 100], message: [10, 5000] };
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ====== VALIDATION ======
+function validate(data) {
+	const errors = {};
+	['name', 'email', 'subject', 'message'].forEach((field) => {
+		const value = typeof data[field] === 'string' ? data[field].trim() : '';
+		if (!value) errors[field] = 'Ce champ est obligatoire.';
+		else if (field === 'email' && !EMAIL_PATTERN.test(value)) errors[field] = 'Adresse e-mail invalide.';
+		else if (field === 'subject' && !SUBJECTS.includes(value)) errors[field] = 'Objet inconnu.';
+		else if (LIMITS[field] && value.length < LIMITS[field][0]) errors[field] = `${LIMITS[field][0]} caractères minimum.`;
+		else if (LIMITS[field] && value.length > LIMITS[field][1]) errors[field] = `${LIMITS[field][1]} caractères maximum.`;
+	});
+	return errors;
+}
+
+// ====== RÉPONSES ======
+function send(res, status, body) {
+	res.writeHead(status, {
+		'Content-Type': 'application/json; charset=utf-8',
+		'Access-Control-Allow-Origin': '*',
+		'Access-Control-Allow-Methods': 'POST, OPTIONS',
+		'Access-Control-Allow-Headers': 'Content-Type, Accept',
+	});
+	res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+	return new Promise((resolve, reject) => {
+		let size = 0;
+		const chunks = [];
+		req.on('data', (chunk) => {
+			size += chunk.length;
+			// Au-delà de la limite : on ignore la suite sans couper la connexion,
+			// sinon le client ne reçoit jamais la réponse 413
+			if (size > MAX_BODY) {
+				req.removeAllListeners('data');
+				req.resume();
+				reject(Object.assign(new Error('Message trop volumineux'), { status: 413 }));
+				return;
+			}
+			chunks.push(chunk);
+		});
+		req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+		req.on('error', reject);
+	});
+}
+
+// ====== SERVEUR ======
+function createServer(options = {}) {
+	const output = options.output || OUTPUT;
+	const log = options.log || console.log;
+
+	return http.createServer(async (req, res) => {
+		const { pathname } = new URL(req.url, 'http://localhost');
+		if (pathname !== '/api/contact') return send(res, 404, { error: 'Introuvable' });
+		if (req.method === 'OPTIONS') return send(res, 204);
+		if (req.method !== 'POST') return send(res, 405, { error: 'Méthode non autorisée' });
+
+		let data;
+		try {
+			data = JSON.parse(await readBody(req));
+		} catch (err) {
+			// Corps trop volumineux : connexion fermée après la réponse plutôt que de tout lire
+			if (err.status === 413) res.setHeader('Connection', 'close');
+			return send(res, err.status || 400, { error: err.status ? err.message : 'JSON invalide' });
+		}
+		if (!data || typeof data !== 'object') return send(res, 400, { error: 'JSON invalide' });
+
+		const errors = validate(data);
+		if (Object.keys(errors).length) return send(res, 422, { errors });
+
+		const entry = {
+			receivedAt: new Date().toISOString(),
+			name: data.name.trim(),
+			email: data.email.trim(),
+			subject: data.subject.trim(),
+			message: data.message.trim(),
+		};
+		fs.appendFileSync(output, `${JSON.stringify(entry)}\n`);
+		log(`Message de ${entry.name} <${entry.email}> [${entry.subject}] : ${entry.message.slice(0, 80)}`);
+		return send(res, 201, { ok: true });
+	});
+}
+
+if (require.main === module) {
+	const port = Number(process.argv[2]) || DEFAULT_PORT;
+	createServer().listen(port, () => {
+		console.log(`Serveur de contact : http://localhost:${port}/api/contact`);
+		console.log(`Messages enregistrés dans ${path.relative(process.cwd(), OUTPUT)}`);
+	});
+}
+
+module.exports = { createServer, validate };
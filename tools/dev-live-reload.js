@@ -0,0 +1,33 @@
+/*
+	================================================
+	DEV-LIVE-RELOAD.JS — RECHARGEMENT À CHAUD
+	================================================
+	Ajouté à chaque page HTML par tools/dev-server.js, jamais mis en
+	ligne (script externe : compatible avec la CSP). Écoute /__dev/events :
+
+	- "css"    feuilles de style du site rechargées, sans quitter la page
+	- "reload" page rechargée (HTML, JavaScript, données, médias)
+	- "failed" génération du site en échec : message dans la console
+	================================================
+*/
+
+(function () {
+	if (!window.EventSource) return;
+
+	const source = new EventSource('/__dev/events');
+
+	source.addEventListener('reload', () => window.location.reload());
+
+	source.addEventListener('css', () => {
+		document.querySelectorAll('link[rel="stylesheet"]').forEach((link) => {
+			const url = new URL(link.href);
+			if (url.origin !== window.location.origin) return; // Google Fonts
+			url.searchParams.set('v', String(Date.now()));
+			link.href = url.href;
+		});
+	});
+
+	source.addEventListener('failed', (e) => {
+		console.error(`Serveur de développement : génération échouée — ${e.data}`);
+	});
+})();
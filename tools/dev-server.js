@@ -0,0 +1,400 @@
+/*
+	================================================
+	DEV-SERVER.JS — SERVEUR DE DÉVELOPPEMENT FIDÈLE À LA PRODUCTION
+	================================================
+	Génère dist/ (tools/build-site.js) puis le sert comme l'hébergement :
+
+	1. Règles lues dans nginx.conf (bloc HTTPS), rien n'est recopié ici :
+	   en-têtes de sécurité et CSP (set $… / add_header), expires et
+	   Cache-Control de chaque location, types, deny, internal, index et
+	   error_page 404. Comme nginx, un location qui a ses propres
+	   add_header perd ceux du server ; "=" d'abord, puis les expressions
+	   régulières dans l'ordre du fichier (.htaccess applique les mêmes)
+	2. Dossier sans "/" final → redirection 301 ; "/" → index.html ;
+	   chemins accentués et avec espaces décodés (NFC ou NFD, comme les
+	   fichiers créés sous macOS)
+	3. Compression gzip des types de gzip_types (et du HTML), au niveau
+	   gzip_comp_level, avec Vary: Accept-Encoding
+	4. Rechargement à chaud : src/, styles/, script/, data/, médias/ et
+	   les fichiers copiés tels quels sont surveillés ; le site est
+	   régénéré puis les pages ouvertes se rechargent (CSS remplacées sans
+	   recharger la page, tools/dev-live-reload.js)
+	5. Journal : chaque 404 / 403 (avec la page qui l'a demandé) et chaque
+	   violation de CSP (report-uri) s'affichent une fois dans la console
+
+	Différences voulues avec la production, tant que le rechargement est
+	actif : Cache-Control: no-cache (valeur de production recopiée dans
+	X-Production-Cache-Control) et service worker remplacé par un worker
+	qui vide ses caches et se désinscrit. Toujours : pas de HTTPS, donc
+	CSP sans upgrade-insecure-requests, et connect-src ouvert aux
+	serveurs locaux de contact (8787) et d'audience (8788).
+
+	Utilisation : node tools/dev-server.js [port] [--no-reload]
+	  --no-reload   en-têtes de cache et service worker exactement comme en ligne
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const { buildSite, DIST } = require('./build-site');
+const { MIME_TYPES, DEFAULT_PORT } = require('./static-server');
+const { sanitizeCspReport } = require('./analytics-server');
+
+const ROOT = path.resolve(__dirname, '..');
+const NGINX_CONF = path.join(ROOT, 'nginx.conf');
+const CLIENT_FILE = path.join(__dirname, 'dev-live-reload.js');
+const CLIENT_URL = '/__dev/live-reload.js';
+const EVENTS_URL = '/__dev/events';
+const DEV_ENDPOINTS = ['http://localhost:8787', 'http://localhost:8788']; // contact, audience
+
+// Sources surveillées (dist/ et .cache/ exclus : écrits par la génération)
+const WATCHED_DIRS = ['src', 'styles', 'script', 'data', 'médias'];
+const WATCHED_FILES = ['service-worker.js', 'offline.html', 'CNAME', '.htaccess', 'nginx.conf'];
+const REBUILD_DELAY = 120; // ms : regroupe les enregistrements successifs
+
+// Statuts pour lesquels nginx ajoute expires et les add_header sans "always"
+const SAFE_STATUSES = [200, 201, 204, 206, 301, 302, 303, 304, 307, 308];
+
+// Service worker de développement : vide les caches puis se désinscrit
+const DEV_SERVICE_WORKER = `// Remplaçant de service-worker.js servi par tools/dev-server.js
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => {
+	event.waitUntil(caches.keys()
+		.then((keys) => Promise.all(keys.map((key) => caches.delete(key))))
+		.then(() => self.registration.unregister()));
+});
+`;
+
+// ====== LECTURE DE nginx.conf ======
+const DURATIONS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800, M: 2592000, y: 31536000 };
+
+function unquote(raw, vars) {
+	const text = raw.trim();
+	if (text.startsWith('$')) return vars[text.slice(1)] || '';
+	const quoted = /^(["'])([\s\S]*)\1$/.exec(text);
+	return quoted ? quoted[2] : text;
+}
+
+// add_header, expires, deny, internal et types d'un bloc
+function readDirectives(block, vars) {
+	const types = {};
+	const typesBlock = /^\s*types \{([^}]*)\}/m.exec(block);
+	if (typesBlock) {
+		for (const m of typesBlock[1].matchAll(/([\w/+.-]+)\s+([^;]+);/g)) {
+			m[2].trim().split(/\s+/).forEach((ext) => {
+				types[`.${ext}`] = m[1];
+			});
+		}
+	}
+	return {
+		headers: [...block.matchAll(/^\s*add_header (\S+) (.+?)( always)?;$/gm)].map((m) => [m[1], unquote(m[2], vars), Boolean(m[3])]),
+		expires: (/^\s*expires (\d+)([smhdwMy]);$/m.exec(block) || []).slice(1),
+		deny: /^\s*deny all;/m.test(block),
+		internal: /^\s*internal;/m.test(block),
+		types,
+	};
+}
+
+function readNginxRules(file = NGINX_CONF) {
+	const conf = fs.readFileSync(file, 'utf8');
+	const start = conf.indexOf('listen 443');
+	if (start < 0) throw new Error('nginx.conf : bloc server HTTPS (listen 443) introuvable');
+	const server = conf.slice(start).replace(/^\s*#.*$/gm, '');
+
+	const vars = {};
+	for (const m of server.matchAll(/^\s*set \$(\w+) (["'])(.*)\2;$/gm)) vars[m[1]] = m[3];
+
+	const locations = [];
+	const outside = server.replace(/^ {4}location (=|~\*|~) (\S+) \{([\s\S]*?)^ {4}\}/gm, (block, modifier, pattern, body) => {
+		locations.push({
+			exact: modifier === '=',
+			pattern: modifier === '=' ? pattern : new RegExp(pattern, modifier === '~*' ? 'i' : ''),
+			...readDirectives(body, vars),
+		});
+		return '';
+	});
+
+	const gzipTypes = (/^\s*gzip_types([^;]*);/m.exec(outside) || ['', ''])[1].trim().split(/\s+/).filter(Boolean);
+	return {
+		server: readDirectives(outside, vars),
+		locations,
+		gzip: /^\s*gzip on;/m.test(outside),
+		gzipTypes: ['text/html', ...gzipTypes],
+		gzipLevel: Number((/^\s*gzip_comp_level (\d+);/m.exec(outside) || [])[1]) || 1,
+		notFound: (/^\s*error_page 404 (\S+);/m.exec(outside) || [])[1] || null,
+		index: (/^\s*index (\S+);/m.exec(outside) || [])[1] || 'index.html',
+	};
+}
+
+// Même ordre de choix que nginx : correspondance exacte, puis regex dans l'ordre du fichier
+function findLocation(rules, pathname) {
+	return rules.locations.find((l) => l.exact && l.pattern === pathname)
+		|| rules.locations.find((l) => !l.exact && l.pattern.test(pathname))
+		|| null;
+}
+
+// ====== EN-TÊTES ======
+// En-têtes de production pour ce location et ce statut
+// (add_header du location, sinon du server ; expires hérité ; erreurs : "always" seulement)
+function productionHeaders(rules, location, status = 200) {
+	const safe = SAFE_STATUSES.includes(status);
+	const headers = [];
+	const [amount, unit] = location && location.expires.length ? location.expires : rules.server.expires;
+	if (amount && safe) {
+		const seconds = Number(amount) * DURATIONS[unit];
+		headers.push(['Expires', new Date(Date.now() + seconds * 1000).toUTCString()], ['Cache-Control', `max-age=${seconds}`]);
+	}
+	const added = location && location.headers.length ? location.headers : rules.server.headers;
+	return headers.concat(added.filter(([, , always]) => always || safe).map(([name, value]) => [name, value]));
+}
+
+// Adaptations au serveur local : pas de HTTPS, serveurs de contact et d'audience sur d'autres ports
+function devHeaders(headers, { origin, reload }) {
+	return headers.map(([name, value]) => {
+		const key = name.toLowerCase();
+		if (key === 'content-security-policy' || key === 'content-security-policy-report-only') {
+			const policy = value.split(';').map((d) => d.trim()).filter((d) => d && d !== 'upgrade-insecure-requests')
+				.map((d) => (d.startsWith('connect-src') ? `${d} ${DEV_ENDPOINTS.join(' ')}` : d));
+			return [name, policy.join('; ')];
+		}
+		if (key === 'reporting-endpoints') return [name, value.replace(/"https?:\/\/[^/"]+/g, `"${origin}`)];
+		if (key === 'cache-control' && reload) return ['X-Production-Cache-Control', value];
+		if (key === 'expires' && reload) return null;
+		return [name, value];
+	}).filter(Boolean).concat(reload ? [['Cache-Control', 'no-cache']] : []);
+}
+
+function applyHeaders(res, headers) {
+	const grouped = {};
+	headers.forEach(([name, value]) => {
+		(grouped[name] = grouped[name] || []).push(value);
+	});
+	Object.entries(grouped).forEach(([name, values]) => res.setHeader(name, values.length > 1 ? values : values[0]));
+}
+
+// ====== FICHIERS ======
+// Chemin décodé → chemin dans dist/ (null si la requête sort du dossier)
+function distPath(dir, uri) {
+	const file = path.join(dir, path.normalize(uri));
+	return file === dir || file.startsWith(dir + path.sep) ? file : null;
+}
+
+// Fichier de dist/ ; noms accentués essayés en NFC puis en NFD
+function findFile(dir, uri) {
+	for (const form of ['NFC', 'NFD']) {
+		const file = distPath(dir, uri.normalize(form));
+		if (file && fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+	}
+	return null;
+}
+
+function isDirectory(dir, uri) {
+	const file = distPath(dir, uri);
+	return Boolean(file) && fs.existsSync(file) && fs.statSync(file).isDirectory();
+}
+
+// ====== SERVEUR ======
+function createDevServer(options = {}) {
+	const dist = options.dist || DIST;
+	const reload = options.reload !== false;
+	const log = options.log || console.log;
+	let rules = readNginxRules(options.nginx);
+	const clients = new Set();
+	const reported = new Set();
+
+	function send(req, res, status, body, type, location) {
+		const headers = devHeaders(productionHeaders(rules, location, status), { origin: `http://${req.headers.host}`, reload });
+		applyHeaders(res, headers);
+		res.setHeader('Content-Type', type);
+
+		let payload = Buffer.isBuffer(body) ? body : Buffer.from(body);
+		const mime = type.split(';')[0];
+		if (rules.gzip && rules.gzipTypes.includes(mime)) {
+			res.setHeader('Vary', 'Accept-Encoding');
+			if (/\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+				payload = zlib.gzipSync(payload, { level: rules.gzipLevel });
+				res.setHeader('Content-Encoding', 'gzip');
+			}
+		}
+		res.setHeader('Content-Length', payload.length);
+		res.writeHead(status);
+		res.end(req.method === 'HEAD' ? undefined : payload);
+	}
+
+	// Réponse d'un fichier de dist/ (HTML : script de rechargement ajouté)
+	function sendFile(req, res, status, file, location) {
+		const ext = path.extname(file).toLowerCase();
+		const type = (location && location.types[ext]) || MIME_TYPES[ext] || 'application/octet-stream';
+		let body = fs.readFileSync(file);
+		if (reload && ext === '.html') {
+			body = body.toString('utf8').replace(/<\/body>/i, `\t<script src="${CLIENT_URL}" defer></script>\n</body>`);
+		}
+		if (reload && path.relative(dist, file) === 'service-worker.js') body = DEV_SERVICE_WORKER;
+		send(req, res, status, body, type, location);
+	}
+
+	function logOnce(key, message) {
+		if (reported.has(key)) return;
+		reported.add(key);
+		log(message);
+	}
+
+	function notFound(req, res, pathname) {
+		const from = req.headers.referer ? new URL(req.headers.referer).pathname : null;
+		logOnce(`404 ${pathname} ${from}`, `✗ 404 ${decodeURI(pathname)}${from ? `  ← ${decodeURI(from)}` : ''}`);
+		const page = rules.notFound && findFile(dist, rules.notFound);
+		if (page) sendFile(req, res, 404, page, findLocation(rules, rules.notFound));
+		else send(req, res, 404, '404 - Introuvable', 'text/plain; charset=utf-8', null);
+	}
+
+	// Violations de CSP (report-uri) : une ligne par directive, ressource et page
+	function cspReport(req, res) {
+		const chunks = [];
+		req.on('data', (chunk) => chunks.push(chunk));
+		req.on('end', () => {
+			let data = null;
+			try {
+				data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+			} catch (err) {
+				// Rapport illisible : ignoré
+			}
+			const date = new Date().toISOString().slice(0, 10);
+			(Array.isArray(data) ? data : [data]).map((report) => sanitizeCspReport(report, date)).filter(Boolean).forEach((r) => {
+				const mode = r.reportOnly ? 'CSP (report-only)' : 'CSP';
+				const where = r.source ? `  (${r.source}${r.line ? `:${r.line}` : ''})` : '';
+				logOnce(`csp ${r.directive} ${r.blocked} ${r.page} ${r.reportOnly}`, `⚠ ${mode} ${r.directive} bloque ${r.blocked || '?'} sur /${r.page}${where}`);
+			});
+			res.writeHead(204);
+			res.end();
+		});
+	}
+
+	const server = http.createServer((req, res) => {
+		const { pathname } = new URL(req.url, 'http://localhost');
+
+		if (reload && pathname === EVENTS_URL) {
+			res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+			res.write(': connecté\n\n');
+			clients.add(res);
+			req.on('close', () => clients.delete(res));
+			return;
+		}
+		if (reload && pathname === CLIENT_URL) {
+			send(req, res, 200, fs.readFileSync(CLIENT_FILE), MIME_TYPES['.js'], null);
+			return;
+		}
+		if (pathname === '/api/csp-report' && req.method === 'POST') {
+			cspReport(req, res);
+			return;
+		}
+		if (req.method !== 'GET' && req.method !== 'HEAD') {
+			send(req, res, 405, '405 - Méthode non autorisée', 'text/plain; charset=utf-8', null);
+			return;
+		}
+
+		let decoded;
+		try {
+			decoded = decodeURIComponent(pathname);
+		} catch (err) {
+			send(req, res, 400, '400 - Adresse mal encodée', 'text/plain; charset=utf-8', null);
+			return;
+		}
+
+		// Dossier : "/" final ajouté (301), puis fichier index
+		if (!decoded.endsWith('/') && isDirectory(dist, decoded)) {
+			res.writeHead(301, { Location: `${pathname}/` });
+			res.end();
+			return;
+		}
+		const uri = decoded.endsWith('/') ? `${decoded}${rules.index}` : decoded;
+		const location = findLocation(rules, uri);
+
+		if (location && location.deny) {
+			logOnce(`403 ${uri}`, `✗ 403 ${uri}  (refusé par nginx.conf)`);
+			send(req, res, 403, '403 - Accès refusé', 'text/plain; charset=utf-8', location);
+			return;
+		}
+		const file = location && location.internal ? null : findFile(dist, uri);
+		if (!file) {
+			notFound(req, res, pathname);
+			return;
+		}
+		sendFile(req, res, 200, file, location);
+	});
+
+	// Prévient les pages ouvertes ("css" ou "reload")
+	server.notify = (event, data = '') => {
+		clients.forEach((client) => client.write(`event: ${event}\ndata: ${data}\n\n`));
+	};
+	server.reloadRules = () => {
+		rules = readNginxRules(options.nginx);
+	};
+	server.on('close', () => clients.forEach((client) => client.end()));
+	return server;
+}
+
+// ====== SURVEILLANCE ======
+function watchSources(onChange) {
+	const watchers = WATCHED_DIRS
+		.filter((dir) => fs.existsSync(path.join(ROOT, dir)))
+		.map((dir) => fs.watch(path.join(ROOT, dir), { recursive: true }, (event, name) => {
+			if (name) onChange(path.join(dir, name.toString()));
+		}));
+	watchers.push(fs.watch(ROOT, (event, name) => {
+		if (name && WATCHED_FILES.includes(name.toString())) onChange(name.toString());
+	}));
+	return () => watchers.forEach((watcher) => watcher.close());
+}
+
+if (require.main === module) {
+	const args = process.argv.slice(2);
+	const port = Number(args.find((arg) => /^\d+$/.test(arg))) || DEFAULT_PORT;
+	const reload = !args.includes('--no-reload');
+
+	try {
+		buildSite();
+	} catch (err) {
+		console.error(`Échec de la génération : ${err.message}`);
+		process.exit(1);
+	}
+
+	const server = createDevServer({ reload });
+	server.listen(port, () => {
+		console.log(`Serveur de développement : http://localhost:${port}/`);
+		console.log(reload
+			? 'Rechargement à chaud actif (Cache-Control: no-cache, service worker désactivé)'
+			: 'En-têtes de cache et service worker comme en production, sans rechargement');
+	});
+
+	if (reload) {
+		const changed = new Set();
+		let timer = null;
+		const rebuild = () => {
+			timer = null;
+			const files = Array.from(changed);
+			changed.clear();
+			const started = Date.now();
+			try {
+				if (files.includes('nginx.conf')) server.reloadRules();
+				buildSite();
+			} catch (err) {
+				console.error(`✗ Génération échouée : ${err.message}`);
+				server.notify('failed', err.message.replace(/\n/g, ' '));
+				return;
+			}
+			console.log(`↻ ${files.length > 1 ? `${files.length} fichiers modifiés` : files[0]} → site régénéré (${Date.now() - started} ms)`);
+			server.notify(files.every((file) => file.endsWith('.css')) ? 'css' : 'reload');
+		};
+		watchSources((file) => {
+			changed.add(file);
+			clearTimeout(timer);
+			timer = setTimeout(rebuild, REBUILD_DELAY);
+		});
+	}
+}
+
+module.exports = { createDevServer, readNginxRules, findLocation, productionHeaders, devHeaders };
@@ -0,0 +1,84 @@
+/*
+	================================================
+	STATIC-SERVER.JS — SERVEUR DE FICHIERS POUR L'APERÇU LOCAL
+	================================================
+	Sert un dossier (dist/ par défaut) comme le ferait l'hébergement :
+	types MIME, index.html pour les dossiers, 404 sinon.
+	Utilisé par tools/build-site.js --preview.
+
+	Utilisation : node tools/static-server.js [dossier] [port]
+	================================================
+*/
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 8080;
+
+const MIME_TYPES = {
+	'.html': 'text/html; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+	'.js': 'text/javascript; charset=utf-8',
+	'.json': 'application/json; charset=utf-8',
+	'.xml': 'application/xml; charset=utf-8',
+	'.txt': 'text/plain; charset=utf-8',
+	'.svg': 'image/svg+xml',
+	'.png': 'image/png',
+	'.jpg': 'image/jpeg',
+	'.jpeg': 'image/jpeg',
+	'.gif': 'image/gif',
+	'.webp': 'image/webp',
+	'.avif': 'image/avif',
+	'.ico': 'image/x-icon',
+	'.pdf': 'application/pdf',
+	'.mp4': 'video/mp4',
+	'.woff2': 'font/woff2',
+};
+
+// Chemin de l'URL → fichier du dossier (null si la requête sort du dossier)
+function resolveFile(dir, urlPath) {
+	let pathname;
+	try {
+		pathname = decodeURIComponent(urlPath);
+	} catch (_) {
+		return null;
+	}
+	const file = path.join(dir, path.normalize(pathname));
+	if (file !== dir && !file.startsWith(dir + path.sep)) return null;
+	if (fs.existsSync(file) && fs.statSync(file).isDirectory()) return path.join(file, 'index.html');
+	return file;
+}
+
+function createStaticServer(dir) {
+	const root = path.resolve(dir);
+	return http.createServer((req, res) => {
+		const { pathname } = new URL(req.url, 'http://localhost');
+		const file = resolveFile(root, pathname);
+
+		if (!file || !fs.existsSync(file)) {
+			res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+			res.end('404 - Introuvable');
+			return;
+		}
+
+		res.writeHead(200, {
+			'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+			'Cache-Control': 'no-cache',
+		});
+		if (req.method === 'HEAD') res.end();
+		else fs.createReadStream(file).pipe(res);
+	});
+}
+
+if (require.main === module) {
+	const dir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'dist'));
+	const port = Number(process.argv[3]) || DEFAULT_PORT;
+	createStaticServer(dir).listen(port, () => {
+		console.log(`Aperçu de ${path.relative(process.cwd(), dir) || '.'} : http://localhost:${port}/`);
+	});
+}
+
+module.exports = { createStaticServer, MIME_TYPES, DEFAULT_PORT };